@@ -4,10 +4,13 @@ import { Edge } from "./Edge.js";
 import { ComplexPrimitive2D } from "../Primitives/ComplexPrimitive2d.js";
 import { 
   createCompositeSDF, 
-  weightedRUnion, 
-  weightedRIntersection, 
-  weightedRDifference 
+  applyBlendOperation,
+  BLEND_OPERATIONS,
+  evaluateDualSDF,
+  resolveBlendParameter
 } from "../utils/SDFBlending.js";
+import { dualDistanceToSegment } from "../utils/dual.js";
+import { serializeMapping, resolveMapping } from "../utils/DistanceMapping.js";
 import { logger } from "../utils/logger.js";
 import * as THREE from "three";
 
@@ -32,10 +35,17 @@ export class ComplexShape2D extends ComplexPrimitive2D {
 
     this.face = null;
 
-    // Initialize blend parameters
+    // Initialize blend parameters (saved scenes carry them under blendParams)
+    const savedBlend = params.blendParams || {};
     this.blendParams = {
-      smoothness: params.smoothness || 8,
-      operation: params.operation || 'union',
+      smoothness: params.smoothness || savedBlend.smoothness || 8,
+      operation: params.operation || savedBlend.operation || 'union',
+      kernel: params.kernel || savedBlend.kernel || 'rfunction',
+      // Stylized operations: stairs/columns count and groove/tongue width
+      steps: params.steps || savedBlend.steps || 4,
+      width: params.width ?? savedBlend.width,
+      // Optional mapper animating smoothness over time (e.g. the morph parameter)
+      kMapper: params.kMapper || savedBlend.kMapper || null,
       primitives: (params.primitives || []).filter(p => p !== this),
       basePrimitive: params.basePrimitive || null
     };
@@ -100,7 +110,9 @@ export class ComplexShape2D extends ComplexPrimitive2D {
 
   updateCompositeSDF() {
     const primitives = (this.blendParams.primitives || []).filter(p => p !== this);
-    const { operation, smoothness, basePrimitive } = this.blendParams;
+    const { operation, smoothness, basePrimitive, kernel, steps, width, kMapper } = this.blendParams;
+    this._kMapper = kMapper ? resolveMapping(kMapper) : null;
+    const options = { steps, width, kMapper: this._kMapper };
 
     logger.debug(`Updating composite SDF for shape ${this.id}. Blending operation: ${operation}, Smoothness: ${smoothness}`);
     
@@ -118,18 +130,20 @@ export class ComplexShape2D extends ComplexPrimitive2D {
           basePrimitive,
           ...primitives.filter(p => p !== basePrimitive)
         ];
-        this.compositeSDF = createCompositeSDF(orderedPrimitives, smoothness, 'difference');
+        this.compositeSDF = createCompositeSDF(orderedPrimitives, smoothness, 'difference', kernel, options);
       } else {
-        this.compositeSDF = createCompositeSDF(primitives, smoothness, 'difference');
+        this.compositeSDF = createCompositeSDF(primitives, smoothness, 'difference', kernel, options);
       }
     } else {
-      if (op !== 'union' && op !== 'intersection') {
+      if (!BLEND_OPERATIONS.includes(op)) {
         console.warn(`Invalid blending operation: "${op}". Defaulting to "union".`);
       }
       this.compositeSDF = createCompositeSDF(
         primitives,
         smoothness,
-        op === 'intersection' ? 'intersection' : 'union'
+        BLEND_OPERATIONS.includes(op) ? op : 'union',
+        kernel,
+        options
       );
     }
     
@@ -157,21 +171,54 @@ export class ComplexShape2D extends ComplexPrimitive2D {
     }
 
     const compositeSdfValue = this.getCompositeSdfValue(point, newCallStack, time, depth);
+    return this._blendWithBase(baseSDF, compositeSdfValue, time);
+  }
+
+  /**
+   * Combine the base SDF with the composite value using the blend operation and kernel.
+   * With a base primitive, 'difference' is already resolved inside the composite.
+   * @param {number|Dual} baseSDF
+   * @param {number|Dual} compositeSdfValue
+   * @param {number} time - Current time, for an animated smoothness
+   * @returns {number|Dual}
+   * @private
+   */
+  _blendWithBase(baseSDF, compositeSdfValue, time = 0) {
+    const { smoothness, kernel, basePrimitive, steps, width } = this.blendParams;
     const op = this.blendParams.operation.toLowerCase();
-    const smoothness = this.blendParams.smoothness;
-
-    // Apply appropriate blending operation
-    if (op === 'union') {
-      return weightedRUnion(baseSDF, compositeSdfValue, smoothness);
-    } else if (op === 'intersection') {
-      return weightedRIntersection(baseSDF, compositeSdfValue, smoothness);
-    } else if (op === 'difference') {
-      return this.blendParams.basePrimitive ? 
-        compositeSdfValue : 
-        weightedRDifference(baseSDF, compositeSdfValue, smoothness);
+
+    if (op === 'difference' && basePrimitive) {
+      return compositeSdfValue;
     }
-    
-    return baseSDF;
+    if (!BLEND_OPERATIONS.includes(op)) {
+      return baseSDF;
+    }
+    const k = resolveBlendParameter(smoothness, { kMapper: this._kMapper }, time);
+    return applyBlendOperation(baseSDF, compositeSdfValue, op, k, kernel, { steps, width });
+  }
+
+  /**
+   * Dual-number version of computeSDF: same value, plus exact gradient and Hessian.
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    const edge = this.edges[0];
+    const baseSDF = dualDistanceToSegment(point, edge.vertexA.position, edge.vertexB.position);
+
+    const primitives = (this.blendParams.primitives || []).filter(p => p !== this);
+    if (callStack.includes(this.id) || primitives.length === 0 || !this.compositeSDF) {
+      return baseSDF;
+    }
+
+    const newCallStack = [...callStack, this.id];
+    const compositeSdfValue = primitives.length === 1
+      ? evaluateDualSDF(primitives[0], point, newCallStack, time, depth)
+      : this.compositeSDF.dual(point, newCallStack, time, depth);
+    return this._blendWithBase(baseSDF, compositeSdfValue, time);
   }
 
   getCompositeSdfValue(point, callStack = [], time = 0, depth = 0) {
@@ -291,6 +338,7 @@ export class ComplexShape2D extends ComplexPrimitive2D {
   setBlendParams(params = {}) {
     const replacer = (key, value) => {
       if (key === "primitives") return undefined;
+      if (key === "kMapper" && typeof value === "function") return serializeMapping(value);
       return value;
     };
 
@@ -374,10 +422,18 @@ export class ComplexShape2D extends ComplexPrimitive2D {
     if (instance.metric !== undefined) {
       params.metric = { ...instance.metric };
     }
+
+    // Include the distance mapper as a descriptor (rebuilt by the ComplexPrimitive2D constructor)
+    if (instance.distanceMapper) {
+      params.distanceMapper = serializeMapping(instance.distanceMapper);
+    }
     
     // Include blend parameters and store references to blended primitives
     if (instance.blendParams !== undefined) {
       params.blendParams = { ...instance.blendParams };
+      if (typeof instance.blendParams.kMapper === 'function') {
+        params.blendParams.kMapper = serializeMapping(instance.blendParams.kMapper);
+      }
       if (instance.blendParams.primitives && Array.isArray(instance.blendParams.primitives)) {
         params.blendParams.primitiveRefs = instance.blendParams.primitives.map(p => p.id);
       }
@@ -0,0 +1,181 @@
+// File: src/primitives/ComplexPolynomialPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { complex, cabs, polynomialFromRoots, evaluatePolynomial } from "../utils/complex.js";
+import { applyAffineToPoint } from "../utils/affine.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Distance estimators for the level set |p(z)| = r.
+ *  - 'linear': (|p| - r) / |p'|, the first-order estimate of f = |p| - r
+ *  - 'log':    |p| · log(|p| / r) / |p'| outside the curve, which does not overshoot
+ *              as |p| grows like |z|ⁿ; inside it falls back to 'linear'
+ */
+export const POLYNOMIAL_ESTIMATORS = ['linear', 'log'];
+
+/**
+ * ComplexPolynomialPrimitive
+ *
+ * The level set |p(z)| = r of a complex polynomial, given either by its roots or
+ * by its coefficients. Two roots ±a give Cassini ovals (the lemniscate of Bernoulli
+ * when r = |a|²); more roots give polynomial lemniscates. Negative values are inside.
+ *
+ * Since |p| is the modulus of a holomorphic function, |∇|p|| = |p'|, so dividing by
+ * |p'| gives a distance estimate that blends with the R-function operations.
+ *
+ * @extends FieldPrimitive
+ */
+export class ComplexPolynomialPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {Array<{x:number,y:number}>} [params.roots]  - Roots of p (monic)
+   * @param {Array} [params.coefficients]  - Coefficients c0..cn (numbers or {x, y}); used when no roots are given
+   * @param {number} [params.radius]       - Level r of |p(z)| = r
+   * @param {string} [params.estimator]    - One of POLYNOMIAL_ESTIMATORS
+   * @param {number} [params.maxDistance]  - Cap on |SDF| near critical points where p' vanishes
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'polynomial';
+
+    this.radius = params.radius !== undefined ? params.radius : 1;
+    this.estimator = params.estimator || 'linear';
+    this.maxDistance = params.maxDistance || 1;
+
+    this.roots = null;
+    this.coefficients = null;
+    if (params.roots || !params.coefficients) {
+      this.setRoots(params.roots || [{ x: -1, y: 0 }, { x: 1, y: 0 }]);
+    } else {
+      this.setCoefficients(params.coefficients);
+    }
+
+    logger.info(`Created ComplexPolynomialPrimitive with id: ${this.id}, degree: ${this.coefficients.length - 1}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Define p by its roots (monic).
+   * @param {Array<{x:number,y:number}>} roots
+   * @returns {ComplexPolynomialPrimitive} This instance for chaining
+   */
+  setRoots(roots) {
+    if (!Array.isArray(roots) || roots.length === 0) {
+      throw new Error("ComplexPolynomialPrimitive requires at least one root");
+    }
+    this.roots = roots.map(complex);
+    this.coefficients = polynomialFromRoots(this.roots);
+    return this;
+  }
+
+  /**
+   * Define p by its coefficients c0..cn (ascending powers). Roots are then unknown.
+   * @param {Array} coefficients - Numbers or {x, y}
+   * @returns {ComplexPolynomialPrimitive} This instance for chaining
+   */
+  setCoefficients(coefficients) {
+    const coeffs = coefficients.map(complex);
+    // Drop vanishing leading terms so the degree is meaningful
+    while (coeffs.length > 1 && cabs(coeffs[coeffs.length - 1]) === 0) coeffs.pop();
+    if (coeffs.length < 2) {
+      throw new Error("ComplexPolynomialPrimitive requires a polynomial of degree ≥ 1");
+    }
+    this.coefficients = coeffs;
+    this.roots = null;
+    return this;
+  }
+
+  /**
+   * Evaluate p(z) at a world-space point (pulled back through the transform)
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {number} time - Current time (unused; kept for the primitive contract)
+   * @returns {{x:number,y:number}} Complex value p(z)
+   */
+  computeComplex(point, time = 0) {
+    const z = applyAffineToPoint(point, this._inverse);
+    return evaluatePolynomial(this.coefficients, z).value;
+  }
+
+  /**
+   * Calculate the distance estimate in local coordinates
+   * @param {Object} z - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local distance estimate
+   */
+  computeLocalSDF(z, callStack = [], time = 0, depth = 0) {
+    const { value, derivative } = evaluatePolynomial(this.coefficients, z);
+    const modulus = cabs(value);
+    // Near zeros of p' the quotient explodes; bounding the slope from below caps |d|
+    const slope = Math.max(cabs(derivative), Math.abs(modulus - this.radius) / this.maxDistance, 1e-8);
+
+    let distance;
+    if (this.estimator === 'log' && modulus > this.radius) {
+      distance = modulus * Math.log(modulus / this.radius) / slope;
+    } else {
+      distance = (modulus - this.radius) / slope;
+    }
+    return distance;
+  }
+
+  /**
+   * Update polynomial parameters
+   * @param {Object} params - New parameters
+   * @returns {ComplexPolynomialPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.roots !== undefined) this.setRoots(params.roots);
+    else if (params.coefficients !== undefined) this.setCoefficients(params.coefficients);
+    if (params.radius !== undefined) this.radius = params.radius;
+    if (params.estimator !== undefined) this.estimator = params.estimator;
+    if (params.maxDistance !== undefined) this.maxDistance = params.maxDistance;
+    super.updateParameters(params);
+
+    logger.info(`Updated ComplexPolynomialPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new ComplexPolynomialPrimitive({
+      ...this._params,
+      ...ComplexPolynomialPrimitive._definition(this),
+      radius: this.radius,
+      estimator: this.estimator,
+      maxDistance: this.maxDistance,
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Roots if known, otherwise coefficients (exactly one of the two keys is set)
+   * @private
+   */
+  static _definition(instance) {
+    return instance.roots
+      ? { roots: instance.roots.map(r => ({ x: r.x, y: r.y })), coefficients: undefined }
+      : { coefficients: instance.coefficients.map(c => ({ x: c.x, y: c.y })), roots: undefined };
+  }
+
+  /**
+   * Static method for serializing a ComplexPolynomialPrimitive.
+   * @param {ComplexPolynomialPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    const { roots, coefficients } = ComplexPolynomialPrimitive._definition(instance);
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      ...(roots ? { roots } : { coefficients }),
+      radius: instance.radius,
+      estimator: instance.estimator,
+      maxDistance: instance.maxDistance
+    };
+  }
+}
+
+export default ComplexPolynomialPrimitive;
@@ -1,6 +1,6 @@
 // File: src/primitives/ComplexPrimitive2D.js (Updated)
 
-import { identityMapping, distanceMappingRegistry } from "../utils/DistanceMapping.js";
+import { identityMapping, distanceMappingRegistry, serializeMapping, deserializeMapping } from "../utils/DistanceMapping.js";
 
 /**
  * Base class for 2D primitives defined on the complex plane.
@@ -26,8 +26,11 @@ export class ComplexPrimitive2D {
     // 1. Directly provide a function
     // 2. Provide a registered mapper name and its parameters
     // 3. Provide a configuration for a polynomial mapping
+    // 4. Provide a serialized mapping descriptor ({ type, params, baseMappers })
     if (params.distanceMapper && typeof params.distanceMapper === 'function') {
       this.distanceMapper = params.distanceMapper;
+    } else if (params.distanceMapper && typeof params.distanceMapper === 'object') {
+      this.distanceMapper = deserializeMapping(params.distanceMapper);
     } else if (params.distanceMapper && typeof params.distanceMapper === 'string') {
       // Use a registered mapper
       const mapperName = params.distanceMapper;
@@ -142,6 +145,9 @@ export class ComplexPrimitive2D {
     } else {
       params.distanceMapperName = "identity";
     }
+
+    // Full mapper descriptor so createMapping results reload exactly
+    params.distanceMapper = serializeMapping(instance.distanceMapper);
     
     // Include any additional properties that are common to all ComplexPrimitive2D instances
     // For instance, if you have other fields you wish to serialize, add them here.
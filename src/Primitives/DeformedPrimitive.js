@@ -0,0 +1,164 @@
+// File: src/primitives/DeformedPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { serializeWrappedShape } from "./DomainPrimitive.js";
+import { normalizeDeformation, createDeformation } from "../utils/deformations.js";
+import { applyAffineToPoint } from "../utils/affine.js";
+import { finiteDifferenceDual, composeDual } from "../utils/dual.js";
+import { evaluateDualSDF } from "../utils/SDFBlending.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * DeformedPrimitive
+ *
+ * Bends, twists, tapers, waves or lattice-deforms another shape by warping the
+ * query point (see utils/deformations.js). The warped field is divided by the
+ * deformation's Lipschitz estimate so it stays a distance bound and contouring
+ * does not miss thin features. The wrapped shape is never modified.
+ *
+ * @extends FieldPrimitive
+ */
+export class DeformedPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {Object} params.base           - Shape to deform (anything with computeSDF)
+   * @param {Object} [params.deformation]  - Deformation descriptor
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'deformed';
+
+    this.base = params.base || null;
+    this.setDeformation(params.deformation);
+
+    if (!this.base) {
+      logger.warn(`DeformedPrimitive ${this.id}: created without a base shape`);
+    }
+    logger.info(`Created DeformedPrimitive with id: ${this.id}, deformation: ${this.deformation.type}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Install a new deformation descriptor. The Lipschitz estimate covers the
+   * contouring bounds, pulled back into the space the warp acts on, where the
+   * deformation allows it (see `bounded`).
+   * @param {Object} deformation - Deformation descriptor
+   * @returns {DeformedPrimitive} This instance for chaining
+   */
+  setDeformation(deformation) {
+    this.deformation = normalizeDeformation(deformation);
+    const [xmin, ymin, xmax, ymax] = this.bounds;
+    // The farthest local point of the bounds is the image of a corner
+    const extent = Math.max(...[[xmin, ymin], [xmax, ymin], [xmin, ymax], [xmax, ymax]].map(([x, y]) => {
+      const local = applyAffineToPoint({ x, y }, this._inverse);
+      return Math.hypot(local.x, local.y);
+    }));
+    const { warp, lipschitz, bounded } = createDeformation(this.deformation, extent);
+    this._warp = warp;
+    this.lipschitz = lipschitz;
+    // False when part of the bounds lies where the warp's stretch is unbounded;
+    // the field is then not a distance bound there
+    this.bounded = bounded;
+    if (!bounded) {
+      logger.warn(`DeformedPrimitive ${this.id}: ${this.deformation.type} stretch is unbounded inside the contouring bounds`);
+    }
+    return this;
+  }
+
+  /**
+   * Apply a transformation matrix, then refit the Lipschitz estimate to the
+   * bounds as they now sit in local coordinates.
+   * @param {Object} matrix - Transformation matrix
+   * @returns {DeformedPrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    super.transform(matrix);
+    return this.setDeformation(this.deformation);
+  }
+
+  /**
+   * The field is empty without a base shape
+   * @param {Array} callStack - For preventing infinite recursion
+   * @returns {boolean}
+   */
+  canEvaluate(callStack = []) {
+    return Boolean(this.base) && super.canEvaluate(callStack);
+  }
+
+  /**
+   * Calculate the deformed field in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    const warped = this._warp(local, time);
+    return this.base.computeSDF(warped, [...callStack, this.id], time, depth + 1) / this.lipschitz;
+  }
+
+  /**
+   * Dual version of computeLocalSDF. The Dual point is pushed through the warp,
+   * whose jet is taken by central differences (the warps are smooth and have no
+   * Dual form), and the wrapped shape is differentiated at the warped point.
+   * @param {Object} local - Dual point in local coordinates {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeLocalSDFDual(local, callStack = [], time = 0, depth = 0) {
+    const plain = { x: local.x.value, y: local.y.value };
+    const warped = {
+      x: composeDual(finiteDifferenceDual(q => this._warp(q, time).x, plain), local),
+      y: composeDual(finiteDifferenceDual(q => this._warp(q, time).y, plain), local)
+    };
+    return evaluateDualSDF(this.base, warped, [...callStack, this.id], time, depth + 1).scale(1 / this.lipschitz);
+  }
+
+  /**
+   * Update deformation parameters
+   * @param {Object} params - New parameters
+   * @returns {DeformedPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.base !== undefined) this.base = params.base;
+    super.updateParameters(params);
+    if (params.deformation !== undefined || params.bounds !== undefined) {
+      this.setDeformation({ ...this.deformation, ...params.deformation });
+    }
+
+    logger.info(`Updated DeformedPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new DeformedPrimitive({
+      ...this._params,
+      base: this.base && typeof this.base.clone === 'function' ? this.base.clone() : this.base,
+      deformation: normalizeDeformation(this.deformation),
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a DeformedPrimitive. The base shape is nested
+   * as { type, data } and rebuilt by the state store.
+   * @param {DeformedPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      base: serializeWrappedShape(instance.base, instance.id),
+      deformation: normalizeDeformation(instance.deformation)
+    };
+  }
+}
+
+export default DeformedPrimitive;
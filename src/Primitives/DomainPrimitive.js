@@ -0,0 +1,166 @@
+// File: src/primitives/DomainPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import {
+  normalizeDomainOperator,
+  createDomainMaps
+} from "../utils/domainOperators.js";
+import { applyAffineToPoint } from "../utils/affine.js";
+import { applyAffineToDualPoint } from "../utils/dual.js";
+import { evaluateDualSDF } from "../utils/SDFBlending.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Serialize a wrapped shape as { type, data } so the state store can rebuild it
+ * inside its wrapper. Returns null when the shape cannot be serialized.
+ * @param {Object} shape - Wrapped shape
+ * @param {string} ownerId - Id of the wrapper, for the log
+ * @returns {Object|null}
+ */
+export function serializeWrappedShape(shape, ownerId) {
+  if (!shape) return null;
+  if (!shape.constructor || typeof shape.constructor.getSerializableParameters !== 'function') {
+    logger.warn(`${ownerId}: wrapped shape ${shape.id} cannot be serialized`);
+    return null;
+  }
+  return {
+    type: typeof shape.type === 'string' ? shape.type : (shape.vertices ? 'complexShape' : 'complexPrimitive'),
+    data: shape.constructor.getSerializableParameters(shape)
+  };
+}
+
+/**
+ * DomainPrimitive
+ *
+ * Tiles, mirrors or rotates copies of another shape by remapping the query
+ * point (see utils/domainOperators.js), so a pattern of any size costs one
+ * wrapped SDF evaluation per domain image instead of one per copy.
+ * The wrapped shape is used as it is and never modified.
+ *
+ * @extends FieldPrimitive
+ */
+export class DomainPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {Object} params.base           - Shape to repeat (anything with computeSDF)
+   * @param {Object} [params.operator]     - Domain operator descriptor
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'domain';
+
+    this.base = params.base || null;
+    this.bounds = params.bounds || [-4, -4, 4, 4];
+    this.resolution = params.resolution || 160;
+    this.setOperator(params.operator);
+
+    if (!this.base) {
+      logger.warn(`DomainPrimitive ${this.id}: created without a base shape`);
+    }
+    logger.info(`Created DomainPrimitive with id: ${this.id}, operator: ${this.operator.type}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Install a new operator descriptor.
+   * @param {Object} operator - Domain operator descriptor
+   * @returns {DomainPrimitive} This instance for chaining
+   */
+  setOperator(operator) {
+    this.operator = normalizeDomainOperator(operator);
+    this._maps = createDomainMaps(this.operator);
+    return this;
+  }
+
+  /**
+   * The field is empty without a base shape
+   * @param {Array} callStack - For preventing infinite recursion
+   * @returns {boolean}
+   */
+  canEvaluate(callStack = []) {
+    return Boolean(this.base) && super.canEvaluate(callStack);
+  }
+
+  /**
+   * Calculate the repeated field in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    const stack = [...callStack, this.id];
+    let value = Infinity;
+    for (const M of this._maps(local)) {
+      const d = this.base.computeSDF(applyAffineToPoint(local, M), stack, time, depth + 1);
+      if (d < value) value = d;
+    }
+
+    return value;
+  }
+
+  /**
+   * Dual version of computeLocalSDF: the Dual point goes through each image map
+   * exactly and the wrapped shape is differentiated at every image
+   * @param {Object} local - Dual point in local coordinates {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeLocalSDFDual(local, callStack = [], time = 0, depth = 0) {
+    const stack = [...callStack, this.id];
+    let value = null;
+    for (const M of this._maps({ x: local.x.value, y: local.y.value })) {
+      const d = evaluateDualSDF(this.base, applyAffineToDualPoint(local, M), stack, time, depth + 1);
+      value = value ? value.min(d) : d;
+    }
+    return value;
+  }
+
+  /**
+   * Update domain parameters
+   * @param {Object} params - New parameters
+   * @returns {DomainPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.base !== undefined) this.base = params.base;
+    if (params.operator !== undefined) {
+      this.setOperator({ ...this.operator, ...params.operator });
+    }
+    super.updateParameters(params);
+
+    logger.info(`Updated DomainPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new DomainPrimitive({
+      ...this._params,
+      base: this.base && typeof this.base.clone === 'function' ? this.base.clone() : this.base,
+      operator: { ...this.operator },
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a DomainPrimitive. The base shape is nested
+   * as { type, data } and rebuilt by the state store.
+   * @param {DomainPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      base: serializeWrappedShape(instance.base, instance.id),
+      operator: { ...instance.operator }
+    };
+  }
+}
+
+export default DomainPrimitive;
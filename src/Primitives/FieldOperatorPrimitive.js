@@ -0,0 +1,119 @@
+// File: src/primitives/FieldOperatorPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { serializeWrappedShape } from "./DomainPrimitive.js";
+import { normalizeFieldOperator, applyFieldOperator } from "../utils/fieldOperators.js";
+import { evaluateDualSDF } from "../utils/SDFBlending.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * FieldOperatorPrimitive
+ *
+ * Offsets, rounds, hollows out or strokes another shape by applying a chain of
+ * field operators (see utils/fieldOperators.js) to its distance value, in order.
+ * The wrapped shape is never modified.
+ *
+ * @extends FieldPrimitive
+ */
+export class FieldOperatorPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {Object} params.base           - Shape to operate on (anything with computeSDF)
+   * @param {Object[]} [params.operators]  - Field operator descriptors, applied in order
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'field';
+
+    this.base = params.base || null;
+    this.operators = (params.operators || [{ type: 'offset' }]).map(normalizeFieldOperator);
+
+    if (!this.base) {
+      logger.warn(`FieldOperatorPrimitive ${this.id}: created without a base shape`);
+    }
+    logger.info(`Created FieldOperatorPrimitive with id: ${this.id}, operators: ${this.operators.map(op => op.type).join(', ')}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * The field is empty without a base shape
+   * @param {Array} callStack - For preventing infinite recursion
+   * @returns {boolean}
+   */
+  canEvaluate(callStack = []) {
+    return Boolean(this.base) && super.canEvaluate(callStack);
+  }
+
+  /**
+   * Calculate the operated field in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    return this.operators.reduce(
+      (d, op) => applyFieldOperator(d, op),
+      this.base.computeSDF(local, [...callStack, this.id], time, depth + 1)
+    );
+  }
+
+  /**
+   * Dual version of computeLocalSDF; the operators accept Dual distances
+   * @param {Object} local - Dual point in local coordinates {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeLocalSDFDual(local, callStack = [], time = 0, depth = 0) {
+    return this.operators.reduce(
+      (d, op) => applyFieldOperator(d, op),
+      evaluateDualSDF(this.base, local, [...callStack, this.id], time, depth + 1)
+    );
+  }
+
+  /**
+   * Update operator parameters
+   * @param {Object} params - New parameters
+   * @returns {FieldOperatorPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.base !== undefined) this.base = params.base;
+    if (params.operators !== undefined) this.operators = params.operators.map(normalizeFieldOperator);
+    super.updateParameters(params);
+
+    logger.info(`Updated FieldOperatorPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new FieldOperatorPrimitive({
+      ...this._params,
+      base: this.base && typeof this.base.clone === 'function' ? this.base.clone() : this.base,
+      operators: this.operators.map(op => ({ ...op })),
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a FieldOperatorPrimitive. The base shape is
+   * nested as { type, data } and rebuilt by the state store.
+   * @param {FieldOperatorPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      base: serializeWrappedShape(instance.base, instance.id),
+      operators: instance.operators.map(op => ({ ...op }))
+    };
+  }
+}
+
+export default FieldOperatorPrimitive;
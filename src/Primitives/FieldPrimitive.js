@@ -0,0 +1,205 @@
+// File: src/primitives/FieldPrimitive.js
+import { DerivativePrimitive } from "./primaryDerivativePrimitives.js";
+import {
+  identity,
+  composeAffine,
+  invertAffine,
+  isInvertible,
+  applyAffineToPoint,
+  decomposeAffine,
+  matrixToArray,
+  arrayToMatrix
+} from "../utils/affine.js";
+import { Dual, finiteDifferenceDual, composeDual, applyAffineToDualPoint } from "../utils/dual.js";
+import { applyMapping } from "../utils/DistanceMapping.js";
+import { createContourObject } from "../utils/meshCreator.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * FieldPrimitive
+ *
+ * Base class for primitives defined by a field in their own local coordinates
+ * rather than by edge shapes, such as an implicit formula. It keeps the
+ * accumulated affine transform, pulls query points back through its inverse,
+ * rescales local distances to world units and contours the zero set over
+ * `bounds`.
+ *
+ * Subclasses implement computeLocalSDF, and computeLocalSDFDual when they can
+ * differentiate exactly; the default jet comes from finite differences.
+ *
+ * @extends DerivativePrimitive
+ */
+export class FieldPrimitive extends DerivativePrimitive {
+  /**
+   * @param {Object} params
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.closed = true;
+
+    this.bounds = params.bounds || [-3, -3, 3, 3];
+    this.resolution = params.resolution || 150;
+    this.setMatrix(params.matrix ? arrayToMatrix(params.matrix) : identity());
+  }
+
+  /**
+   * Install the accumulated transform and the values derived from it.
+   * @param {Object} matrix - Affine matrix
+   * @returns {FieldPrimitive} This instance for chaining
+   */
+  setMatrix(matrix) {
+    this.matrix = matrix;
+    this._inverse = invertAffine(matrix);
+    // Local units back to world units. The smaller singular value is the least
+    // the transform can stretch a distance, so scaled values stay lower bounds
+    // under non-uniform scale and shear (exact for similarity transforms).
+    const { sx, sy } = decomposeAffine(matrix);
+    this._worldScale = Math.min(Math.abs(sx), Math.abs(sy));
+    return this;
+  }
+
+  /**
+   * Whether the field can be evaluated for this call (false on a cycle)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @returns {boolean}
+   */
+  canEvaluate(callStack = []) {
+    return !callStack.includes(this.id);
+  }
+
+  /**
+   * Field value in local coordinates, in local units. Overridden by subclasses.
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number}
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    return Infinity;
+  }
+
+  /**
+   * Dual version of computeLocalSDF. The default differentiates computeLocalSDF
+   * by central differences in local coordinates.
+   * @param {Object} local - Dual point in local coordinates {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeLocalSDFDual(local, callStack = [], time = 0, depth = 0) {
+    const plain = { x: local.x.value, y: local.y.value };
+    return composeDual(finiteDifferenceDual(q => this.computeLocalSDF(q, callStack, time, depth), plain), local);
+  }
+
+  /**
+   * Calculate SDF value at a given point
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    if (!this.canEvaluate(callStack)) return Infinity;
+
+    const value = this.computeLocalSDF(applyAffineToPoint(point, this._inverse), callStack, time, depth);
+    return this.distanceMapper(value * this._worldScale, time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF. The Dual point is pulled back through the
+   * inverse transform exactly, so only computeLocalSDFDual decides how exact the
+   * derivatives are.
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    if (!this.canEvaluate(callStack)) return Dual.constant(Infinity);
+
+    const local = applyAffineToDualPoint(point, this._inverse);
+    const value = this.computeLocalSDFDual(local, callStack, time, depth).scale(this._worldScale);
+    return applyMapping(this.distanceMapper, value, time, depth, { x: point.x.value, y: point.y.value });
+  }
+
+  /**
+   * Create a THREE.js object by contouring the zero set
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the contour lines
+   */
+  createObject(time = 0) {
+    return createContourObject(pt => this.computeSDF(pt, [], time), this.bounds, this.resolution, this.color);
+  }
+
+  /**
+   * Apply a transformation matrix. The field is kept as defined and the query
+   * point is pulled back through the accumulated inverse transform.
+   * @param {Object} matrix - Transformation matrix
+   * @returns {FieldPrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    const combined = composeAffine({ tx: 0, ty: 0, ...matrix }, this.matrix);
+    if (!isInvertible(combined)) {
+      logger.warn(`${this.constructor.name} ${this.id}: ignoring singular transform`);
+      return this;
+    }
+    return this.setMatrix(combined);
+  }
+
+  /**
+   * Update the parameters shared by all field primitives
+   * @param {Object} params - New parameters
+   * @returns {FieldPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.bounds !== undefined) this.bounds = params.bounds;
+    if (params.resolution !== undefined) this.resolution = params.resolution;
+    if (params.color !== undefined) this.color = params.color;
+    return this;
+  }
+
+  /**
+   * Constructor parameters that reproduce the shared field state, for clone().
+   * @returns {Object}
+   */
+  fieldParameters() {
+    return {
+      bounds: [...this.bounds],
+      resolution: this.resolution,
+      matrix: matrixToArray(this.matrix)
+    };
+  }
+
+  /**
+   * Copy the state that is not passed through the constructor onto a clone.
+   * @param {FieldPrimitive} copy - Freshly constructed clone
+   * @returns {FieldPrimitive} The clone
+   */
+  copyStateTo(copy) {
+    copy.blendSmoothness = this.blendSmoothness;
+    copy.color           = { ...this.color };
+    copy.distanceMapper  = this.distanceMapper;
+    return copy;
+  }
+
+  /**
+   * Static method for serializing a field primitive's shared state.
+   * @param {FieldPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...DerivativePrimitive.getSerializableParameters(instance),
+      ...instance.fieldParameters()
+    };
+  }
+}
+
+export default FieldPrimitive;
@@ -0,0 +1,182 @@
+// File: src/primitives/FractalPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { complex, cadd, cmul, cabs, cpow } from "../utils/complex.js";
+import { resolveMapping, serializeMapping } from "../utils/DistanceMapping.js";
+import { applyAffineToPoint } from "../utils/affine.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Supported escape-time sets.
+ *  - 'julia':      iterate z ← zⁿ + c from z₀ = point, with a fixed parameter c
+ *  - 'mandelbrot': iterate z ← zⁿ + point from z₀ = 0 (power n > 2 gives multibrots)
+ */
+export const FRACTAL_VARIANTS = ['julia', 'mandelbrot'];
+
+/**
+ * FractalPrimitive
+ *
+ * Julia, Mandelbrot and multibrot sets as shapes, using the exterior distance
+ * estimator d ≈ ½·|z|·log|z| / |z'| where z' is the derivative of the orbit with
+ * respect to the query point. Points that never escape are inside. The boundary is
+ * thickened by `epsilon` so marchingSquares sees a proper zero crossing.
+ *
+ * `cMapper` (a distance mapper, descriptor or registry name) is applied to each
+ * component of c as cMapper(c, t), so a temporal mapping animates the Julia parameter.
+ *
+ * @extends FieldPrimitive
+ */
+export class FractalPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {string} [params.variant]        - One of FRACTAL_VARIANTS
+   * @param {{x:number,y:number}} [params.c] - Julia parameter
+   * @param {number} [params.power]          - Exponent n of zⁿ + c (2 for the classic sets)
+   * @param {number} [params.maxIterations]  - Iteration limit
+   * @param {number} [params.bailout]        - Escape radius
+   * @param {number} [params.epsilon]        - Boundary thickness
+   * @param {Function|Object|string} [params.cMapper] - Time mapping applied to c
+   * @param {number[]} [params.bounds]       - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]     - Contouring cells per axis
+   * @param {number[]} [params.matrix]       - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'fractal';
+
+    this.variant = FRACTAL_VARIANTS.includes(params.variant) ? params.variant : 'julia';
+    this.c = complex(params.c || { x: -0.8, y: 0.156 });
+    this.power = Math.max(2, Math.round(params.power || 2));
+    this.maxIterations = params.maxIterations || 64;
+    this.bailout = params.bailout || 100;
+    this.epsilon = params.epsilon !== undefined ? params.epsilon : 0.005;
+    this.cMapper = resolveMapping(params.cMapper);
+    this.bounds = params.bounds || (this.variant === 'mandelbrot' ? [-2.5, -1.5, 1, 1.5] : [-2, -2, 2, 2]);
+    this.resolution = params.resolution || 200;
+
+    logger.info(`Created FractalPrimitive with id: ${this.id}, variant: ${this.variant}, power: ${this.power}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * The Julia parameter at a given time, after the c mapper
+   * @param {number} time - Current time for animations
+   * @returns {{x:number,y:number}}
+   */
+  getC(time = 0) {
+    return { x: this.cMapper(this.c.x, time), y: this.cMapper(this.c.y, time) };
+  }
+
+  /**
+   * Run the escape-time iteration for a point in local coordinates
+   * @param {Object} p - Point in local coordinates (x, y)
+   * @param {number} time - Current time for animations
+   * @returns {{z: {x:number,y:number}, dz: {x:number,y:number}, escaped: boolean, iterations: number}}
+   */
+  iterate(p, time = 0) {
+    const n = this.power;
+    const julia = this.variant === 'julia';
+    const c = julia ? this.getC(time) : p;
+    const bailoutSq = this.bailout * this.bailout;
+
+    let z = julia ? p : { x: 0, y: 0 };
+    // Julia: dz/dp starts at 1; Mandelbrot: dz/dc starts at 0 and gains +1 per step
+    let dz = julia ? { x: 1, y: 0 } : { x: 0, y: 0 };
+
+    for (let i = 0; i < this.maxIterations; i++) {
+      const zPrev = cpow(z, n - 1);
+      dz = cmul({ x: n * zPrev.x, y: n * zPrev.y }, dz);
+      if (!julia) dz = { x: dz.x + 1, y: dz.y };
+      z = cadd(cmul(zPrev, z), c);
+      if (z.x * z.x + z.y * z.y > bailoutSq) {
+        return { z, dz, escaped: true, iterations: i + 1 };
+      }
+    }
+    return { z, dz, escaped: false, iterations: this.maxIterations };
+  }
+
+  /**
+   * Final orbit value, used as the complex field for domain coloring
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {number} time - Current time for animations
+   * @returns {{x:number,y:number}}
+   */
+  computeComplex(point, time = 0) {
+    return this.iterate(applyAffineToPoint(point, this._inverse), time).z;
+  }
+
+  /**
+   * Calculate the thickened distance estimate in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local distance estimate
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    const { z, dz, escaped } = this.iterate(local, time);
+
+    // Points that never escape are inside (kept strictly negative for contouring)
+    let estimate = -1e-6;
+    if (escaped) {
+      const modulus = cabs(z);
+      const slope = cabs(dz);
+      estimate = slope > 0 ? 0.5 * modulus * Math.log(modulus) / slope : 0;
+    }
+    return estimate - this.epsilon;
+  }
+
+  /**
+   * Update fractal parameters
+   * @param {Object} params - New parameters
+   * @returns {FractalPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.variant !== undefined && FRACTAL_VARIANTS.includes(params.variant)) this.variant = params.variant;
+    if (params.c !== undefined) this.c = complex(params.c);
+    if (params.power !== undefined) this.power = Math.max(2, Math.round(params.power));
+    if (params.maxIterations !== undefined) this.maxIterations = params.maxIterations;
+    if (params.bailout !== undefined) this.bailout = params.bailout;
+    if (params.epsilon !== undefined) this.epsilon = params.epsilon;
+    if (params.cMapper !== undefined) this.cMapper = resolveMapping(params.cMapper);
+    super.updateParameters(params);
+
+    logger.info(`Updated FractalPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new FractalPrimitive({
+      ...this._params,
+      variant: this.variant,
+      c: { ...this.c },
+      power: this.power,
+      maxIterations: this.maxIterations,
+      bailout: this.bailout,
+      epsilon: this.epsilon,
+      cMapper: this.cMapper,
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a FractalPrimitive.
+   * @param {FractalPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      variant: instance.variant,
+      c: { x: instance.c.x, y: instance.c.y },
+      power: instance.power,
+      maxIterations: instance.maxIterations,
+      bailout: instance.bailout,
+      epsilon: instance.epsilon,
+      cMapper: serializeMapping(instance.cMapper)
+    };
+  }
+}
+
+export default FractalPrimitive;
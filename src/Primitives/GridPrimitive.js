@@ -0,0 +1,125 @@
+// File: src/primitives/GridPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { SDFGrid } from "../utils/SDFGrid.js";
+import { redistanceGrid } from "../utils/redistance.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Interpolation schemes for reading the grid.
+ */
+export const GRID_INTERPOLATIONS = ['bilinear', 'bicubic'];
+
+/**
+ * GridPrimitive
+ *
+ * A shape whose SDF is read from a baked SDFGrid, so an expensive composite can
+ * be sampled once (see GridPrimitive.bake) and then reused like any primitive.
+ * Outside the grid bounds the border value is extended by the distance to the
+ * bounds, which keeps the field a distance bound there.
+ *
+ * @extends FieldPrimitive
+ */
+export class GridPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {SDFGrid|Object} params.grid       - The grid, or its serialized form
+   * @param {string} [params.interpolation]    - One of GRID_INTERPOLATIONS
+   * @param {number[]} [params.bounds]         - Contouring bounds (defaults to the grid's)
+   * @param {number} [params.resolution]       - Contouring cells per axis (defaults to the grid's)
+   * @param {number[]} [params.matrix]         - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'grid';
+
+    this.grid = params.grid instanceof SDFGrid
+      ? params.grid
+      : SDFGrid.deserialize(params.grid || {});
+    this.interpolation = GRID_INTERPOLATIONS.includes(params.interpolation) ? params.interpolation : 'bilinear';
+    this.bounds = params.bounds || [...this.grid.bounds];
+    this.resolution = params.resolution || this.grid.resolution;
+
+    logger.info(`Created GridPrimitive with id: ${this.id}, resolution: ${this.grid.resolution}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Bake any shape's SDF into a GridPrimitive.
+   * @param {Object} shape - Shape with computeSDF
+   * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+   * @param {number} resolution - Cells per axis
+   * @param {Object} [options]
+   * @param {number} [options.time] - Time at which the shape is sampled
+   * @param {boolean} [options.redistance] - Rebuild a true signed distance after sampling
+   * @param {string} [options.interpolation] - One of GRID_INTERPOLATIONS
+   * @returns {GridPrimitive}
+   */
+  static bake(shape, bounds = [-2, -2, 2, 2], resolution = 150, options = {}) {
+    const { time = 0, redistance = false, interpolation = 'bilinear' } = options;
+    let grid = SDFGrid.fromFunction(pt => shape.computeSDF(pt, [], time), bounds, resolution);
+    if (redistance) grid = redistanceGrid(grid);
+    return new GridPrimitive({ grid, interpolation, color: shape.color ? { ...shape.color } : undefined });
+  }
+
+  /**
+   * Read the grid in local coordinates
+   * @param {Object} p - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(p, callStack = [], time = 0, depth = 0) {
+    const [xmin, ymin, xmax, ymax] = this.grid.bounds;
+    const clamped = {
+      x: Math.min(Math.max(p.x, xmin), xmax),
+      y: Math.min(Math.max(p.y, ymin), ymax)
+    };
+    const outside = Math.hypot(p.x - clamped.x, p.y - clamped.y);
+    return this.grid.sample(clamped, this.interpolation) + outside;
+  }
+
+  /**
+   * Update grid parameters
+   * @param {Object} params - New parameters
+   * @returns {GridPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.grid !== undefined) {
+      this.grid = params.grid instanceof SDFGrid ? params.grid : SDFGrid.deserialize(params.grid);
+    }
+    if (params.interpolation !== undefined && GRID_INTERPOLATIONS.includes(params.interpolation)) {
+      this.interpolation = params.interpolation;
+    }
+    super.updateParameters(params);
+
+    logger.info(`Updated GridPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new GridPrimitive({
+      ...this._params,
+      grid: this.grid.clone(),
+      interpolation: this.interpolation,
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a GridPrimitive.
+   * @param {GridPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      grid: instance.grid.serialize(),
+      interpolation: instance.interpolation
+    };
+  }
+}
+
+export default GridPrimitive;
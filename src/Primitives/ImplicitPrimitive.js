@@ -0,0 +1,132 @@
+// File: src/primitives/ImplicitPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { compileExpression } from "../utils/expressionParser.js";
+import { applyAffineToPoint } from "../utils/affine.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Variables an implicit expression may reference.
+ */
+export const IMPLICIT_VARIABLES = ['x', 'y', 't'];
+
+/**
+ * ImplicitPrimitive
+ *
+ * A primitive whose boundary is the zero set of a user-typed formula f(x, y, t),
+ * e.g. "x^2 + y^2 - 1" or "sin(x)*cos(y) - 0.2". Negative values are inside.
+ *
+ * A raw implicit function is generally not a distance, so by default the value is
+ * divided by its gradient magnitude (first-order distance estimate f / |∇f|), which
+ * keeps blends and contouring well-behaved near the zero set.
+ *
+ * @extends FieldPrimitive
+ */
+export class ImplicitPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {string} [params.expression]  - Formula in x, y and t
+   * @param {boolean} [params.normalize]  - Divide by the gradient magnitude (default true)
+   * @param {number[]} [params.bounds]    - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]  - Contouring cells per axis
+   * @param {number[]} [params.matrix]    - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'implicit';
+
+    this.normalize = params.normalize !== undefined ? params.normalize : true;
+
+    this.expression = null;
+    this._evaluate = null;
+    this.setExpression(params.expression || 'x^2 + y^2 - 1');
+
+    logger.info(`Created ImplicitPrimitive with id: ${this.id}, expression: ${this.expression}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Compile and install a new expression.
+   * Throws (and keeps the previous expression) if the new one does not parse.
+   * @param {string} expression - Formula in x, y and t
+   * @returns {ImplicitPrimitive} This instance for chaining
+   */
+  setExpression(expression) {
+    this._evaluate = compileExpression(expression, IMPLICIT_VARIABLES);
+    this.expression = expression;
+    return this;
+  }
+
+  /**
+   * Evaluate the raw formula at a world-space point
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {number} time - Current time for animations
+   * @returns {number}
+   */
+  evaluate(point, time = 0) {
+    const local = applyAffineToPoint(point, this._inverse);
+    return this._evaluate({ x: local.x, y: local.y, t: time });
+  }
+
+  /**
+   * Calculate the (optionally normalized) formula value in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    const f = (x, y) => this._evaluate({ x, y, t: time });
+    const value = f(local.x, local.y);
+    if (!Number.isFinite(value)) return Infinity;
+    if (!this.normalize) return value;
+
+    // Central differences for |∇f|
+    const h = 1e-4;
+    const gx = (f(local.x + h, local.y) - f(local.x - h, local.y)) / (2 * h);
+    const gy = (f(local.x, local.y + h) - f(local.x, local.y - h)) / (2 * h);
+    const gradient = Math.hypot(gx, gy);
+
+    return gradient > 1e-8 ? value / gradient : value;
+  }
+
+  /**
+   * Update implicit parameters
+   * @param {Object} params - New parameters
+   * @returns {ImplicitPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.expression !== undefined) this.setExpression(params.expression);
+    if (params.normalize !== undefined) this.normalize = params.normalize;
+    super.updateParameters(params);
+
+    logger.info(`Updated ImplicitPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new ImplicitPrimitive({
+      ...this._params,
+      expression: this.expression,
+      normalize: this.normalize,
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing an ImplicitPrimitive.
+   * @param {ImplicitPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      expression: instance.expression,
+      normalize: instance.normalize
+    };
+  }
+}
+
+export default ImplicitPrimitive;
@@ -5,25 +5,50 @@ import {
     composeAffine,
     invertAffine,
     makeAffine,
-    applyAffineToVertex,
-    applyAffineToFace,
+    identity,
+    translate,
+    rotate,
+    scale as scaleAffine,
+    decomposeAffine,
+    polarDecomposeAffine,
+    schurDecomposeAffine,
+    applyAffineToPoint,
     isInvertible
   } from "../utils/affine.js";
-  import { createBlendedPrimitive } from "../utils/SDFBlending.js";
+  import { createBlendedPrimitive, evaluateDualSDF } from "../utils/SDFBlending.js";
+  import { Dual, finiteDifferenceDual, composeDual, applyAffineToDualPoint } from "../utils/dual.js";
+  import { createContourObject } from "../utils/meshCreator.js";
+  import { resolveMapping, serializeMapping } from "../utils/DistanceMapping.js";
+  import { SDFGrid } from "../utils/SDFGrid.js";
+  import { redistanceGrid } from "../utils/redistance.js";
   import { DerivativePrimitive } from "./primaryDerivativePrimitives.js";
   import { ComplexPrimitive2D } from "./ComplexPrimitive2d.js";
   import { Vertex } from "../Geometry/Vertex.js";
-  import { Face } from "../Geometry/Face.js";
-  import * as THREE from 'three';
 
-  
   /**
    * SchurComposition
    *
    * Implements a "Schur-style" similarity transform composition:
-   *  1. Forward-transform base primitives into a common blend-space (T)
+   *  1. Read the base primitives in a common blend space
    *  2. Blend their SDFs via R-functions in that space
-   *  3. Inverse-transform the result back to world-space (T⁻¹)
+   *  3. Place the blend in world space with T (rotation, scale, position)
+   *
+   * Evaluation is lazy: computeSDF(p) evaluates the blend at T⁻¹p and rescales
+   * the value by T's singular values, so base shapes are never cloned or moved
+   * and edits to them show up in the composition directly.
+   *
+   * With `frame: 'auto'` the blend space is not taken from rotation / scale /
+   * position alone: the base shapes' sampled interiors are moved to a canonical
+   * frame first (centroid at the origin, principal axes along x and y, unit RMS
+   * radius), so blend widths and oriented operations (stairs, columns, grooves)
+   * follow the shapes rather than the world axes. The orthogonal and triangular
+   * factors of the resulting transform are kept in `decomposition`.
+   *
+   * Two things are computed from the base shapes once, when the composition is
+   * (re)built: the auto frame and, with `redistance` on, the redistanced grid.
+   * Call recompose() after editing a base shape so they follow the edit. A
+   * kMapper makes the field depend on time, so the grid is then rebaked whenever
+   * it is queried at a new time.
    *
    * @extends DerivativePrimitive
    */
@@ -34,9 +59,21 @@ import {
      * @param {number}             params.rotation      - Rotation in radians
      * @param {number}             params.scale         - Uniform scale
      * @param {{x:number,y:number}} params.position      - Translation vector
-     * @param {string[]}           [params.operations]  - Blend operations (union, intersection, difference)
+     * @param {string[]}           [params.operations]  - Blend operations (see BLEND_OPERATIONS)
      * @param {number[]}           [params.weights]     - Smoothness weights per operation
+     * @param {string}             [params.kernel]      - Blend kernel name (see blendKernels)
+     * @param {number}             [params.steps]       - Step / column count for stairs-* and columns-* operations
+     * @param {number}             [params.width]       - Groove / tongue width (defaults to the weight)
+     * @param {Function|Object|string} [params.kMapper] - Time mapping applied to the weights (animates 'morph')
+     * @param {boolean}            [params.redistance]  - Bake the result and rebuild a true signed distance
+     * @param {number[]}           [params.redistanceBounds]     - Bounds of the redistanced grid
+     * @param {number}             [params.redistanceResolution] - Cells per axis of the redistanced grid
      * @param {'sequential'|'balanced'|'nested'} [params.compositeFn] - Blend strategy
+     * @param {'manual'|'auto'}    [params.frame]       - Blend space from the parameters only, or from the shapes' principal axes
+     * @param {number[]}           [params.frameBounds]     - Region sampled for the canonical frame
+     * @param {number}             [params.frameResolution] - Samples per axis for the canonical frame
+     * @param {number[]}           [params.bounds]      - Contouring bounds [xmin, ymin, xmax, ymax]
+     * @param {number}             [params.resolution]  - Contouring cells per axis
      */
     constructor(params = {}) {
       super(params);
@@ -50,14 +87,29 @@ import {
       this.operations    = params.operations   || ['union'];
       this.weights       = params.weights      || [this.blendSmoothness];
       this.compositeFn   = params.compositeFn  || 'sequential';
+      this.kernel        = params.kernel       || 'rfunction';
+      this.steps         = params.steps        || 4;
+      this.width         = params.width;
+      this.kMapper       = params.kMapper ? resolveMapping(params.kMapper) : null;
+      this.redistance    = params.redistance   || false;
+      this.redistanceBounds     = params.redistanceBounds     || [-2, -2, 2, 2];
+      this.redistanceResolution = params.redistanceResolution || 100;
+      this.frame           = params.frame           || 'manual';
+      this.frameBounds     = params.frameBounds     || [-3, -3, 3, 3];
+      this.frameResolution = params.frameResolution || 48;
+      this.bounds          = params.bounds          || [-2, -2, 2, 2];
+      this.resolution      = params.resolution      || 150;
   
       // Internal
       this.transformedShapes = [];
       this._T                = null;
       this._Tinv             = null;
       this._needsUpdate      = true;
-      this._scaleFactor      = 1;  // Add scaleFactor to track determinant
-      this._sdfOffset        = 0;  // Add offset to ensure SDF crosses zero
+      this._frame            = null; // Canonical frame (auto mode): shape space → blend space
+      this._distanceScale    = 1;    // Smaller singular value of T
+      this._distanceGrid     = null; // Redistanced bake (when redistance is on)
+      this._distanceGridTime = null; // Time the bake was sampled at
+      this.decomposition     = null; // Factors of the blend-space transform, for inspection
   
       // Build composite
       this._initializeComposition();
@@ -97,6 +149,43 @@ import {
         changed = true;
       }
       
+      if (params.kernel !== undefined && params.kernel !== this.kernel) {
+        this.kernel = params.kernel;
+        changed = true;
+      }
+      
+      if (params.steps !== undefined && params.steps !== this.steps) {
+        this.steps = params.steps;
+        changed = true;
+      }
+      
+      if (params.width !== undefined && params.width !== this.width) {
+        this.width = params.width;
+        changed = true;
+      }
+      
+      if (params.kMapper !== undefined) {
+        this.kMapper = params.kMapper ? resolveMapping(params.kMapper) : null;
+        changed = true;
+      }
+      
+      ['redistance', 'redistanceBounds', 'redistanceResolution'].forEach(key => {
+        if (params[key] !== undefined && params[key] !== this[key]) {
+          this[key] = params[key];
+          this._distanceGrid = null;
+        }
+      });
+      
+      if (params.bounds !== undefined) this.bounds = params.bounds;
+      if (params.resolution !== undefined) this.resolution = params.resolution;
+      
+      ['frame', 'frameBounds', 'frameResolution'].forEach(key => {
+        if (params[key] !== undefined && params[key] !== this[key]) {
+          this[key] = params[key];
+          changed = true;
+        }
+      });
+      
       if (params.compositeFn !== undefined && params.compositeFn !== this.compositeFn) {
         this.compositeFn = params.compositeFn;
         changed = true;
@@ -119,12 +208,28 @@ import {
     }
   
     /**
-     * Initializes transforms, clones, blends, and restores.
+     * Rebuild the composition from the current state of its base shapes:
+     * recomputes the auto frame and drops the redistanced grid, which is baked
+     * again on the next query.
+     * @returns {SchurComposition} This instance for chaining
+     */
+    recompose() {
+      this._needsUpdate = true;
+      this._initializeComposition();
+      return this;
+    }
+  
+    /**
+     * Computes the blend-space transform and builds the blend tree. Nothing is
+     * cloned: the tree reads the base shapes themselves, so later edits to
+     * them show up without recomposing (apart from the auto frame and the
+     * redistanced grid; see recompose).
      * @private
      */
     _initializeComposition() {
       // Skip if nothing to compose
       if (this.baseShapes.length === 0) {
+        this.transformedShapes = [];
         this.shapes = [];
         return;
       }
@@ -133,6 +238,7 @@ import {
       if (!this._needsUpdate && this._T && this._Tinv) {
         return;
       }
+      this._distanceGrid = null;
   
       try {
         // Validate scale to prevent degenerate transformations
@@ -140,67 +246,38 @@ import {
         
         logger.info(`[${this.id}] SchurComposition: Initializing composition with ${this.baseShapes.length} shapes`);
         
-        // 1. Compute forward (T) and inverse (T⁻¹)
-        this._T = makeAffine({ 
+        // 1. Blend space → world (T) and back (T⁻¹). In auto mode the shapes are
+        //    blended in their canonical frame, which T maps back before placing
+        const placement = makeAffine({ 
           rotation: this.rotation, 
           scale: safeScale, 
           translate: this.position 
         });
+        const canonical = this.frame === 'auto' ? this._computeCanonicalFrame() : null;
+        this._frame = canonical ? canonical.transform : null;
+        this._T = this._frame ? composeAffine(placement, invertAffine(this._frame)) : placement;
         
         // Check matrix invertibility before proceeding
         if (!isInvertible(this._T)) {
           logger.warn(`[${this.id}] SchurComposition: Transformation matrix is not invertible. Using identity matrix instead.`);
-          this._T = { a: 1, b: 0, c: 0, d: 1, tx: 0, ty: 0 };
-          this._scaleFactor = 1;
-        } else {
-          // Calculate the scale factor from the determinant
-          this._scaleFactor = Math.sqrt(Math.abs(this._T.a * this._T.d - this._T.b * this._T.c));
-          logger.info(`[${this.id}] SchurComposition: Calculated scale factor: ${this._scaleFactor}`);
+          this._T = identity();
         }
-        
         this._Tinv = invertAffine(this._T);
+        
+        // Blend-space distances shrink by at most the smaller singular value of T
+        const { sx, sy } = decomposeAffine(this._T);
+        this._distanceScale = Math.min(Math.abs(sx), Math.abs(sy));
+        this._decomposeTransform(canonical);
   
-        // 2. Clone & transform into blend-space
-        this._cloneAndTransform();
+        // 2. Base shapes as seen from blend space
+        this.transformedShapes = this._viewInBlendSpace();
   
         // 3. Blend according to strategy
         const blended = this._blendInBlendSpace();
-        
-        // Validate blending result
         if (!blended) {
           logger.warn(`[${this.id}] SchurComposition: Blending operation failed to produce a valid result.`);
-          this.shapes = this.baseShapes.length > 0 ? [this.baseShapes[0].clone()] : [];
-          return;
-        }
-  
-        // 4. Inverse-transform and finalize
-        this._inverseTransform(blended);
-        
-        // 5. Calculate SDF bounds to find appropriate offset
-        this._calculateSDFOffset();
-        
-        // 6. Ensure SDF is properly updated
-        if (this.shapes && this.shapes.length > 0 && this.shapes[0]) {
-          if (typeof this.shapes[0].updateSDF === 'function') {
-            this.shapes[0].updateSDF();
-          }
-          
-          // Force regeneration of contours with multiple resolution attempts
-          if (typeof this.shapes[0].generateContours === 'function') {
-            // Try standard resolution first
-            const result = this.shapes[0].generateContours(150);
-            if (!result || (result.vertices && result.vertices.length === 0)) {
-              logger.info(`[${this.id}] SchurComposition: No contours found at standard resolution, trying higher resolution`);
-              this.shapes[0].generateContours(250);
-              
-              // If still no contours, try even higher resolution
-              if (!result || (result.vertices && result.vertices.length === 0)) {
-                logger.info(`[${this.id}] SchurComposition: Still no contours, trying very high resolution`);
-                this.shapes[0].generateContours(350);
-              }
-            }
-          }
         }
+        this.shapes = blended ? [blended] : [];
         
         logger.info(`[${this.id}] SchurComposition: Composition completed successfully`);
         
@@ -209,60 +286,140 @@ import {
       } catch (error) {
         logger.error(`[${this.id}] SchurComposition: Composition error:`, error);
         // Keep _needsUpdate true so we retry on next call
-        
-        // Set a fallback shape if possible
-        if (this.baseShapes.length > 0) {
-          try {
-            this.shapes = [this.baseShapes[0].clone()];
-          } catch (e) {
-            logger.error(`[${this.id}] SchurComposition: Fallback error:`, e);
-            this.shapes = [];
-          }
-        } else {
-          this.shapes = [];
-        }
+        this.shapes = [];
       }
     }
   
     /**
-     * Clone base shapes and apply forward transform.
+     * Canonical frame of the base shapes: the centroid and covariance of their
+     * sampled interiors (points where any base SDF is negative) give a transform
+     * that moves the centroid to the origin, turns the major principal axis onto
+     * x and scales to unit RMS radius. Open shapes, which have no interior, are
+     * sampled along their outline instead.
+     * @returns {{transform: Object, centroid: {x:number,y:number}, principalAxes: Array<{x:number,y:number}>, variances: number[], samples: number}|null}
+     *   null when no sample lies on any shape
      * @private
      */
-    _cloneAndTransform() {
-      this.transformedShapes = this.baseShapes.map(shape => {
-        if (!shape) return null;
-        
-        try {
-          const copy = shape.clone();
-          
-          // Ensure we have a valid shape with necessary methods
-          if (!copy || !copy.vertices || !Array.isArray(copy.vertices)) {
-            logger.warn(`[${this.id}] SchurComposition: Invalid shape detected during transform`);
-            return null;
-          }
-          
-          // Transform each vertex
-          if (Array.isArray(copy.vertices)) {
-            copy.vertices.forEach(v => applyAffineToVertex(v, this._T));
-          }
-          // Transform face
-          if (copy.face instanceof Face) {
-            applyAffineToFace(copy.face, this._T);
-          }
-          
-          // Ensure SDF is updated after transformation
-          if (typeof copy.updateSDF === 'function') {
-            copy.updateSDF();
-          }
-          
-          return copy;
-        } catch (error) {
-          logger.error(`[${this.id}] SchurComposition: Error during shape transformation:`, error);
-          return null;
+    _computeCanonicalFrame() {
+      const [xmin, ymin, xmax, ymax] = this.frameBounds;
+      const n = Math.max(2, Math.round(this.frameResolution));
+      const dx = (xmax - xmin) / n;
+      const dy = (ymax - ymin) / n;
+      const inside = [];
+      const outline = [];
+      
+      for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+          const pt = { x: xmin + i * dx, y: ymin + j * dy };
+          let d = Infinity;
+          this.baseShapes.forEach(shape => {
+            if (shape && typeof shape.computeSDF === 'function') {
+              d = Math.min(d, shape.computeSDF(pt, [this.id], 0, 0));
+            }
+          });
+          if (d < 0) inside.push(pt);
+          else if (d < Math.max(dx, dy)) outline.push(pt);
         }
-      }).filter(shape => shape !== null);
+      }
       
-      logger.info(`[${this.id}] SchurComposition: Transformed ${this.transformedShapes.length} shapes`);
+      const points = inside.length > 0 ? inside : outline;
+      if (points.length === 0) {
+        logger.warn(`[${this.id}] SchurComposition: No base shape inside frameBounds, keeping the manual frame`);
+        return null;
+      }
+      
+      // Centroid and covariance
+      let cx = 0, cy = 0;
+      points.forEach(p => { cx += p.x; cy += p.y; });
+      cx /= points.length;
+      cy /= points.length;
+      let sxx = 0, sxy = 0, syy = 0;
+      points.forEach(p => {
+        sxx += (p.x - cx) * (p.x - cx);
+        sxy += (p.x - cx) * (p.y - cy);
+        syy += (p.y - cy) * (p.y - cy);
+      });
+      sxx /= points.length;
+      sxy /= points.length;
+      syy /= points.length;
+      
+      // Eigen-decomposition of the symmetric 2×2 covariance
+      const angle  = Math.atan2(2 * sxy, sxx - syy) / 2;
+      const mean   = (sxx + syy) / 2;
+      const spread = Math.hypot((sxx - syy) / 2, sxy);
+      const variances = [mean + spread, Math.max(0, mean - spread)];
+      const rms = Math.sqrt(sxx + syy);
+      
+      // Translate, rotate the major axis onto x, normalize the size
+      let transform = composeAffine(rotate(-angle), translate(-cx, -cy));
+      if (rms > 1e-6) {
+        transform = composeAffine(scaleAffine(1 / rms, 1 / rms), transform);
+      }
+      
+      logger.info(`[${this.id}] SchurComposition: Canonical frame from ${points.length} samples, axis ${angle.toFixed(3)} rad`);
+      return {
+        transform,
+        centroid: { x: cx, y: cy },
+        principalAxes: [
+          { x: Math.cos(angle), y: Math.sin(angle) },
+          { x: -Math.sin(angle), y: Math.cos(angle) }
+        ],
+        variances,
+        samples: points.length
+      };
+    }
+  
+    /**
+     * Factor the blend-space transform for inspection: real Schur
+     * (T = U·S·Uᵀ) and polar (T = Q·P) decompositions of its linear part.
+     * @param {Object|null} canonical - Result of _computeCanonicalFrame, if any
+     * @private
+     */
+    _decomposeTransform(canonical) {
+      const { orthogonal, triangular, eigenvalues } = schurDecomposeAffine(this._T);
+      this.decomposition = {
+        frame: canonical ? 'auto' : 'manual',
+        transform: { ...this._T },
+        orthogonal,
+        triangular,
+        eigenvalues,
+        polar: polarDecomposeAffine(this._T),
+        centroid: canonical ? canonical.centroid : null,
+        principalAxes: canonical ? canonical.principalAxes : null,
+        variances: canonical ? canonical.variances : null
+      };
+    }
+  
+    /**
+     * Base shapes as seen from blend space. With the manual frame blend space
+     * is the shapes' own space and they are used as they are; the canonical
+     * frame wraps each one in a view that pulls the query point back through
+     * the frame and rescales the distance to blend-space units.
+     * @returns {Object[]} Shapes with computeSDF, in blend-space coordinates
+     * @private
+     */
+    _viewInBlendSpace() {
+      const shapes = this.baseShapes.filter(shape => {
+        if (shape && typeof shape.computeSDF === 'function') return true;
+        logger.warn(`[${this.id}] SchurComposition: Skipping base shape without computeSDF`);
+        return false;
+      });
+      
+      if (!this._frame) return shapes;
+      
+      const frameInv = invertAffine(this._frame);
+      const { sx, sy } = decomposeAffine(this._frame);
+      const frameScale = Math.min(Math.abs(sx), Math.abs(sy));
+      return shapes.map(shape => ({
+        id: shape.id,
+        color: shape.color,
+        metric: { center: applyAffineToPoint(shape.metric?.center || { x: 0, y: 0 }, this._frame) },
+        distanceMapper: shape.distanceMapper,
+        computeSDF: (point, callStack = [], time = 0, depth = 0) =>
+          shape.computeSDF(applyAffineToPoint(point, frameInv), callStack, time, depth) * frameScale,
+        computeSDFDual: (point, callStack = [], time = 0, depth = 0) =>
+          evaluateDualSDF(shape, applyAffineToDualPoint(point, frameInv), callStack, time, depth).scale(frameScale)
+      }));
     }
   
     /**
@@ -310,6 +467,10 @@ import {
         result = createBlendedPrimitive([result, shapes[i]], {
           smoothness: w,
           operation: op,
+          kernel: this.kernel,
+          steps: this.steps,
+          width: this.width,
+          kMapper: this.kMapper,
           color: this.color
         });
         
@@ -345,6 +506,10 @@ import {
       const result = createBlendedPrimitive([left, right], {
         smoothness: this.weights[idx % this.weights.length],
         operation:  this.operations[idx % this.operations.length],
+        kernel:     this.kernel,
+        steps:      this.steps,
+        width:      this.width,
+        kMapper:    this.kMapper,
         color:      this.color
       });
       
@@ -381,6 +546,10 @@ import {
         result = createBlendedPrimitive(pair, { 
           smoothness: w, 
           operation: op, 
+          kernel: this.kernel,
+          steps: this.steps,
+          width: this.width,
+          kMapper: this.kMapper,
           color: this.color 
         });
         
@@ -393,192 +562,113 @@ import {
     }
   
     /**
-     * Apply inverse transform, set `shapes`, and update SDF.
-     * @param {ComplexPrimitive2D} blended - The blended shape to transform
-     * @private
+     * Override: create Three.js object by contouring the zero set.
+     * @param {number} time - Animation time
+     * @returns {Object} - Three.js object
      */
-    _inverseTransform(blended) {
-      if (!blended) {
-        this.shapes = [];
-        return;
+    createObject(time = 0) {
+      return createContourObject(pt => this.computeSDF(pt, [], time), this.bounds, this.resolution, this.color);
+    }
+    
+  
+    /**
+     * Override: compute SDF for CPU queries. With `redistance` on, points inside
+     * redistanceBounds read the baked, redistanced grid, so the value is a true
+     * distance with the same zero set; other points use the composed field.
+     * @param {Object} point - Point to evaluate
+     * @param {Array} callStack - Call stack for recursion prevention
+     * @param {number} time - Animation time
+     * @param {number} depth - Recursion depth
+     * @returns {number} - SDF value
+     */
+    computeSDF(point, callStack = [], time = 0, depth = 0) {
+      if (!this.redistance) {
+        return this._computeComposedSDF(point, callStack, time, depth);
       }
-      
-      try {
-        // Inverse-transform vertices
-        if (Array.isArray(blended.vertices)) {
-          blended.vertices.forEach(v => applyAffineToVertex(v, this._Tinv));
-        }
-        // Inverse-transform face
-        if (blended.face instanceof Face) {
-          applyAffineToFace(blended.face, this._Tinv);
-        }
-        
-        // Special check: attach the scaling factor for SDF adjustments
-        blended._transformScaleFactor = this._scaleFactor;
-        
-        // Finalize
-        // 1️⃣ Inverse-transform the blended ComplexShape2D
-        if (typeof blended.updateCompositeSDF === 'function') {
-          blended.updateCompositeSDF();
-        } else if (typeof blended.updateSDF === 'function') {
-          blended.updateSDF();
-        }
-        
-        // 2️⃣ Now install it as our single output shape
-        this.shapes = [blended];
-        
-        logger.info(`[${this.id}] SchurComposition: Inverse transform complete`);
-      } catch (error) {
-        logger.error(`[${this.id}] SchurComposition: Error during inverse transformation:`, error);
-        this.shapes = [];
+      if (this._needsUpdate) this._initializeComposition();
+      if (!this._distanceGrid || (this.kMapper && time !== this._distanceGridTime)) {
+        this._bakeDistanceGrid(time);
       }
+
+      const [xmin, ymin, xmax, ymax] = this.redistanceBounds;
+      if (!this._distanceGrid || point.x < xmin || point.x > xmax || point.y < ymin || point.y > ymax) {
+        return this._computeComposedSDF(point, callStack, time, depth);
+      }
+      return this._distanceGrid.sample(point);
     }
 
     /**
-     * Calculate SDF offset to ensure zero-crossing
-     * @private
+     * Override: dual-number version of computeSDF. The composed field passes the
+     * dual point through T⁻¹, so derivatives stay exact; the redistanced grid
+     * falls back to finite differences.
+     * @param {Object} point - Dual point {x: Dual, y: Dual}
+     * @param {Array} callStack - Call stack for recursion prevention
+     * @param {number} time - Animation time
+     * @param {number} depth - Recursion depth
+     * @returns {Dual}
      */
-    _calculateSDFOffset() {
-      if (!this.shapes || this.shapes.length === 0 || !this.shapes[0]) {
-        return;
-      }
-
-      // Sample SDF at various points to find min/max values
-      const samplePoints = [];
-      const boundSize = 5; // Sample in a 10x10 grid
-      const steps = 10;
-      
-      for (let i = 0; i <= steps; i++) {
-        for (let j = 0; j <= steps; j++) {
-          const x = -boundSize + (2 * boundSize * i / steps);
-          const y = -boundSize + (2 * boundSize * j / steps);
-          samplePoints.push({x, y});
-        }
+    computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+      const P = point.x instanceof Dual ? point : Dual.point(point);
+      if (this.redistance) {
+        const plain = { x: P.x.value, y: P.y.value };
+        return composeDual(finiteDifferenceDual(q => this.computeSDF(q, callStack, time, depth), plain), P);
       }
+      if (this._needsUpdate) this._initializeComposition();
+      const shape = this.shapes && this.shapes[0];
+      if (!shape || callStack.includes(this.id)) return Dual.constant(Infinity);
       
-      try {
-        // Compute SDF values at sample points
-        const sdfValues = samplePoints.map(point => 
-          this.shapes[0].computeSDF(point, [], 0, 0)
-        );
-        
-        // Find min and max SDF values
-        const minSDF = Math.min(...sdfValues.filter(v => isFinite(v)));
-        const maxSDF = Math.max(...sdfValues.filter(v => isFinite(v)));
-        
-        logger.info(`[${this.id}] SchurComposition: SDF range: [${minSDF}, ${maxSDF}]`);
-        
-        // If all values are positive or all values are negative,
-        // we need to offset to ensure zero crossing
-        if (minSDF > 0) {
-          this._sdfOffset = -minSDF - 0.1; // Slightly more to ensure crossing
-          logger.info(`[${this.id}] SchurComposition: All SDF values positive, offsetting by ${this._sdfOffset}`);
-        } else if (maxSDF < 0) {
-          this._sdfOffset = -maxSDF + 0.1; // Slightly more to ensure crossing
-          logger.info(`[${this.id}] SchurComposition: All SDF values negative, offsetting by ${this._sdfOffset}`);
-        } else {
-          // We have zero crossings already
-          this._sdfOffset = 0;
-        }
-        
-        // If we have a very small range, expand it
-        if (Math.abs(maxSDF - minSDF) < 0.1) {
-          this._scaleFactor *= 10;
-          logger.info(`[${this.id}] SchurComposition: SDF range too small, boosting scale factor to ${this._scaleFactor}`);
-        }
-        
-        // Apply the offset by creating a custom distance mapper for the shape
-        if (this._sdfOffset !== 0 && this.shapes[0]) {
-          const originalComputeSDF = this.shapes[0].computeSDF.bind(this.shapes[0]);
-          this.shapes[0].computeSDF = (point, callStack = [], time = 0, depth = 0) => {
-            const originalValue = originalComputeSDF(point, callStack, time, depth);
-            return originalValue + this._sdfOffset;
-          };
-        }
-      } catch (error) {
-        logger.error(`[${this.id}] SchurComposition: Error calculating SDF offset: ${error}`);
-      }
+      const local = applyAffineToDualPoint(P, this._Tinv);
+      return evaluateDualSDF(shape, local, [...callStack, this.id], time, depth + 1).scale(this._distanceScale);
+    }
+
+    /**
+     * Sample the composed field over redistanceBounds and redistance it.
+     * @param {number} time - Animation time
+     * @private
+     */
+    _bakeDistanceGrid(time = 0) {
+      const resolution = this.redistanceResolution;
+      const grid = SDFGrid.fromFunction(
+        pt => this._computeComposedSDF(pt, [], time, 0),
+        this.redistanceBounds,
+        resolution
+      );
+      this._distanceGrid = redistanceGrid(grid);
+      this._distanceGridTime = time;
+      logger.info(`[${this.id}] SchurComposition: Redistanced ${resolution + 1}² grid`);
     }
   
     /**
-     * Override: create Three.js object for rendering.
+     * Composed SDF: the blend evaluated at T⁻¹p. Blend-space distances are
+     * scaled by the smaller singular value of T, which is exact for similarity
+     * transforms and a lower bound otherwise.
+     * @param {Object} point - Point to evaluate
+     * @param {Array} callStack - Call stack for recursion prevention
      * @param {number} time - Animation time
-     * @returns {Object} - Three.js object
+     * @param {number} depth - Recursion depth
+     * @returns {number} - SDF value
+     * @private
      */
-    createObject(time = 0) {
-      if (this._needsUpdate) this._initializeComposition();
-      const shape = (this.shapes && this.shapes[0]);
-      // 1) If it really knows how to render itself:
-      if (shape && typeof shape.createObject === "function") {
-        return shape.createObject(time);
+    _computeComposedSDF(point, callStack = [], time = 0, depth = 0) {
+      if (this._needsUpdate) {
+        this._initializeComposition();
+      }
+      
+      const shape = this.shapes && this.shapes[0];
+      if (!shape) {
+        return Infinity;
       }
-      // 2) Otherwise try the "line" fallback:
-      if (shape && typeof shape.createLineObject === "function") {
-        return shape.createLineObject(time);
+      
+      // Prevent infinite recursion
+      if (callStack.includes(this.id)) {
+        logger.warn(`[${this.id}] SchurComposition: Detected recursive SDF computation. Returning Infinity.`);
+        return Infinity;
       }
-      // 3) Last-ditch: give Three.js an empty container, not null:
-      return new THREE.Group();
+      
+      const local = applyAffineToPoint(point, this._Tinv);
+      return shape.computeSDF(local, [...callStack, this.id], time, depth + 1) * this._distanceScale;
     }
-    
-  
-/**
- * Override: compute SDF for CPU queries.
- * @param {Object} point - Point to evaluate
- * @param {Array} callStack - Call stack for recursion prevention
- * @param {number} time - Animation time
- * @param {number} depth - Recursion depth
- * @returns {number} - SDF value
- */
-computeSDF(point, callStack = [], time = 0, depth = 0) {
-  if (this._needsUpdate) {
-    this._initializeComposition();
-  }
-  
-  // Early return for empty shapes
-  if (!this.shapes || this.shapes.length === 0) {
-    return Infinity;
-  }
-  
-  // Guard against undefined shape
-  const shape = this.shapes[0];
-  if (!shape) {
-    return Infinity;
-  }
-  
-  // Prevent infinite recursion
-  if (callStack.includes(this.id)) {
-    logger.warn(`[${this.id}] SchurComposition: Detected recursive SDF computation. Returning Infinity.`);
-    return Infinity;
-  }
-  
-  // Add this object to call stack
-  callStack.push(this.id);
-  
-  try {
-    // Apply the transformation to the input point
-    const transformedPoint = {
-      x: this._Tinv.a * point.x + this._Tinv.c * point.y + this._Tinv.tx,
-      y: this._Tinv.b * point.x + this._Tinv.d * point.y + this._Tinv.ty
-    };
-    
-    // Use the transformed point for SDF computation
-    let sdfValue = shape.computeSDF(transformedPoint, callStack, time, depth);
-    
-    // Scale the SDF value by the determinant-based scale factor
-    // This ensures that distances are properly scaled back to world space
-    sdfValue = sdfValue / this._scaleFactor;
-    
-    // Apply a constant offset to ensure zero-crossing
-    // Subtract 0.5 to make interior points negative
-    sdfValue = sdfValue - 1.0;
-    
-    return sdfValue;
-  } finally {
-    // Always remove from call stack
-    const idx = callStack.indexOf(this.id);
-    if (idx >= 0) callStack.splice(idx, 1);
-  }
-}
+
     /**
      * Clone this SchurComposition.
      * @returns {SchurComposition} - A new instance with the same parameters
@@ -612,25 +702,56 @@ computeSDF(point, callStack = [], time = 0, depth = 0) {
         operations: [...this.operations],
         weights: [...this.weights],
         compositeFn: this.compositeFn,
+        kernel: this.kernel,
+        steps: this.steps,
+        width: this.width,
+        kMapper: this.kMapper,
+        redistance: this.redistance,
+        redistanceBounds: [...this.redistanceBounds],
+        redistanceResolution: this.redistanceResolution,
+        frame: this.frame,
+        frameBounds: [...this.frameBounds],
+        frameResolution: this.frameResolution,
+        bounds: [...this.bounds],
+        resolution: this.resolution,
         // Preserve color and other base properties
         color: { ...this.color },
         blendSmoothness: this.blendSmoothness
       });
       
-      // Preserve internal state for efficiency if valid
-      if (this._T && this._Tinv && !this._needsUpdate) {
-        clone._T = { ...this._T };
-        clone._Tinv = { ...this._Tinv };
-        clone._scaleFactor = this._scaleFactor;
-        clone._sdfOffset = this._sdfOffset;
-        clone._needsUpdate = false;
-      } else {
-        // Force update for safety
-        clone._needsUpdate = true;
-      }
-      
+      // The constructor has composed the clone over its own copies of the bases
       return clone;
     }
+
+    /**
+     * Static method for serializing a SchurComposition.
+     * Base shapes are stored by reference (see dependencyRefs in persistence).
+     * @param {SchurComposition} instance - The instance to serialize.
+     * @returns {Object} An object representing the serializable properties.
+     */
+    static getSerializableParameters(instance) {
+      return {
+        ...DerivativePrimitive.getSerializableParameters(instance),
+        rotation: instance.rotation,
+        scale: instance.scale,
+        position: { ...instance.position },
+        operations: [...instance.operations],
+        weights: [...instance.weights],
+        compositeFn: instance.compositeFn,
+        kernel: instance.kernel,
+        steps: instance.steps,
+        width: instance.width,
+        kMapper: instance.kMapper ? serializeMapping(instance.kMapper) : null,
+        redistance: instance.redistance,
+        redistanceBounds: [...instance.redistanceBounds],
+        redistanceResolution: instance.redistanceResolution,
+        frame: instance.frame,
+        frameBounds: [...instance.frameBounds],
+        frameResolution: instance.frameResolution,
+        bounds: [...instance.bounds],
+        resolution: instance.resolution
+      };
+    }
   }
   
   export default SchurComposition;
\ No newline at end of file
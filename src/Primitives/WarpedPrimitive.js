@@ -0,0 +1,172 @@
+// File: src/primitives/WarpedPrimitive.js
+import { FieldPrimitive } from "./FieldPrimitive.js";
+import { serializeWrappedShape } from "./DomainPrimitive.js";
+import {
+  isAffine,
+  composeComplexTransforms,
+  warpSDF,
+  serializeComplexTransform,
+  complexTransformFromDescriptor
+} from "../utils/complexTransform.js";
+import { identity, applyAffineToPoint } from "../utils/affine.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Lipschitz corrections for the pulled-back field (see warpSDF).
+ */
+export const WARP_CORRECTIONS = ['local', 'global', 'none'];
+
+/**
+ * WarpedPrimitive
+ *
+ * Maps another shape through a complex-plane transform (Möbius, zⁿ, exp, log,
+ * inversion; see utils/complexTransform.js) by evaluating it at every preimage of
+ * the query point, with the chosen Lipschitz correction. Affine transforms are
+ * accumulated in the matrix like any field primitive; a complex transform is
+ * composed into the warp. The wrapped shape is never modified.
+ *
+ * @extends FieldPrimitive
+ */
+export class WarpedPrimitive extends FieldPrimitive {
+  /**
+   * @param {Object} params
+   * @param {Object} params.base           - Shape to warp (anything with computeSDF)
+   * @param {Object} [params.warp]         - Complex transform, affine matrix or serialized descriptor
+   * @param {string} [params.correction]   - One of WARP_CORRECTIONS
+   * @param {number} [params.lipschitz]    - Constant for 'global' (estimated over the bounds when omitted)
+   * @param {number[]} [params.bounds]     - Contouring bounds [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Contouring cells per axis
+   * @param {number[]} [params.matrix]     - Accumulated affine transform as [a,b,c,d,tx,ty]
+   */
+  constructor(params = {}) {
+    super(params);
+    this.type = 'warped';
+
+    this.base = params.base || null;
+    this.correction = WARP_CORRECTIONS.includes(params.correction) ? params.correction : 'local';
+    this.lipschitz = params.lipschitz;
+    this.setWarp(params.warp || identity());
+
+    if (!this.base) {
+      logger.warn(`WarpedPrimitive ${this.id}: created without a base shape`);
+    }
+    logger.info(`Created WarpedPrimitive with id: ${this.id}, warp: ${this.warp.type || 'affine'}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Install a new warp and rebuild the pulled-back field. For the 'global'
+   * correction without an explicit constant, the constant is estimated over the
+   * bounds as they sit in local coordinates.
+   * @param {Object} warp - Complex transform, affine matrix or serialized descriptor
+   * @returns {WarpedPrimitive} This instance for chaining
+   */
+  setWarp(warp) {
+    this.warp = typeof warp.forward === 'function' || isAffine(warp)
+      ? warp
+      : complexTransformFromDescriptor(warp);
+
+    const [xmin, ymin, xmax, ymax] = this.bounds;
+    const corners = [[xmin, ymin], [xmax, ymin], [xmin, ymax], [xmax, ymax]]
+      .map(([x, y]) => applyAffineToPoint({ x, y }, this._inverse));
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+
+    this._warped = warpSDF(
+      (z, callStack, time, depth) => this.base.computeSDF(z, callStack, time, depth),
+      this.warp,
+      {
+        correction: this.correction,
+        lipschitz: this.lipschitz,
+        bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+      }
+    );
+    return this;
+  }
+
+  /**
+   * The field is empty without a base shape
+   * @param {Array} callStack - For preventing infinite recursion
+   * @returns {boolean}
+   */
+  canEvaluate(callStack = []) {
+    return Boolean(this.base) && super.canEvaluate(callStack);
+  }
+
+  /**
+   * Calculate the warped field in local coordinates
+   * @param {Object} local - Point in local coordinates (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The local field value
+   */
+  computeLocalSDF(local, callStack = [], time = 0, depth = 0) {
+    return this._warped(local, [...callStack, this.id], time, depth + 1);
+  }
+
+  /**
+   * Apply an affine matrix or a complex transform. A complex transform acts
+   * after the accumulated matrix, so both are folded into the warp.
+   * @param {Object} matrix - Affine matrix or complex transform
+   * @returns {WarpedPrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    if (isAffine(matrix)) {
+      super.transform(matrix);
+      return this.setWarp(this.warp);
+    }
+    const warp = composeComplexTransforms(matrix, composeComplexTransforms(this.matrix, this.warp));
+    this.setMatrix(identity());
+    return this.setWarp(warp);
+  }
+
+  /**
+   * Update warp parameters
+   * @param {Object} params - New parameters
+   * @returns {WarpedPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.base !== undefined) this.base = params.base;
+    if (params.correction !== undefined && WARP_CORRECTIONS.includes(params.correction)) {
+      this.correction = params.correction;
+    }
+    if (params.lipschitz !== undefined) this.lipschitz = params.lipschitz;
+    super.updateParameters(params);
+    this.setWarp(params.warp !== undefined ? params.warp : this.warp);
+
+    logger.info(`Updated WarpedPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new WarpedPrimitive({
+      ...this._params,
+      base: this.base && typeof this.base.clone === 'function' ? this.base.clone() : this.base,
+      warp: serializeComplexTransform(this.warp),
+      correction: this.correction,
+      lipschitz: this.lipschitz,
+      ...this.fieldParameters()
+    });
+    return this.copyStateTo(copy);
+  }
+
+  /**
+   * Static method for serializing a WarpedPrimitive. The base shape is nested
+   * as { type, data } and rebuilt by the state store.
+   * @param {WarpedPrimitive} instance - The instance to serialize.
+   * @returns {Object} An object representing the serializable properties.
+   */
+  static getSerializableParameters(instance) {
+    return {
+      ...FieldPrimitive.getSerializableParameters(instance),
+      base: serializeWrappedShape(instance.base, instance.id),
+      warp: serializeComplexTransform(instance.warp),
+      correction: instance.correction,
+      lipschitz: instance.lipschitz
+    };
+  }
+}
+
+export default WarpedPrimitive;
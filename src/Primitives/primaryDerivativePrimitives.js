@@ -5,17 +5,331 @@ import { Edge } from "../Geometry/Edge.js";
 import { 
   weightedRUnion, 
   weightedRIntersection, 
-  weightedRDifference 
+  weightedRDifference,
+  evaluateDualSDF
 } from "../utils/SDFBlending.js";
 import { 
   createTemporalMapping, 
   createSinusoidalMapping,
   createMapping,
-  identityMapping
+  identityMapping,
+  resolveMapping,
+  serializeMapping,
+  applyMapping
 } from "../utils/DistanceMapping.js";
+import {
+  Dual,
+  dualHypot,
+  dualDistanceToSegment,
+  finiteDifferenceDual,
+  composeDual
+} from "../utils/dual.js";
+import { roundSDF, annularSDF } from "../utils/fieldOperators.js";
+import { marchingSquares, buildLineSegments } from "../utils/meshCreator.js";
+import { decomposeAffine } from "../utils/affine.js";
+import { solveCubic } from "../utils/polynomial.js";
 import { logger } from "../utils/logger.js";
 import * as THREE from "three";
 
+/**
+ * Unsigned distance from a point to the segment [a, b]
+ * @param {Object} p - Point (x, y)
+ * @param {Object} a - Segment start (x, y)
+ * @param {Object} b - Segment end (x, y)
+ * @returns {number} Euclidean distance to the closest point on the segment
+ */
+function distanceToSegment(p, a, b) {
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const lengthSquared = ex * ex + ey * ey;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * ex + (p.y - a.y) * ey) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * ex), p.y - (a.y + t * ey));
+}
+
+/**
+ * Winding number of a closed loop of segments around a point.
+ * Non-zero means the point lies inside the loop.
+ * @param {Object} p - Point (x, y)
+ * @param {Array<Array<Object>>} segments - Array of [start, end] point pairs
+ * @returns {number} The winding number
+ */
+function windingNumber(p, segments) {
+  let winding = 0;
+  for (const [a, b] of segments) {
+    const side = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+    if (a.y <= p.y) {
+      if (b.y > p.y && side > 0) winding++;
+    } else if (b.y <= p.y && side < 0) {
+      winding--;
+    }
+  }
+  return winding;
+}
+
+/**
+ * Unsigned distance from a point to a circular fillet arc.
+ * The arc runs between tangent points a and b on the circle around center,
+ * taking the short way round.
+ * @param {Object} p - Point (x, y)
+ * @param {Object} arc - { a, b, center, radius }
+ * @returns {number} Euclidean distance to the arc
+ */
+function distanceToArc(p, { a, b, center, radius }) {
+  const ux = a.x - center.x, uy = a.y - center.y;
+  const wx = b.x - center.x, wy = b.y - center.y;
+  const qx = p.x - center.x, qy = p.y - center.y;
+  const span = ux * wy - uy * wx;
+  const fromA = ux * qy - uy * qx;
+  const toB = qx * wy - qy * wx;
+
+  if (fromA * span >= 0 && toB * span >= 0) {
+    return Math.abs(Math.hypot(qx, qy) - radius);
+  }
+  return Math.min(Math.hypot(p.x - a.x, p.y - a.y), Math.hypot(p.x - b.x, p.y - b.y));
+}
+
+/**
+ * Check whether a point lies inside the triangle (a, b, c), either orientation
+ * @param {Object} p - Point (x, y)
+ * @returns {boolean}
+ */
+function pointInTriangle(p, a, b, c) {
+  const d1 = (p.x - b.x) * (a.y - b.y) - (a.x - b.x) * (p.y - b.y);
+  const d2 = (p.x - c.x) * (b.y - c.y) - (b.x - c.x) * (p.y - c.y);
+  const d3 = (p.x - a.x) * (c.y - a.y) - (c.x - a.x) * (p.y - a.y);
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+}
+
+/**
+ * Closest point on an axis-aligned ellipse centred at the origin.
+ * Uses a few fixed-point iterations on the ellipse evolute, which converge to
+ * near machine precision for any query point.
+ * @param {number} px - Query x in the ellipse frame
+ * @param {number} py - Query y in the ellipse frame
+ * @param {number} a - Semi-axis along x
+ * @param {number} b - Semi-axis along y
+ * @returns {{x:number, y:number}} Closest point on the ellipse
+ */
+function closestPointOnEllipse(px, py, a, b) {
+  const qx0 = Math.abs(px);
+  const qy0 = Math.abs(py);
+  let tx = Math.SQRT1_2;
+  let ty = Math.SQRT1_2;
+
+  for (let i = 0; i < 4; i++) {
+    const x = a * tx;
+    const y = b * ty;
+    const ex = (a * a - b * b) * tx * tx * tx / a;
+    const ey = (b * b - a * a) * ty * ty * ty / b;
+    const r = Math.hypot(x - ex, y - ey);
+    const q = Math.hypot(qx0 - ex, qy0 - ey);
+    if (q < 1e-12) break;
+
+    tx = Math.min(1, Math.max(0, ((qx0 - ex) * r / q + ex) / a));
+    ty = Math.min(1, Math.max(0, ((qy0 - ey) * r / q + ey) / b));
+    const t = Math.hypot(tx, ty);
+    tx /= t;
+    ty /= t;
+  }
+
+  return {
+    x: Math.sign(px || 1) * a * tx,
+    y: Math.sign(py || 1) * b * ty
+  };
+}
+
+/**
+ * Evaluate a quadratic or cubic Bézier segment
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @param {number} t - Curve parameter in [0, 1]
+ * @returns {{x:number, y:number}}
+ */
+function evaluateBezier(pts, t) {
+  const s = 1 - t;
+  if (pts.length === 3) {
+    return {
+      x: s * s * pts[0].x + 2 * s * t * pts[1].x + t * t * pts[2].x,
+      y: s * s * pts[0].y + 2 * s * t * pts[1].y + t * t * pts[2].y
+    };
+  }
+  return {
+    x: s * s * s * pts[0].x + 3 * s * s * t * pts[1].x + 3 * s * t * t * pts[2].x + t * t * t * pts[3].x,
+    y: s * s * s * pts[0].y + 3 * s * s * t * pts[1].y + 3 * s * t * t * pts[2].y + t * t * t * pts[3].y
+  };
+}
+
+/**
+ * Power-basis coefficients of a Bézier segment: B(t) = Σ c[k]·t^k
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @returns {Array<{x:number,y:number}>} Coefficients c[0..degree]
+ */
+function bezierPowerBasis(pts) {
+  const [p0, p1, p2, p3] = pts;
+  if (pts.length === 3) {
+    return [
+      { x: p0.x, y: p0.y },
+      { x: 2 * (p1.x - p0.x), y: 2 * (p1.y - p0.y) },
+      { x: p0.x - 2 * p1.x + p2.x, y: p0.y - 2 * p1.y + p2.y }
+    ];
+  }
+  return [
+    { x: p0.x, y: p0.y },
+    { x: 3 * (p1.x - p0.x), y: 3 * (p1.y - p0.y) },
+    { x: 3 * (p0.x - 2 * p1.x + p2.x), y: 3 * (p0.y - 2 * p1.y + p2.y) },
+    { x: -p0.x + 3 * p1.x - 3 * p2.x + p3.x, y: -p0.y + 3 * p1.y - 3 * p2.y + p3.y }
+  ];
+}
+
+/**
+ * Closest point on a quadratic or cubic Bézier segment.
+ * The closest point solves (B(t) - p)·B'(t) = 0: a cubic for quadratic curves,
+ * solved in closed form, and a quintic for cubic curves, solved by Newton
+ * iteration from evenly spaced seeds. The end points are always candidates.
+ * @param {Object} p - Point (x, y)
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @returns {{t:number, distance:number}} Curve parameter and Euclidean distance
+ */
+function closestOnBezier(p, pts) {
+  const c = bezierPowerBasis(pts);
+  const candidates = [0, 1];
+
+  if (pts.length === 3) {
+    const dx = c[0].x - p.x, dy = c[0].y - p.y;
+    const ax = c[1].x / 2, ay = c[1].y / 2;
+    const bx = c[2].x, by = c[2].y;
+    candidates.push(...solveCubic(
+      bx * bx + by * by,
+      3 * (ax * bx + ay * by),
+      dx * bx + dy * by + 2 * (ax * ax + ay * ay),
+      dx * ax + dy * ay
+    ));
+  } else {
+    for (let seed = 0; seed <= 8; seed++) {
+      let t = seed / 8;
+      for (let iter = 0; iter < 8; iter++) {
+        const bx = c[0].x - p.x + t * (c[1].x + t * (c[2].x + t * c[3].x));
+        const by = c[0].y - p.y + t * (c[1].y + t * (c[2].y + t * c[3].y));
+        const d1x = c[1].x + t * (2 * c[2].x + 3 * t * c[3].x);
+        const d1y = c[1].y + t * (2 * c[2].y + 3 * t * c[3].y);
+        const d2x = 2 * c[2].x + 6 * t * c[3].x;
+        const d2y = 2 * c[2].y + 6 * t * c[3].y;
+        const f = bx * d1x + by * d1y;
+        const df = d1x * d1x + d1y * d1y + bx * d2x + by * d2y;
+        if (Math.abs(df) < 1e-12) break;
+        t = Math.max(0, Math.min(1, t - f / df));
+      }
+      candidates.push(t);
+    }
+  }
+
+  let best = { t: 0, distance: Infinity };
+  for (const t of candidates) {
+    if (!(t >= 0 && t <= 1)) continue;
+    const q = evaluateBezier(pts, t);
+    const distance = Math.hypot(p.x - q.x, p.y - q.y);
+    if (distance < best.distance) best = { t, distance };
+  }
+  return best;
+}
+
+/**
+ * Unsigned distance from a point to a quadratic or cubic Bézier segment
+ * @param {Object} p - Point (x, y)
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @returns {number} Euclidean distance to the curve
+ */
+function distanceToBezier(p, pts) {
+  return closestOnBezier(p, pts).distance;
+}
+
+/**
+ * Dual-number distance to a Bézier segment. The closest parameter is found on
+ * plain numbers, then refined by Newton steps on (B(t) - p)·B'(t) = 0 in Dual
+ * arithmetic, which gives its exact derivatives with respect to the query point.
+ * @param {{x: Dual, y: Dual}} P - Query point with Dual coordinates
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @returns {Dual}
+ */
+function dualDistanceToBezier(P, pts) {
+  const { t: t0 } = closestOnBezier({ x: P.x.value, y: P.y.value }, pts);
+  const c = bezierPowerBasis(pts);
+  const c3 = c[3] || { x: 0, y: 0 };
+  const curve = t => ({
+    x: t.mul(t.mul(t.scale(c3.x).add(c[2].x)).add(c[1].x)).add(c[0].x),
+    y: t.mul(t.mul(t.scale(c3.y).add(c[2].y)).add(c[1].y)).add(c[0].y)
+  });
+
+  let t = Dual.constant(t0);
+  // End points are fixed; interior minima move with the query point
+  if (t0 > 0 && t0 < 1) {
+    for (let iter = 0; iter < 2; iter++) {
+      const b = curve(t);
+      const bx = b.x.sub(P.x), by = b.y.sub(P.y);
+      const d1x = t.mul(t.scale(3 * c3.x).add(2 * c[2].x)).add(c[1].x);
+      const d1y = t.mul(t.scale(3 * c3.y).add(2 * c[2].y)).add(c[1].y);
+      const d2x = t.scale(6 * c3.x).add(2 * c[2].x);
+      const d2y = t.scale(6 * c3.y).add(2 * c[2].y);
+      const f = bx.mul(d1x).add(by.mul(d1y));
+      const df = d1x.mul(d1x).add(d1y.mul(d1y)).add(bx.mul(d2x)).add(by.mul(d2y));
+      if (Math.abs(df.value) < 1e-12) break;
+      t = t.sub(f.div(df));
+    }
+  }
+
+  const q = curve(t);
+  return dualHypot(P.x.sub(q.x), P.y.sub(q.y));
+}
+
+/**
+ * Signed crossing count of a horizontal ray from p (towards +x) with a Bézier
+ * segment, found by solving y(t) = p.y exactly. Parameters are taken in [0, 1)
+ * so that shared end points of chained segments are counted once.
+ * @param {Object} p - Point (x, y)
+ * @param {Array<{x:number,y:number}>} pts - 3 or 4 control points
+ * @returns {number} Winding contribution of the segment
+ */
+function bezierWinding(p, pts) {
+  const c = bezierPowerBasis(pts);
+  const roots = pts.length === 3
+    ? solveCubic(0, c[2].y, c[1].y, c[0].y - p.y)
+    : solveCubic(c[3].y, c[2].y, c[1].y, c[0].y - p.y);
+
+  let winding = 0;
+  for (const t of roots) {
+    if (!(t >= 0 && t < 1)) continue;
+    const x = c[0].x + t * (c[1].x + t * (c[2].x + t * (c[3] ? c[3].x : 0)));
+    if (x <= p.x) continue;
+    const dy = c[1].y + t * (2 * c[2].y + 3 * t * (c[3] ? c[3].y : 0));
+    if (dy > 0) winding++;
+    else if (dy < 0) winding--;
+  }
+  return winding;
+}
+
+/**
+ * Build a THREE.Line through the given outline points
+ * @param {Array<{x:number,y:number}>} points - Outline points
+ * @param {Object} color - HSL color with h in degrees
+ * @param {boolean} [closed=true] - Whether to join the last point back to the first
+ * @returns {THREE.Line|THREE.LineLoop} The outline object
+ */
+function createOutlineObject(points, color, closed = true) {
+  const geometry = new THREE.BufferGeometry().setFromPoints(
+    points.map(p => new THREE.Vector3(p.x, p.y, 0))
+  );
+  const lineColor = new THREE.Color().setHSL(
+    (color.h || 0) / 360,
+    typeof color.s === 'number' ? color.s : 0.8,
+    typeof color.l === 'number' ? color.l : 0.6
+  );
+  const material = new THREE.LineBasicMaterial({ color: lineColor });
+  return closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+}
+
 /**
  * Base class for derived primitives that compose multiple ComplexShape2D instances
  */
@@ -27,6 +341,10 @@ export class DerivativePrimitive {
     this.color = params.color || { h: 210, s: 0.8, l: 0.6 };
     this.blendSmoothness = params.blendSmoothness || 8;
     this.compositeSDF = null;
+    // Closed primitives report a signed distance (negative inside their edge loop)
+    this.closed = params.closed === true;
+    // Accepts a mapping function, a serialized descriptor or a registry name
+    this.distanceMapper = resolveMapping(params.distanceMapper);
 
     // Store reference to stateStore if provided
     this.stateStore = params.stateStore || null;
@@ -35,7 +353,8 @@ export class DerivativePrimitive {
   }
 
   /**
-   * Calculate SDF value at a given point
+   * Calculate SDF value at a given point, passed through the primitive's
+   * distanceMapper
    * @param {Object} point - Point to evaluate (x, y)
    * @param {Array} callStack - For preventing infinite recursion
    * @param {number} time - Current time for animations
@@ -47,9 +366,14 @@ export class DerivativePrimitive {
       return Infinity;
     }
 
+    // Closed shapes get a true signed distance from their edge loop
+    if (this.closed) {
+      return this.distanceMapper(this.computeSignedSDF(point, time, depth), time, depth, point);
+    }
+
     // If only one shape, use its SDF directly
     if (this.shapes.length === 1) {
-      return this.shapes[0].computeSDF(point, callStack, time, depth);
+      return this.distanceMapper(this.shapes[0].computeSDF(point, callStack, time, depth), time, depth, point);
     }
 
     // Otherwise blend all shapes' SDFs
@@ -60,7 +384,114 @@ export class DerivativePrimitive {
       result = weightedRUnion(result, shapeSdf, this.blendSmoothness);
     }
 
-    return result;
+    return this.distanceMapper(result, time, depth, point);
+  }
+
+  /**
+   * Collect the boundary segments of this primitive from its edge shapes.
+   * For closed primitives whose edge chain does not end where it started,
+   * a closing segment from the last vertex back to the first is appended.
+   * @returns {Array<Array<{x:number,y:number}>>} Array of [start, end] point pairs
+   */
+  getBoundarySegments() {
+    const segments = this.shapes
+      .filter(shape => shape.vertices && shape.vertices.length >= 2)
+      .map(shape => [shape.vertices[0].position, shape.vertices[1].position]);
+
+    if (this.closed && segments.length > 0) {
+      const first = segments[0][0];
+      const last = segments[segments.length - 1][1];
+      if (Math.hypot(last.x - first.x, last.y - first.y) > 1e-9) {
+        segments.push([last, first]);
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Softening radius for one boundary segment of a closed primitive; a
+   * positive value replaces the segment distance d by sqrt(d² + s²) - s.
+   * @param {number} index - Index into getBoundarySegments()
+   * @returns {number} Softening radius (0 keeps the exact distance)
+   */
+  edgeSoftness(index) {
+    return 0;
+  }
+
+  /**
+   * Calculate the signed distance for a closed primitive.
+   * The magnitude is the distance to the nearest (softened) boundary segment and
+   * the sign comes from the winding number of the edge loop (negative inside).
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The signed distance at the given point
+   */
+  computeSignedSDF(point, time = 0, depth = 0) {
+    const segments = this.getBoundarySegments();
+    if (segments.length === 0) {
+      return Infinity;
+    }
+
+    let distance = Infinity;
+    segments.forEach(([a, b], i) => {
+      const d = distanceToSegment(point, a, b);
+      const soft = this.edgeSoftness(i);
+      distance = Math.min(distance, soft > 0 ? Math.sqrt(d * d + soft * soft) - soft : d);
+    });
+
+    return windingNumber(point, segments) !== 0 ? -distance : distance;
+  }
+
+  /**
+   * Dual-number version of computeSignedSDF (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSignedSDFDual(point, time = 0, depth = 0) {
+    const segments = this.getBoundarySegments();
+    if (segments.length === 0) return Dual.constant(Infinity);
+
+    let distance = null;
+    segments.forEach(([a, b], i) => {
+      const d = dualDistanceToSegment(point, a, b);
+      const soft = this.edgeSoftness(i);
+      const value = soft > 0 ? d.mul(d).add(soft * soft).sqrt().sub(soft) : d;
+      distance = distance ? distance.min(value) : value;
+    });
+    const plain = { x: point.x.value, y: point.y.value };
+    return windingNumber(plain, segments) !== 0 ? distance.neg() : distance;
+  }
+
+  /**
+   * Dual-number version of computeSDF: same value, plus exact gradient and Hessian.
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    // Subclasses without edge shapes define their field in computeSDF alone
+    if (this.shapes.length === 0) {
+      const plain = { x: point.x.value, y: point.y.value };
+      return composeDual(finiteDifferenceDual(q => this.computeSDF(q, callStack, time, depth), plain), point);
+    }
+
+    const plain = { x: point.x.value, y: point.y.value };
+    if (this.closed) {
+      return applyMapping(this.distanceMapper, this.computeSignedSDFDual(point, time, depth), time, depth, plain);
+    }
+
+    let result = evaluateDualSDF(this.shapes[0], point, callStack, time, depth);
+    for (let i = 1; i < this.shapes.length; i++) {
+      const shapeSdf = evaluateDualSDF(this.shapes[i], point, callStack, time, depth);
+      result = weightedRUnion(result, shapeSdf, this.blendSmoothness);
+    }
+    return applyMapping(this.distanceMapper, result, time, depth, plain);
   }
 
   /**
@@ -150,6 +581,8 @@ export class DerivativePrimitive {
       type: instance.type,
       color: instance.color,
       blendSmoothness: instance.blendSmoothness,
+      closed: instance.closed,
+      distanceMapper: serializeMapping(instance.distanceMapper),
       // You might include additional common properties here if needed.
     };
 
@@ -175,6 +608,37 @@ export class DerivativePrimitive {
         thickness: instance.thickness
         // Additional arc-specific parameters can be added here.
       };
+    } else if (instance instanceof CirclePrimitive) {
+      return {
+        ...common,
+        radius: instance.radius,
+        position: instance.position
+      };
+    } else if (instance instanceof EllipsePrimitive) {
+      return {
+        ...common,
+        radiusX: instance.radiusX,
+        radiusY: instance.radiusY,
+        rotation: instance.rotation,
+        position: instance.position
+      };
+    } else if (instance instanceof PolygonPrimitive) {
+      return {
+        ...common,
+        sides: instance.sides,
+        radius: instance.radius,
+        rotation: instance.rotation,
+        position: instance.position,
+        vertices: instance.isRegular ? null : instance.verticesInput.map(v => ({ x: v.x, y: v.y })),
+        cornerRounding: Array.isArray(instance.cornerRounding) ? [...instance.cornerRounding] : instance.cornerRounding,
+        edgeSmoothness: Array.isArray(instance.edgeSmoothness) ? [...instance.edgeSmoothness] : instance.edgeSmoothness
+      };
+    } else if (instance instanceof BezierPrimitive) {
+      return {
+        ...common,
+        degree: instance.degree,
+        controlPoints: instance.controlPoints
+      };
     } else {
       // Fallback: return common properties only.
       return common;
@@ -201,8 +665,11 @@ export class TrianglePrimitive extends DerivativePrimitive {
     this.cornerRounding = params.cornerRounding || 0;
     // Optionally, user can provide custom vertices:
     this.verticesInput = params.vertices || null;
-    // Edge-specific smoothness can be modulated via an array [s1, s2, s3]
+    // Edge-specific smoothness [s1, s2, s3]: a softening radius per edge when
+    // closed (as in PolygonPrimitive), a sinusoidal edge mapper when open
     this.edgeSmoothness = params.edgeSmoothness || [0, 0, 0];
+    // Triangles are closed unless explicitly opened
+    this.closed = params.closed !== undefined ? params.closed : true;
     
     // Initialize the triangle shapes
     this._initializeTriangle();
@@ -231,6 +698,13 @@ export class TrianglePrimitive extends DerivativePrimitive {
     
     // Apply position and rotation to vertices
     vertices = this._transformVertices(vertices);
+
+    // Rounded corners: pull the edges in by the corner radius here and push the
+    // field back out with roundSDF, which turns each corner into an exact arc
+    this._cornerRadius = 0;
+    if (this.cornerRounding > 0 && this.closed) {
+      vertices = this._insetVertices(vertices, this.cornerRounding);
+    }
     
     // Create the three edges of the triangle
     for (let i = 0; i < 3; i++) {
@@ -266,15 +740,114 @@ export class TrianglePrimitive extends DerivativePrimitive {
       this.shapes.push(edge);
     }
     
-    // Apply corner rounding if specified
-    if (this.cornerRounding > 0) {
-      this._applyCornerRounding();
-    }
-    
     // Blend all edges together
     this._blendEdges();
   }
 
+  /**
+   * Move every edge inward by up to radius, scaling the triangle about its
+   * incenter. The radius actually used (capped just below the inradius) is
+   * stored in _cornerRadius.
+   * @private
+   * @param {Array} vertices - Transformed vertices
+   * @param {number} radius - Requested corner radius
+   * @returns {Array} Inset vertices
+   */
+  _insetVertices(vertices, radius) {
+    const [A, B, C] = vertices;
+    const a = Math.hypot(C.x - B.x, C.y - B.y);
+    const b = Math.hypot(A.x - C.x, A.y - C.y);
+    const c = Math.hypot(B.x - A.x, B.y - A.y);
+    const perimeter = a + b + c;
+    const area = Math.abs((B.x - A.x) * (C.y - A.y) - (C.x - A.x) * (B.y - A.y)) / 2;
+    if (perimeter === 0 || area === 0) return vertices;
+
+    const inradius = 2 * area / perimeter;
+    const incenter = {
+      x: (a * A.x + b * B.x + c * C.x) / perimeter,
+      y: (a * A.y + b * B.y + c * C.y) / perimeter
+    };
+    this._cornerRadius = Math.min(radius, inradius * 0.999);
+    const scale = (inradius - this._cornerRadius) / inradius;
+    return vertices.map(v => ({
+      x: incenter.x + (v.x - incenter.x) * scale,
+      y: incenter.y + (v.y - incenter.y) * scale
+    }));
+  }
+
+  /**
+   * Closed triangles soften each edge by its edgeSmoothness entry
+   * @param {number} index - Edge index
+   * @returns {number} Softening radius
+   */
+  edgeSoftness(index) {
+    return this.edgeSmoothness[index] || 0;
+  }
+
+  /**
+   * Signed distance of the closed triangle; rounded corners come from roundSDF
+   * applied to the inset triangle.
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The signed distance at the given point
+   */
+  computeSignedSDF(point, time = 0, depth = 0) {
+    const d = super.computeSignedSDF(point, time, depth);
+    return this._cornerRadius > 0 ? roundSDF(d, this._cornerRadius) : d;
+  }
+
+  /**
+   * Dual-number version of computeSignedSDF (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSignedSDFDual(point, time = 0, depth = 0) {
+    const d = super.computeSignedSDFDual(point, time, depth);
+    return this._cornerRadius > 0 ? roundSDF(d, this._cornerRadius) : d;
+  }
+
+  /**
+   * Create a THREE.js object; rounded triangles are drawn as their offset
+   * outline (edges pushed out by the corner radius, joined by arcs). The inset
+   * corners are read from the edges, so transforms are followed.
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the outline
+   */
+  createObject(time = 0) {
+    if (!(this._cornerRadius > 0)) return super.createObject(time);
+
+    const r = this._cornerRadius;
+    const pts = this.shapes.map(edge => edge.vertices[0].position);
+    const arcSteps = 8;
+    const points = [];
+    // Orientation decides which side of each edge is outward
+    const orientation = Math.sign(
+      (pts[1].x - pts[0].x) * (pts[2].y - pts[0].y) - (pts[2].x - pts[0].x) * (pts[1].y - pts[0].y)
+    );
+    const outwardAngle = (from, to) => Math.atan2(-(to.x - from.x), to.y - from.y) + (orientation > 0 ? 0 : Math.PI);
+
+    for (let i = 0; i < 3; i++) {
+      const prev = pts[(i + 2) % 3];
+      const v = pts[i];
+      const next = pts[(i + 1) % 3];
+      const start = outwardAngle(prev, v);
+      let sweep = outwardAngle(v, next) - start;
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      for (let k = 0; k <= arcSteps; k++) {
+        const angle = start + sweep * (k / arcSteps);
+        points.push({ x: v.x + r * Math.cos(angle), y: v.y + r * Math.sin(angle) });
+      }
+    }
+
+    const group = new THREE.Group();
+    group.add(createOutlineObject(points, this.color));
+    return group;
+  }
+
   /**
    * Create vertices for an equilateral triangle centered at origin
    * @private
@@ -313,26 +886,6 @@ export class TrianglePrimitive extends DerivativePrimitive {
     });
   }
 
-  /**
-   * Apply corner rounding by modifying distance mappers of each edge
-   * @private
-   */
-  _applyCornerRounding() {
-    logger.debug(`Applying corner rounding with value ${this.cornerRounding}`);
-    
-    for (let i = 0; i < this.shapes.length; i++) {
-      const shape = this.shapes[i];
-      const currentMapper = shape.distanceMapper || identityMapping;
-      
-      // Create a temporal mapping that applies the rounding effect
-      shape.distanceMapper = createMapping('temporal', {
-        baseMapper: currentMapper,
-        frequency: 0.5,
-        amplitude: this.cornerRounding * 0.1
-      });
-    }
-  }
-
   /**
    * Blend all edges together using weighted union
    * @private
@@ -366,6 +919,8 @@ export class TrianglePrimitive extends DerivativePrimitive {
     if (params.blendSmoothness !== undefined) this.blendSmoothness = params.blendSmoothness;
     if (params.color !== undefined) this.color = params.color;
     if (params.vertices !== undefined) this.verticesInput = params.vertices;
+    if (params.closed !== undefined) this.closed = params.closed;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
     
     // Reinitialize the triangle with updated parameters
     this._initializeTriangle();
@@ -378,6 +933,7 @@ export class TrianglePrimitive extends DerivativePrimitive {
     const copy = new TrianglePrimitive(this._params);
     copy.blendSmoothness = this.blendSmoothness;
     copy.color           = { ...this.color };
+    copy.distanceMapper  = this.distanceMapper;
     return copy;
   }  
 }
@@ -397,6 +953,9 @@ export class ArcPrimitive extends DerivativePrimitive {
     this.segments = params.segments || 8;
     this.position = params.position || { x: 0, y: 0 };
     this.thickness = params.thickness || 0;
+    // A full-circle arc is closed by default; partial arcs stay open unless
+    // requested, in which case the chord between the end points closes them
+    this.closed = params.closed !== undefined ? params.closed : this._isFullCircle();
     
     // Initialize the arc shapes
     this._initializeArc();
@@ -440,22 +999,11 @@ export class ArcPrimitive extends DerivativePrimitive {
         color: this.color 
       });
       
-      // Create a distance mapper for a thickness effect if specified
-      let distanceMapper = identityMapping;
-      if (this.thickness > 0) {
-        distanceMapper = createMapping('sinusoidal', {
-          a: this.thickness,
-          b: 10,  // Frequency
-          c: 0,   // Phase
-          e: this.thickness  // Vertical shift
-        });
-      }
-      
-      // Create the edge shape
+      // Create the edge shape (thickness is applied to the whole path in computeSDF)
       const segment = new ComplexShape2D({
         vertices: [vertexA, vertexB],
         color: this.color,
-        distanceMapper: distanceMapper,
+        distanceMapper: identityMapping,
         smoothness: this.blendSmoothness
       });
       
@@ -466,6 +1014,96 @@ export class ArcPrimitive extends DerivativePrimitive {
     this._blendSegments();
   }
 
+  /**
+   * Calculate SDF value at a given point. With a thickness the arc becomes a
+   * stroke of uniform width: annularSDF around the exact distance to the path
+   * (the signed loop distance when closed).
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    if (!(this.thickness > 0)) return super.computeSDF(point, callStack, time, depth);
+
+    let distance = Infinity;
+    if (this.closed) {
+      distance = this.computeSignedSDF(point, time, depth);
+    } else {
+      for (const [a, b] of this.getBoundarySegments()) {
+        distance = Math.min(distance, distanceToSegment(point, a, b));
+      }
+    }
+    return this.distanceMapper(annularSDF(distance, this.thickness), time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    if (!(this.thickness > 0)) return super.computeSDFDual(point, callStack, time, depth);
+
+    let distance = null;
+    if (this.closed) {
+      distance = this.computeSignedSDFDual(point, time, depth);
+    } else {
+      for (const [a, b] of this.getBoundarySegments()) {
+        const d = dualDistanceToSegment(point, a, b);
+        distance = distance ? distance.min(d) : d;
+      }
+    }
+    if (!distance) return Dual.constant(Infinity);
+    return applyMapping(this.distanceMapper, annularSDF(distance, this.thickness), time, depth,
+      { x: point.x.value, y: point.y.value });
+  }
+
+  /**
+   * Create a THREE.js object. A thick arc is drawn by contouring its stroke over
+   * the bounding box of the current (possibly transformed) path.
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the outline
+   */
+  createObject(time = 0) {
+    if (!(this.thickness > 0)) return super.createObject(time);
+
+    const points = this.getBoundarySegments().flat();
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const pad = 2 * this.thickness;
+    const bounds = [
+      Math.min(...xs) - pad, Math.min(...ys) - pad,
+      Math.max(...xs) + pad, Math.max(...ys) + pad
+    ];
+    // Keep several cells across the stroke
+    const span = Math.max(bounds[2] - bounds[0], bounds[3] - bounds[1]);
+    const resolution = Math.min(400, Math.max(100, Math.ceil(4 * span / this.thickness)));
+    const group = new THREE.Group();
+    const loops = marchingSquares(pt => this.computeSDF(pt, [], time), bounds, resolution);
+    if (loops.length === 0) return group;
+
+    const color = new THREE.Color().setHSL(this.color.h / 360, this.color.s, this.color.l);
+    group.add(new THREE.LineSegments(
+      buildLineSegments(loops),
+      new THREE.LineBasicMaterial({ color })
+    ));
+    return group;
+  }
+
+  /**
+   * Check whether the arc spans a full revolution
+   * @private
+   * @returns {boolean} True if the arc closes on itself
+   */
+  _isFullCircle() {
+    return Math.abs(this.endAngle - this.startAngle) >= 2 * Math.PI - 1e-9;
+  }
+
   /**
    * Blend all segments together using weighted union
    * @private
@@ -498,6 +1136,8 @@ export class ArcPrimitive extends DerivativePrimitive {
     if (params.thickness !== undefined) this.thickness = params.thickness;
     if (params.blendSmoothness !== undefined) this.blendSmoothness = params.blendSmoothness;
     if (params.color !== undefined) this.color = params.color;
+    if (params.closed !== undefined) this.closed = params.closed;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
     
     // Reinitialize the arc with updated parameters
     this._initializeArc();
@@ -509,13 +1149,867 @@ export class ArcPrimitive extends DerivativePrimitive {
     const copy = new ArcPrimitive(this._params);
     copy.blendSmoothness = this.blendSmoothness;
     copy.color           = { ...this.color };
+    copy.distanceMapper  = this.distanceMapper;
     return copy;
   }  
 }
 
+/**
+ * Circle primitive with an exact signed distance function
+ */
+export class CirclePrimitive extends DerivativePrimitive {
+  constructor(params = {}) {
+    super(params);
+    this.type = 'circle';
+    this.closed = true;
+
+    // Circle parameters with defaults
+    this.radius = params.radius || 1;
+    this.position = params.position || { x: 0, y: 0 };
+
+    logger.info(`Created CirclePrimitive with id: ${this.id}, radius: ${this.radius}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Exact signed distance to the circle, passed through the distance mapper
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    const d = Math.hypot(point.x - this.position.x, point.y - this.position.y) - this.radius;
+    return this.distanceMapper(d, time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    const d = dualHypot(point.x.sub(this.position.x), point.y.sub(this.position.y)).sub(this.radius);
+    return applyMapping(this.distanceMapper, d, time, depth, { x: point.x.value, y: point.y.value });
+  }
+
+  /**
+   * Create a THREE.js outline of the circle
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the outline
+   */
+  createObject(time = 0) {
+    const segments = 64;
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      points.push({
+        x: this.position.x + this.radius * Math.cos(angle),
+        y: this.position.y + this.radius * Math.sin(angle)
+      });
+    }
+
+    const group = new THREE.Group();
+    group.add(createOutlineObject(points, this.color));
+    return group;
+  }
+
+  /**
+   * Apply a transformation matrix to the circle.
+   * The centre is mapped exactly; the radius is scaled by the geometric mean
+   * of the singular values, since a circle cannot represent anisotropic scale.
+   * @param {Object} matrix - Transformation matrix
+   * @returns {CirclePrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    const { x, y } = this.position;
+    this.position = {
+      x: matrix.a * x + matrix.b * y + (matrix.tx || 0),
+      y: matrix.c * x + matrix.d * y + (matrix.ty || 0)
+    };
+    this.radius *= Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
+    return this;
+  }
+
+  /**
+   * Update circle parameters
+   * @param {Object} params - New parameters
+   * @returns {CirclePrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.radius !== undefined) this.radius = params.radius;
+    if (params.position !== undefined) this.position = params.position;
+    if (params.color !== undefined) this.color = params.color;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
+
+    logger.info(`Updated CirclePrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new CirclePrimitive(this._params);
+    copy.radius          = this.radius;
+    copy.position        = { ...this.position };
+    copy.distanceMapper  = this.distanceMapper;
+    copy.blendSmoothness = this.blendSmoothness;
+    copy.color           = { ...this.color };
+    return copy;
+  }
+}
+
+/**
+ * Ellipse primitive with a near-exact signed distance function
+ */
+export class EllipsePrimitive extends DerivativePrimitive {
+  constructor(params = {}) {
+    super(params);
+    this.type = 'ellipse';
+    this.closed = true;
+
+    // Ellipse parameters with defaults
+    this.radiusX = params.radiusX || 1.5;
+    this.radiusY = params.radiusY || 1;
+    this.rotation = params.rotation || 0;
+    this.position = params.position || { x: 0, y: 0 };
+
+    logger.info(`Created EllipsePrimitive with id: ${this.id}, radii: (${this.radiusX}, ${this.radiusY})`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Signed distance to the ellipse, passed through the distance mapper
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    // Move the point into the ellipse's local frame
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const dx = point.x - this.position.x;
+    const dy = point.y - this.position.y;
+    const lx = dx * cos + dy * sin;
+    const ly = -dx * sin + dy * cos;
+
+    const closest = closestPointOnEllipse(lx, ly, this.radiusX, this.radiusY);
+    const distance = Math.hypot(lx - closest.x, ly - closest.y);
+    const inside = (lx / this.radiusX) ** 2 + (ly / this.radiusY) ** 2 < 1;
+    return this.distanceMapper(inside ? -distance : distance, time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF (exact gradient and Hessian).
+   * The closest point's angle t is refined by Newton steps on
+   * (p - c(t))·c'(t) = 0 in Dual arithmetic, which carries its derivatives.
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const dx = point.x.sub(this.position.x);
+    const dy = point.y.sub(this.position.y);
+    const lx = dx.scale(cos).add(dy.scale(sin));
+    const ly = dy.scale(cos).sub(dx.scale(sin));
+    const a = this.radiusX;
+    const b = this.radiusY;
+
+    const closest = closestPointOnEllipse(lx.value, ly.value, a, b);
+    let t = Dual.constant(Math.atan2(closest.y / b, closest.x / a));
+    for (let iter = 0; iter < 2; iter++) {
+      const ct = t.cos();
+      const st = t.sin();
+      const ex = lx.sub(ct.scale(a));
+      const ey = ly.sub(st.scale(b));
+      const g = ey.mul(ct).scale(b).sub(ex.mul(st).scale(a));
+      const dg = st.mul(st).scale(-a * a).sub(ct.mul(ct).scale(b * b))
+        .sub(ct.mul(ex).scale(a)).sub(st.mul(ey).scale(b));
+      if (Math.abs(dg.value) < 1e-12) break;
+      t = t.sub(g.div(dg));
+    }
+
+    const distance = dualHypot(lx.sub(t.cos().scale(a)), ly.sub(t.sin().scale(b)));
+    const inside = (lx.value / a) ** 2 + (ly.value / b) ** 2 < 1;
+    return applyMapping(this.distanceMapper, inside ? distance.neg() : distance, time, depth,
+      { x: point.x.value, y: point.y.value });
+  }
+
+  /**
+   * Create a THREE.js outline of the ellipse
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the outline
+   */
+  createObject(time = 0) {
+    const segments = 64;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      const x = this.radiusX * Math.cos(angle);
+      const y = this.radiusY * Math.sin(angle);
+      points.push({
+        x: this.position.x + x * cos - y * sin,
+        y: this.position.y + x * sin + y * cos
+      });
+    }
+
+    const group = new THREE.Group();
+    group.add(createOutlineObject(points, this.color));
+    return group;
+  }
+
+  /**
+   * Apply a transformation matrix to the ellipse.
+   * Any affine image of an ellipse is again an ellipse, so the new radii and
+   * rotation are read off the SVD of the matrix composed with the ellipse axes.
+   * @param {Object} matrix - Transformation matrix
+   * @returns {EllipsePrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    const { x, y } = this.position;
+    this.position = {
+      x: matrix.a * x + matrix.b * y + (matrix.tx || 0),
+      y: matrix.c * x + matrix.d * y + (matrix.ty || 0)
+    };
+
+    // Linear part of matrix · R(rotation) · diag(radiusX, radiusY)
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const axes = {
+      a: (matrix.a * cos + matrix.b * sin) * this.radiusX,
+      b: (matrix.b * cos - matrix.a * sin) * this.radiusY,
+      c: (matrix.c * cos + matrix.d * sin) * this.radiusX,
+      d: (matrix.d * cos - matrix.c * sin) * this.radiusY
+    };
+    const { rotationU, sx, sy } = decomposeAffine(axes);
+    this.radiusX = sx;
+    this.radiusY = Math.abs(sy);
+    this.rotation = rotationU;
+    return this;
+  }
+
+  /**
+   * Update ellipse parameters
+   * @param {Object} params - New parameters
+   * @returns {EllipsePrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.radiusX !== undefined) this.radiusX = params.radiusX;
+    if (params.radiusY !== undefined) this.radiusY = params.radiusY;
+    if (params.rotation !== undefined) this.rotation = params.rotation;
+    if (params.position !== undefined) this.position = params.position;
+    if (params.color !== undefined) this.color = params.color;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
+
+    logger.info(`Updated EllipsePrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new EllipsePrimitive(this._params);
+    copy.radiusX         = this.radiusX;
+    copy.radiusY         = this.radiusY;
+    copy.rotation        = this.rotation;
+    copy.position        = { ...this.position };
+    copy.distanceMapper  = this.distanceMapper;
+    copy.blendSmoothness = this.blendSmoothness;
+    copy.color           = { ...this.color };
+    return copy;
+  }
+}
+
+/**
+ * General N-vertex polygon primitive
+ *
+ * If vertices are provided they are used directly (any simple polygon, convex or not).
+ * Otherwise a regular n-gon is built from 'sides', 'radius' (circumradius) and 'rotation'.
+ * Each corner can be rounded with an exact circular fillet, and each edge can be
+ * softened so the distance field grows smoothly across it.
+ */
+export class PolygonPrimitive extends DerivativePrimitive {
+  constructor(params = {}) {
+    super(params);
+    this.type = 'polygon';
+    this.closed = true;
+
+    // Polygon parameters with defaults
+    this.sides = Math.max(3, Math.round(params.sides || 5));
+    this.radius = params.radius || 1;
+    this.rotation = params.rotation || 0;
+    this.position = params.position || { x: 0, y: 0 };
+    // Optionally, user can provide custom vertices (switches off regular n-gon mode)
+    this.verticesInput = params.vertices || null;
+    // Corner rounding radius: a single number or one value per corner
+    this.cornerRounding = params.cornerRounding || 0;
+    // Edge softening radius: a single number or one value per edge
+    this.edgeSmoothness = params.edgeSmoothness || 0;
+
+    // Initialize the polygon shapes
+    this._initializePolygon();
+
+    logger.info(`Created PolygonPrimitive with id: ${this.id}, vertices: ${this._points.length}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Whether the polygon is generated as a regular n-gon
+   * @returns {boolean}
+   */
+  get isRegular() {
+    return !(Array.isArray(this.verticesInput) && this.verticesInput.length >= 3);
+  }
+
+  /**
+   * Initialize the polygon edges and corner fillets
+   * @private
+   */
+  _initializePolygon() {
+    this.shapes = [];
+
+    const local = this.isRegular ? this._createRegularVertices() : this.verticesInput;
+    this._points = this._transformVertices(local);
+
+    const n = this._points.length;
+    for (let i = 0; i < n; i++) {
+      const vertexA = new Vertex({ position: { ...this._points[i] }, color: this.color });
+      const vertexB = new Vertex({ position: { ...this._points[(i + 1) % n] }, color: this.color });
+
+      this.shapes.push(new ComplexShape2D({
+        vertices: [vertexA, vertexB],
+        color: this.color,
+        smoothness: this.blendSmoothness
+      }));
+    }
+
+    // Signed area gives the orientation needed to tell convex from reflex corners
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+      const a = this._points[i];
+      const b = this._points[(i + 1) % n];
+      area += a.x * b.y - b.x * a.y;
+    }
+    this._orientation = Math.sign(area) || 1;
+
+    this._corners = this._points.map((_, i) => this._createCorner(i));
+  }
+
+  /**
+   * Create the vertices of a regular n-gon centered at origin, first vertex on top
+   * @private
+   * @returns {Array} Array of vertex positions
+   */
+  _createRegularVertices() {
+    const vertices = [];
+    for (let i = 0; i < this.sides; i++) {
+      const angle = Math.PI / 2 + (i / this.sides) * Math.PI * 2;
+      vertices.push({ x: this.radius * Math.cos(angle), y: this.radius * Math.sin(angle) });
+    }
+    return vertices;
+  }
+
+  /**
+   * Apply position and rotation transforms to vertices
+   * @private
+   * @param {Array} vertices - Original vertices
+   * @returns {Array} Transformed vertices
+   */
+  _transformVertices(vertices) {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+
+    return vertices.map(v => ({
+      x: v.x * cos - v.y * sin + this.position.x,
+      y: v.x * sin + v.y * cos + this.position.y
+    }));
+  }
+
+  /**
+   * Read a per-index value from a scalar or array parameter
+   * @private
+   */
+  _valueAt(value, i) {
+    if (Array.isArray(value)) return value[i] || 0;
+    return value || 0;
+  }
+
+  /**
+   * Compute the circular fillet replacing corner i.
+   * The fillet circle is tangent to both adjacent edges; its radius is clamped
+   * so the tangent points never pass the middle of either edge.
+   * @private
+   * @param {number} i - Corner index
+   * @returns {Object|null} { vertex, convex, a, b, center, radius } or null for a sharp corner
+   */
+  _createCorner(i) {
+    const n = this._points.length;
+    const requested = this._valueAt(this.cornerRounding, i);
+    if (requested <= 0) return null;
+
+    const v = this._points[i];
+    const prev = this._points[(i - 1 + n) % n];
+    const next = this._points[(i + 1) % n];
+    const lenPrev = Math.hypot(prev.x - v.x, prev.y - v.y);
+    const lenNext = Math.hypot(next.x - v.x, next.y - v.y);
+    if (lenPrev === 0 || lenNext === 0) return null;
+
+    const u = { x: (prev.x - v.x) / lenPrev, y: (prev.y - v.y) / lenPrev };
+    const w = { x: (next.x - v.x) / lenNext, y: (next.y - v.y) / lenNext };
+    const angle = Math.acos(Math.max(-1, Math.min(1, u.x * w.x + u.y * w.y)));
+    if (angle < 1e-6 || angle > Math.PI - 1e-6) return null;
+
+    const halfTan = Math.tan(angle / 2);
+    const tangent = Math.min(requested / halfTan, lenPrev / 2, lenNext / 2);
+    const radius = tangent * halfTan;
+
+    const bx = u.x + w.x;
+    const by = u.y + w.y;
+    const bLen = Math.hypot(bx, by);
+    const centerDistance = radius / Math.sin(angle / 2);
+
+    const turn = (v.x - prev.x) * (next.y - v.y) - (v.y - prev.y) * (next.x - v.x);
+
+    return {
+      vertex: v,
+      convex: turn * this._orientation > 0,
+      a: { x: v.x + u.x * tangent, y: v.y + u.y * tangent },
+      b: { x: v.x + w.x * tangent, y: v.y + w.y * tangent },
+      center: { x: v.x + (bx / bLen) * centerDistance, y: v.y + (by / bLen) * centerDistance },
+      radius
+    };
+  }
+
+  /**
+   * Signed distance to the (optionally rounded) polygon.
+   * Edges are trimmed at their fillet tangent points; the sign comes from the
+   * winding number of the sharp polygon, corrected inside each fillet's wedge.
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    const n = this._points.length;
+    if (n < 3) return Infinity;
+
+    let distance = Infinity;
+    const segments = [];
+
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      segments.push([this._points[i], this._points[j]]);
+
+      // Edge between the fillet of corner i and the fillet of corner j
+      const start = this._corners[i] ? this._corners[i].b : this._points[i];
+      const end = this._corners[j] ? this._corners[j].a : this._points[j];
+      const d = distanceToSegment(point, start, end);
+      const soft = this._valueAt(this.edgeSmoothness, i);
+      distance = Math.min(distance, soft > 0 ? Math.sqrt(d * d + soft * soft) - soft : d);
+    }
+
+    let inside = windingNumber(point, segments) !== 0;
+
+    for (const corner of this._corners) {
+      if (!corner) continue;
+      distance = Math.min(distance, distanceToArc(point, corner));
+      // Inside the wedge the fillet circle alone decides the side: a convex
+      // corner keeps the disc, a reflex corner fills everything but the disc
+      if (pointInTriangle(point, corner.a, corner.vertex, corner.b)) {
+        const inDisc = Math.hypot(point.x - corner.center.x, point.y - corner.center.y) <= corner.radius;
+        inside = corner.convex ? inDisc : !inDisc;
+      }
+    }
+
+    return this.distanceMapper(inside ? -distance : distance, time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF, following the same edges, fillets and
+   * edge softening (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    const n = this._points.length;
+    if (n < 3) return Dual.constant(Infinity);
+
+    const plain = { x: point.x.value, y: point.y.value };
+    let distance = null;
+    const keep = d => { distance = distance ? distance.min(d) : d; };
+    const segments = [];
+
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      segments.push([this._points[i], this._points[j]]);
+
+      const start = this._corners[i] ? this._corners[i].b : this._points[i];
+      const end = this._corners[j] ? this._corners[j].a : this._points[j];
+      const d = dualDistanceToSegment(point, start, end);
+      const soft = this._valueAt(this.edgeSmoothness, i);
+      keep(soft > 0 ? d.mul(d).add(soft * soft).sqrt().sub(soft) : d);
+    }
+
+    let inside = windingNumber(plain, segments) !== 0;
+
+    for (const corner of this._corners) {
+      if (!corner) continue;
+      const { a, b, center, radius } = corner;
+      const ux = a.x - center.x, uy = a.y - center.y;
+      const wx = b.x - center.x, wy = b.y - center.y;
+      const qx = plain.x - center.x, qy = plain.y - center.y;
+      const span = ux * wy - uy * wx;
+      // Same branch choice as distanceToArc
+      if ((ux * qy - uy * qx) * span >= 0 && (qx * wy - qy * wx) * span >= 0) {
+        keep(dualHypot(point.x.sub(center.x), point.y.sub(center.y)).sub(radius).abs());
+      } else {
+        keep(dualHypot(point.x.sub(a.x), point.y.sub(a.y)).min(dualHypot(point.x.sub(b.x), point.y.sub(b.y))));
+      }
+      if (pointInTriangle(plain, a, corner.vertex, b)) {
+        const inDisc = Math.hypot(qx, qy) <= radius;
+        inside = corner.convex ? inDisc : !inDisc;
+      }
+    }
+
+    return applyMapping(this.distanceMapper, inside ? distance.neg() : distance, time, depth, plain);
+  }
+
+  /**
+   * Create a THREE.js outline of the polygon, including rounded corners
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the outline
+   */
+  createObject(time = 0) {
+    const points = [];
+    const arcSteps = 8;
+
+    this._points.forEach((p, i) => {
+      const corner = this._corners[i];
+      if (!corner) {
+        points.push(p);
+        return;
+      }
+      const startAngle = Math.atan2(corner.a.y - corner.center.y, corner.a.x - corner.center.x);
+      let sweep = Math.atan2(corner.b.y - corner.center.y, corner.b.x - corner.center.x) - startAngle;
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      for (let k = 0; k <= arcSteps; k++) {
+        const angle = startAngle + sweep * (k / arcSteps);
+        points.push({
+          x: corner.center.x + corner.radius * Math.cos(angle),
+          y: corner.center.y + corner.radius * Math.sin(angle)
+        });
+      }
+    });
+
+    const group = new THREE.Group();
+    group.add(createOutlineObject(points, this.color));
+    return group;
+  }
+
+  /**
+   * Apply a transformation matrix by baking it into explicit vertices
+   * @param {Object} matrix - Transformation matrix
+   * @returns {PolygonPrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    this.verticesInput = this._points.map(({ x, y }) => ({
+      x: matrix.a * x + matrix.b * y + (matrix.tx || 0),
+      y: matrix.c * x + matrix.d * y + (matrix.ty || 0)
+    }));
+    this.rotation = 0;
+    this.position = { x: 0, y: 0 };
+    this._initializePolygon();
+    return this;
+  }
+
+  /**
+   * Update polygon parameters and reinitialize
+   * @param {Object} params - New parameters
+   * @returns {PolygonPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.sides !== undefined) this.sides = Math.max(3, Math.round(params.sides));
+    if (params.radius !== undefined) this.radius = params.radius;
+    if (params.rotation !== undefined) this.rotation = params.rotation;
+    if (params.position !== undefined) this.position = params.position;
+    if (params.vertices !== undefined) this.verticesInput = params.vertices;
+    if (params.cornerRounding !== undefined) this.cornerRounding = params.cornerRounding;
+    if (params.edgeSmoothness !== undefined) this.edgeSmoothness = params.edgeSmoothness;
+    if (params.blendSmoothness !== undefined) this.blendSmoothness = params.blendSmoothness;
+    if (params.color !== undefined) this.color = params.color;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
+
+    // Reinitialize the polygon with updated parameters
+    this._initializePolygon();
+
+    logger.info(`Updated PolygonPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new PolygonPrimitive({
+      ...this._params,
+      sides: this.sides,
+      radius: this.radius,
+      rotation: this.rotation,
+      position: { ...this.position },
+      vertices: this.verticesInput ? this.verticesInput.map(v => ({ ...v })) : null,
+      cornerRounding: Array.isArray(this.cornerRounding) ? [...this.cornerRounding] : this.cornerRounding,
+      edgeSmoothness: Array.isArray(this.edgeSmoothness) ? [...this.edgeSmoothness] : this.edgeSmoothness
+    });
+    copy.distanceMapper  = this.distanceMapper;
+    copy.blendSmoothness = this.blendSmoothness;
+    copy.color           = { ...this.color };
+    return copy;
+  }
+}
+
+/**
+ * Bézier curve primitive: a single quadratic or cubic segment, or a chain of them
+ *
+ * Control points are stored as Vertex instances, so affine transforms (including
+ * SchurComposition's blend-space transform) act on them exactly. A path of k segments
+ * of degree n has k·n + 1 control points, consecutive segments sharing an end point.
+ * Open curves report an unsigned distance; closed paths report a signed distance.
+ */
+export class BezierPrimitive extends DerivativePrimitive {
+  constructor(params = {}) {
+    super(params);
+    this.type = 'bezier';
+
+    // Curve parameters with defaults
+    this.degree = params.degree === 2 ? 2 : 3;
+    this.closed = params.closed === true;
+
+    const controlPoints = params.controlPoints || BezierPrimitive.defaultControlPoints(this.degree);
+    this._setControlPoints(controlPoints);
+
+    logger.info(`Created BezierPrimitive with id: ${this.id}, degree: ${this.degree}, segments: ${this.getSegments().length}`);
+    // ── store original params for cloning ─────────────────────
+    this._params = { ...params };
+  }
+
+  /**
+   * Default S-curve (cubic) or arch (quadratic) control points
+   * @param {number} degree - 2 or 3
+   * @returns {Array<{x:number,y:number}>}
+   */
+  static defaultControlPoints(degree) {
+    return degree === 2
+      ? [{ x: -1.5, y: 0 }, { x: 0, y: 2 }, { x: 1.5, y: 0 }]
+      : [{ x: -1.5, y: 0 }, { x: -0.5, y: 1.5 }, { x: 0.5, y: -1.5 }, { x: 1.5, y: 0 }];
+  }
+
+  /**
+   * Replace the control points, dropping any trailing points that do not
+   * complete a segment
+   * @private
+   * @param {Array<{x:number,y:number}>} points - Control point positions
+   */
+  _setControlPoints(points) {
+    const usable = points.length < this.degree + 1
+      ? 0
+      : Math.floor((points.length - 1) / this.degree) * this.degree + 1;
+
+    if (usable < points.length) {
+      logger.warn(`BezierPrimitive ${this.id}: ignoring ${points.length - usable} control points that do not complete a segment`);
+    }
+
+    this.vertices = points.slice(0, usable).map(p => new Vertex({
+      position: { x: p.x, y: p.y },
+      color: this.color
+    }));
+  }
+
+  /**
+   * Control point positions, in order
+   * @returns {Array<{x:number,y:number}>}
+   */
+  get controlPoints() {
+    return this.vertices.map(v => ({ x: v.position.x, y: v.position.y }));
+  }
+
+  /**
+   * Metric centre (control point centroid), for blending helpers that expect one
+   * @returns {{center:{x:number,y:number}, scale:number}}
+   */
+  get metric() {
+    const points = this.controlPoints;
+    const n = points.length || 1;
+    return {
+      center: {
+        x: points.reduce((acc, p) => acc + p.x, 0) / n,
+        y: points.reduce((acc, p) => acc + p.y, 0) / n
+      },
+      scale: 1
+    };
+  }
+
+  /**
+   * Split the control points into per-segment arrays of degree + 1 points
+   * @returns {Array<Array<{x:number,y:number}>>}
+   */
+  getSegments() {
+    const points = this.vertices.map(v => v.position);
+    const segments = [];
+    for (let i = 0; i + this.degree < points.length; i += this.degree) {
+      segments.push(points.slice(i, i + this.degree + 1));
+    }
+    return segments;
+  }
+
+  /**
+   * Distance to the curve, signed for closed paths, passed through the distance mapper
+   * @param {Object} point - Point to evaluate (x, y)
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {number} The SDF value at the given point
+   */
+  computeSDF(point, callStack = [], time = 0, depth = 0) {
+    const segments = this.getSegments();
+    if (segments.length === 0) return Infinity;
+
+    let distance = Infinity;
+    let winding = 0;
+    for (const segment of segments) {
+      distance = Math.min(distance, distanceToBezier(point, segment));
+      if (this.closed) winding += bezierWinding(point, segment);
+    }
+
+    if (this.closed) {
+      // Close the path with a straight segment if it does not end where it started
+      const first = segments[0][0];
+      const last = segments[segments.length - 1][this.degree];
+      if (Math.hypot(last.x - first.x, last.y - first.y) > 1e-9) {
+        distance = Math.min(distance, distanceToSegment(point, last, first));
+        winding += windingNumber(point, [[last, first]]);
+      }
+      if (winding !== 0) distance = -distance;
+    }
+
+    return this.distanceMapper(distance, time, depth, point);
+  }
+
+  /**
+   * Dual-number version of computeSDF (exact gradient and Hessian)
+   * @param {Object} point - Dual point {x: Dual, y: Dual}
+   * @param {Array} callStack - For preventing infinite recursion
+   * @param {number} time - Current time for animations
+   * @param {number} depth - Recursion depth
+   * @returns {Dual}
+   */
+  computeSDFDual(point, callStack = [], time = 0, depth = 0) {
+    const segments = this.getSegments();
+    if (segments.length === 0) return Dual.constant(Infinity);
+
+    const plain = { x: point.x.value, y: point.y.value };
+    let distance = null;
+    let winding = 0;
+    for (const segment of segments) {
+      const d = dualDistanceToBezier(point, segment);
+      distance = distance ? distance.min(d) : d;
+      if (this.closed) winding += bezierWinding(plain, segment);
+    }
+
+    if (this.closed) {
+      const first = segments[0][0];
+      const last = segments[segments.length - 1][this.degree];
+      if (Math.hypot(last.x - first.x, last.y - first.y) > 1e-9) {
+        distance = distance.min(dualDistanceToSegment(point, last, first));
+        winding += windingNumber(plain, [[last, first]]);
+      }
+      if (winding !== 0) distance = distance.neg();
+    }
+
+    return applyMapping(this.distanceMapper, distance, time, depth, plain);
+  }
+
+  /**
+   * Create a THREE.js line along the curve
+   * @param {number} time - Current time for animations
+   * @returns {THREE.Group} Group containing the curve
+   */
+  createObject(time = 0) {
+    const steps = 32;
+    const points = [];
+    this.getSegments().forEach((segment, index) => {
+      for (let k = index === 0 ? 0 : 1; k <= steps; k++) {
+        points.push(evaluateBezier(segment, k / steps));
+      }
+    });
+
+    const group = new THREE.Group();
+    group.add(createOutlineObject(points, this.color, this.closed));
+    return group;
+  }
+
+  /**
+   * Apply a transformation matrix to the control points (exact for Bézier curves)
+   * @param {Object} matrix - Transformation matrix
+   * @returns {BezierPrimitive} This instance for chaining
+   */
+  transform(matrix) {
+    for (const vertex of this.vertices) {
+      vertex.transform(matrix);
+    }
+    return this;
+  }
+
+  /**
+   * Update curve parameters
+   * @param {Object} params - New parameters
+   * @returns {BezierPrimitive} This instance for chaining
+   */
+  updateParameters(params = {}) {
+    if (params.degree !== undefined) this.degree = params.degree === 2 ? 2 : 3;
+    if (params.closed !== undefined) this.closed = params.closed;
+    if (params.color !== undefined) this.color = params.color;
+    if (params.distanceMapper !== undefined) this.distanceMapper = resolveMapping(params.distanceMapper);
+    if (params.controlPoints !== undefined) {
+      this._setControlPoints(params.controlPoints);
+    } else if (params.degree !== undefined) {
+      this._setControlPoints(this.controlPoints);
+    }
+
+    logger.info(`Updated BezierPrimitive ${this.id} with new parameters`);
+    return this;
+  }
+
+  clone() {
+    const copy = new BezierPrimitive({
+      ...this._params,
+      degree: this.degree,
+      closed: this.closed,
+      controlPoints: this.controlPoints
+    });
+    copy.distanceMapper  = this.distanceMapper;
+    copy.blendSmoothness = this.blendSmoothness;
+    copy.color           = { ...this.color };
+    return copy;
+  }
+}
+
 /**
  * Factory function to create derivative primitives
- * @param {string} type - Type of primitive to create ('triangle' or 'arc')
+ * @param {string} type - Type of primitive to create ('triangle', 'arc', 'circle', 'ellipse', 'polygon',
+ *                        'bezier', 'quadratic-bezier' or 'cubic-bezier')
  * @param {Object} params - Parameters for the primitive
  * @returns {DerivativePrimitive} The created primitive
  */
@@ -525,6 +2019,18 @@ export function createDerivativePrimitive(type, params = {}) {
       return new TrianglePrimitive(params);
     case 'arc':
       return new ArcPrimitive(params);
+    case 'circle':
+      return new CirclePrimitive(params);
+    case 'ellipse':
+      return new EllipsePrimitive(params);
+    case 'polygon':
+      return new PolygonPrimitive(params);
+    case 'bezier':
+      return new BezierPrimitive(params);
+    case 'quadratic-bezier':
+      return new BezierPrimitive({ ...params, degree: 2 });
+    case 'cubic-bezier':
+      return new BezierPrimitive({ ...params, degree: 3 });
     default:
       logger.warn(`Unknown derivative primitive type: ${type}. Defaulting to triangle.`);
       return new TrianglePrimitive(params);
@@ -536,5 +2042,9 @@ export default {
   DerivativePrimitive,
   TrianglePrimitive,
   ArcPrimitive,
+  CirclePrimitive,
+  EllipsePrimitive,
+  PolygonPrimitive,
+  BezierPrimitive,
   createDerivativePrimitive
 };
@@ -4,18 +4,39 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { CameraManager } from "./rendering/cameraManager.js";
 import { LightingManager } from "./rendering/LightingManager.js";
 import { TextureLoader } from "./rendering/TextureLoader.js";
+import { CurveEditor } from "./rendering/CurveEditor.js";
+import { RootsEditor } from "./rendering/RootsEditor.js";
 import { ComplexShape2D } from "./Geometry/ComplexShape2d.js";
 import { stateStore } from "./state/stateStore.js";
 import { logger } from "./utils/logger.js";
-import { createPolynomialMapping, distanceMappingRegistry } from "./utils/DistanceMapping.js";
+import { createPolynomialMapping, createTemporalMapping, identityMapping, distanceMappingRegistry, validateExpressionMapping, PIECEWISE_INTERPOLATIONS } from "./utils/DistanceMapping.js";
 import { translateFace } from "./Geometry/FaceTransformations.js";
 import * as dat from "dat.gui";
 import * as meshCreator from "./utils/meshCreator.js";
-
-
-
-// Import derived primitives (Triangle and Arc).
-import { TrianglePrimitive, ArcPrimitive } from "./Primitives/primaryDerivativePrimitives.js";
+import { BLEND_KERNELS, BLEND_OPERATIONS } from "./utils/SDFBlending.js";
+import { LevelSetMorph } from "./utils/levelSetMorph.js";
+
+
+
+// Import derived primitives (Triangle, Arc, Circle, Ellipse, Polygon and Bézier).
+import {
+  TrianglePrimitive,
+  ArcPrimitive,
+  CirclePrimitive,
+  EllipsePrimitive,
+  PolygonPrimitive,
+  BezierPrimitive
+} from "./Primitives/primaryDerivativePrimitives.js";
+import { ImplicitPrimitive } from "./Primitives/ImplicitPrimitive.js";
+import { ComplexPolynomialPrimitive, POLYNOMIAL_ESTIMATORS } from "./Primitives/ComplexPolynomialPrimitive.js";
+import { FractalPrimitive, FRACTAL_VARIANTS } from "./Primitives/FractalPrimitive.js";
+import { GridPrimitive, GRID_INTERPOLATIONS } from "./Primitives/GridPrimitive.js";
+import { DomainPrimitive } from "./Primitives/DomainPrimitive.js";
+import { DOMAIN_OPERATORS, WALLPAPER_GROUPS } from "./utils/domainOperators.js";
+import { DeformedPrimitive } from "./Primitives/DeformedPrimitive.js";
+import { DEFORMATIONS } from "./utils/deformations.js";
+import { FieldOperatorPrimitive } from "./Primitives/FieldOperatorPrimitive.js";
+import { FIELD_OPERATORS } from "./utils/fieldOperators.js";
 
 // -----------------------------------------------------------------------------
 // Import Persistence Module and its functions.
@@ -47,12 +68,61 @@ const schurParams = {
   baseIds:    [],         // will be filled by the <select>
   operations: ['union'],  // etc…
   weight:    8,
+  kernel:     'rfunction',
+  steps:      4,          // stairs / columns count
+  width:      0.5,        // groove / tongue width
+  redistance: false,      // rebuild a true distance after blending
+  animateK:   false,      // sweep the weight over time (e.g. a morph)
+  kFrequency: 0.2,
+  kAmplitude: 1,
   rotation:   0,
   scale:      1,
   posX:       0,
-  posY:       0
+  posY:       0,
+  frame:      'manual'    // 'auto' = blend in the shapes' principal-axis frame
+};
+
+
+// Implicit primitive formula, shared by instantiatePrimitive and the GUI folder
+const implicitParams = {
+  expression: "x^2 + y^2 - 1",
+  normalize: true
 };
 
+// Complex polynomial |p(z)| = r, shared by instantiatePrimitive and the GUI folder
+const polynomialParams = {
+  roots: [{ x: -1, y: 0 }, { x: 1, y: 0 }],
+  radius: 1,
+  estimator: "linear"
+};
+
+// Escape-time fractal settings, shared by instantiatePrimitive and the GUI folder
+const fractalParams = {
+  variant: "julia",
+  cRe: -0.8,
+  cIm: 0.156,
+  power: 2,
+  maxIterations: 64,
+  bailout: 100,
+  epsilon: 0.005,
+  animateC: false,
+  cFrequency: 0.1,
+  cAmplitude: 0.2
+};
+
+// c(t) through the temporal mapping, or fixed c
+function fractalCMapper() {
+  return fractalParams.animateC
+    ? createTemporalMapping(identityMapping, fractalParams.cFrequency, fractalParams.cAmplitude)
+    : identityMapping;
+}
+
+// Weight(t) through the temporal mapping, or a fixed weight
+function schurKMapper() {
+  return schurParams.animateK
+    ? createTemporalMapping(identityMapping, schurParams.kFrequency, schurParams.kAmplitude)
+    : null;
+}
 
 // A helper to refresh the <select> options whenever shapes change:
 function refreshBaseShapeOptions() {
@@ -219,6 +289,124 @@ function instantiatePrimitive(type) {
         currentPrimitive.object = arc.createObject();
       }
       break;
+    case "circle":
+      {
+        const circle = new CirclePrimitive({
+          radius: 1,
+          position: { x: 0, y: 0 },
+          color: { h: 120, s: 0.7, l: 0.5, a: 1 },
+          blendSmoothness: 8
+        });
+        circle.registerWithStateStore(stateStore);
+        stateStore.addShape(circle);
+        logger.info("Circle primitive instantiated.");
+        currentPrimitive = { instance: circle, type: "circle" };
+        currentPrimitive.object = circle.createObject();
+      }
+      break;
+    case "ellipse":
+      {
+        const ellipse = new EllipsePrimitive({
+          radiusX: 1.5,
+          radiusY: 1,
+          rotation: 0,
+          position: { x: 0, y: 0 },
+          color: { h: 280, s: 0.7, l: 0.6, a: 1 },
+          blendSmoothness: 8
+        });
+        ellipse.registerWithStateStore(stateStore);
+        stateStore.addShape(ellipse);
+        logger.info("Ellipse primitive instantiated.");
+        currentPrimitive = { instance: ellipse, type: "ellipse" };
+        currentPrimitive.object = ellipse.createObject();
+      }
+      break;
+    case "polygon":
+      {
+        const polygon = new PolygonPrimitive({
+          sides: 5,
+          radius: 1,
+          rotation: 0,
+          position: { x: 0, y: 0 },
+          cornerRounding: 0,
+          edgeSmoothness: 0,
+          color: { h: 50, s: 0.8, l: 0.5, a: 1 },
+          blendSmoothness: 8
+        });
+        polygon.registerWithStateStore(stateStore);
+        stateStore.addShape(polygon);
+        logger.info("Polygon primitive instantiated.");
+        currentPrimitive = { instance: polygon, type: "polygon" };
+        currentPrimitive.object = polygon.createObject();
+      }
+      break;
+    case "bezier":
+      {
+        const bezier = new BezierPrimitive({
+          degree: 3,
+          controlPoints: BezierPrimitive.defaultControlPoints(3),
+          closed: false,
+          color: { h: 330, s: 0.8, l: 0.6, a: 1 },
+          blendSmoothness: 8
+        });
+        bezier.registerWithStateStore(stateStore);
+        stateStore.addShape(bezier);
+        logger.info("Bezier primitive instantiated.");
+        currentPrimitive = { instance: bezier, type: "bezier" };
+        currentPrimitive.object = bezier.createObject();
+      }
+      break;
+    case "implicit":
+      {
+        const implicit = new ImplicitPrimitive({
+          expression: implicitParams.expression,
+          normalize: implicitParams.normalize,
+          color: { h: 180, s: 0.8, l: 0.5, a: 1 },
+          blendSmoothness: 8
+        });
+        implicit.registerWithStateStore(stateStore);
+        stateStore.addShape(implicit);
+        logger.info("Implicit primitive instantiated.");
+        currentPrimitive = { instance: implicit, type: "implicit" };
+        currentPrimitive.object = implicit.createObject();
+      }
+      break;
+    case "polynomial":
+      {
+        const polynomial = new ComplexPolynomialPrimitive({
+          roots: polynomialParams.roots,
+          radius: polynomialParams.radius,
+          estimator: polynomialParams.estimator,
+          color: { h: 280, s: 0.8, l: 0.6, a: 1 },
+          blendSmoothness: 8
+        });
+        polynomial.registerWithStateStore(stateStore);
+        stateStore.addShape(polynomial);
+        logger.info("Polynomial primitive instantiated.");
+        currentPrimitive = { instance: polynomial, type: "polynomial" };
+        currentPrimitive.object = polynomial.createObject();
+      }
+      break;
+    case "fractal":
+      {
+        const fractal = new FractalPrimitive({
+          variant: fractalParams.variant,
+          c: { x: fractalParams.cRe, y: fractalParams.cIm },
+          power: fractalParams.power,
+          maxIterations: fractalParams.maxIterations,
+          bailout: fractalParams.bailout,
+          epsilon: fractalParams.epsilon,
+          cMapper: fractalCMapper(),
+          color: { h: 30, s: 0.9, l: 0.6, a: 1 },
+          blendSmoothness: 8
+        });
+        fractal.registerWithStateStore(stateStore);
+        stateStore.addShape(fractal);
+        logger.info("Fractal primitive instantiated.");
+        currentPrimitive = { instance: fractal, type: "fractal" };
+        currentPrimitive.object = fractal.createObject();
+      }
+      break;
     default:
       console.warn("Unknown primitive type. Defaulting to line.");
       instantiatePrimitive("line");
@@ -229,48 +417,13 @@ function instantiatePrimitive(type) {
 }
 
 /**
- * Instantiate a SchurComposition from user‐selected IDs & params.
+ * Build the scene object for a SchurComposition with the chosen render method.
+ * @param {SchurComposition} schur - Composition to render
+ * @param {number} time - Animation time (for animated weights)
+ * @returns {THREE.Object3D}
  */
-function instantiateSchur() {
-  // Remove old Schur if any
-  if (currentSchur) {
-    removeShapeFromScene(currentSchur);
-    stateStore.removeShape(currentSchur.id);
-    currentSchur = null;
-  }
-
-  // Gather base shapes
-  const bases = schurParams.baseIds
-    .map(id => stateStore.getShape(id))
-    .filter(s => !!s);
-  if (bases.length < 2) {
-    alert("Pick at least 2 shapes to compose.");
-    return;
-  }
-
-  // Create new SchurComposition
-  const schur = new SchurComposition({
-    shapes: bases,
-    operations: schurParams.operations,
-    weights: [ schurParams.weight ],
-    rotation: schurParams.rotation,
-    scale: schurParams.scale,
-    position: { x: schurParams.posX, y: schurParams.posY },
-    blendSmoothness: schurParams.weight,     // fallback
-    color: { h: 0, s: 0, l: 0.8, a: 1 }          // or pick from UI
-  });
-
-  stateStore.addShape(schur);
-  // Track dependencies for cycle‐guard and persistence
-  refreshBaseShapeOptions();
-  stateStore.dependencyMap.set(
-    schur.id,
-    new Set(schurParams.baseIds)
-  );
-
-  // Render
+function createSchurObject(schur, time = 0) {
   // ─── Render via meshCreator based on user choice ────────────────────────
-  // inside instantiateSchur(), right after gathering `schur` and before scene.add:
   let threeObj;
   const bounds2D = [ -2, -2, 2, 2 ];
   const bounds3D = [ -2, -2, -2, 2, 2, 2 ];
@@ -279,7 +432,7 @@ function instantiateSchur() {
     case "contours (2D)": {
       // marchingSquares + buildLineSegments
       const loops = meshCreator.marchingSquares(
-        pt => schur.computeSDF(pt),
+        pt => schur.computeSDF(pt, [], time),
         bounds2D, 150
       );
       const geometry = meshCreator.buildLineSegments(loops);
@@ -293,7 +446,7 @@ function instantiateSchur() {
     case "fill (2D)": {
       // get zero‐level loops & triangulate
       const loops = meshCreator.marchingSquares(
-        pt => schur.computeSDF(pt),
+        pt => schur.computeSDF(pt, [], time),
         bounds2D, 150
       );
       threeObj = meshCreator.createContourMesh(loops);
@@ -303,7 +456,7 @@ function instantiateSchur() {
     case "arcs": {
       // extract points → fitArcs → createArcObject
       const loops = meshCreator.marchingSquares(
-        pt => schur.computeSDF(pt),
+        pt => schur.computeSDF(pt, [], time),
         bounds2D, 150
       );
       const pts = loops.flat();
@@ -312,6 +465,19 @@ function instantiateSchur() {
       break;
     }
 
+    case "domain coloring (2D)": {
+      // CPU-rasterized texture: hue from phase/sign, lightness from magnitude/bands
+      threeObj = meshCreator.createDomainColoringMesh(schur, bounds2D, {
+        resolution: domainColoringParams.resolution,
+        hueMode: domainColoringParams.hueMode,
+        lightnessMode: domainColoringParams.lightnessMode,
+        bandWidth: domainColoringParams.bandWidth,
+        contours: domainColoringParams.contours,
+        time
+      });
+      break;
+    }
+
     case "surface (3D)": {
       // marchingCubes for a full 3D surface
       threeObj = meshCreator.createSDFMesh(
@@ -327,11 +493,64 @@ function instantiateSchur() {
       threeObj = new THREE.Group();
   }
 
+  return threeObj;
+}
+
+/**
+ * Instantiate a SchurComposition from user‐selected IDs & params.
+ */
+function instantiateSchur() {
+  // Remove old Schur if any
+  if (currentSchur) {
+    removeShapeFromScene(currentSchur);
+    stateStore.removeShape(currentSchur.id);
+    currentSchur = null;
+  }
+
+  // Gather base shapes
+  const bases = schurParams.baseIds
+    .map(id => stateStore.getShape(id))
+    .filter(s => !!s);
+  if (bases.length < 2) {
+    alert("Pick at least 2 shapes to compose.");
+    return;
+  }
+
+  // Create new SchurComposition
+  const schur = new SchurComposition({
+    shapes: bases,
+    operations: [].concat(schurParams.operations),
+    weights: [ schurParams.weight ],
+    kernel: schurParams.kernel,
+    steps: schurParams.steps,
+    width: schurParams.width,
+    kMapper: schurKMapper(),
+    redistance: schurParams.redistance,
+    rotation: schurParams.rotation,
+    scale: schurParams.scale,
+    position: { x: schurParams.posX, y: schurParams.posY },
+    frame: schurParams.frame,
+    blendSmoothness: schurParams.weight,     // fallback
+    color: { h: 0, s: 0, l: 0.8, a: 1 }          // or pick from UI
+  });
+
+  stateStore.addShape(schur);
+  // Track dependencies for cycle‐guard and persistence
+  refreshBaseShapeOptions();
+  stateStore.dependencyMap.set(
+    schur.id,
+    new Set(schurParams.baseIds)
+  );
+
+  // Render
+  const threeObj = createSchurObject(schur);
+
   // finally:
   schur.object   = threeObj;
   scene.add(threeObj);
   schur.rendered = true;
-
+  currentSchur = schur;
+  showSchurDecomposition(schur);
 }
 
 
@@ -404,7 +623,10 @@ stateStore.updateMappingConfig({
   e: 0,
   blendFactor: 0.5,
   frequency: 1.0,
-  recursionLimit: 3
+  recursionLimit: 3,
+  expr: "0.5*d + 0.2*sin(6*d - t)",
+  controlPoints: [{ x: -1, y: -1 }, { x: 0, y: 0 }, { x: 1, y: 0.5 }, { x: 2, y: 2 }],
+  interpolation: "monotone"
 });
 
 // -----------------------------------------------------------------------------
@@ -419,7 +641,7 @@ gui.domElement.style.top = "10px";
 
 // --- Add primitive selection controls.
 const primitiveSelection = { primitive: "Line" };
-gui.add(primitiveSelection, "primitive", ["Line", "Triangle", "Arc"])
+gui.add(primitiveSelection, "primitive", ["Line", "Triangle", "Arc", "Circle", "Ellipse", "Polygon", "Bezier", "Implicit", "Polynomial", "Fractal"])
   .name("Select Primitive")
   .onChange((value) => {
     instantiatePrimitive(value);
@@ -437,12 +659,14 @@ const mappingParams = {
   b: 1,
   c: 0,
   e: 0,
-  polyCoeffs: [0, 1, 0.5].join(",")
+  polyCoeffs: [0, 1, 0.5].join(","),
+  expr: "0.5*d + 0.2*sin(6*d - t)"
 };
 mapperFolder.add(stateStore, "selectedMappingType", [
   "identity", "polynomial", "exponential", "logarithmic", 
   "sinusoidal", "power", "composite", "periodic", 
-  "temporal", "recursive", "sequential", "blended"
+  "temporal", "recursive", "sequential", "blended",
+  "expression", "piecewise", "simplex", "fbm", "ridged"
 ])
   .name("Mapping Type")
   .onChange(() => {
@@ -494,6 +718,21 @@ mapperFolder.add(mappingParams, "polyCoeffs")
       logger.info(`Polynomial coefficients updated to: ${coeffs}`);
     }
   });
+mapperFolder.add(mappingParams, "expr")
+  .name("f(d, t, depth)")
+  .onFinishChange(val => {
+    const { valid, error } = validateExpressionMapping(val);
+    if (!valid) {
+      logger.error(`Invalid mapping expression: ${error}`);
+      alert(`Invalid expression: ${error}`);
+      return;
+    }
+    stateStore.updateMappingConfig({ expr: val });
+    if (currentPrimitive && currentPrimitive.type === "line") {
+      stateStore.applyGlobalMappingToShape(currentPrimitive.instance.id);
+      logger.info(`Mapping expression updated to: ${val}`);
+    }
+  });
 mapperFolder.add(mappingParams, "a", 0.1, 5).step(0.1)
   .name("Scale Factor (a)")
   .onChange(() => {
@@ -526,6 +765,60 @@ mapperFolder.add(mappingParams, "e", -2, 2).step(0.1)
       stateStore.applyGlobalMappingToShape(currentPrimitive.instance.id);
     }
   });
+
+// --- Piecewise mapping curve editor (drag points, double-click to add, right-click to remove).
+const curveFolder = mapperFolder.addFolder("Piecewise Curve");
+const curveParams = { interpolation: stateStore.mappingParams.interpolation };
+const curveEditor = new CurveEditor({
+  points: stateStore.mappingParams.controlPoints,
+  interpolation: curveParams.interpolation,
+  onChange: (points) => {
+    stateStore.updateMappingConfig({ controlPoints: points });
+    if (currentPrimitive && currentPrimitive.type === "line") {
+      stateStore.applyGlobalMappingToShape(currentPrimitive.instance.id);
+    }
+  }
+});
+curveFolder.add(curveParams, "interpolation", PIECEWISE_INTERPOLATIONS)
+  .name("Interpolation")
+  .onChange((value) => {
+    curveEditor.setInterpolation(value);
+    stateStore.updateMappingConfig({ interpolation: value });
+    if (currentPrimitive && currentPrimitive.type === "line") {
+      stateStore.applyGlobalMappingToShape(currentPrimitive.instance.id);
+      logger.info(`Piecewise interpolation updated to: ${value}`);
+    }
+  });
+// dat.GUI has no canvas controller, so mount the editor as a raw list item.
+const curveItem = document.createElement("li");
+curveItem.style.height = "auto";
+curveItem.appendChild(curveEditor.domElement);
+curveFolder.__ul.appendChild(curveItem);
+curveFolder.open();
+
+// --- Seeded noise mapping settings (simplex / fbm / ridged types).
+// Amplitude and Time Frequency above act as noise strength and spatial frequency.
+const noiseFolder = mapperFolder.addFolder("Noise");
+const noiseParams = {
+  seed: 0,
+  speed: 0,
+  octaves: 4,
+  lacunarity: 2,
+  gain: 0.5,
+  usePoint: false
+};
+const applyNoiseParams = () => {
+  stateStore.updateMappingConfig({ noise: { ...noiseParams } });
+  if (currentPrimitive && currentPrimitive.type === "line") {
+    stateStore.applyGlobalMappingToShape(currentPrimitive.instance.id);
+  }
+};
+noiseFolder.add(noiseParams, "seed", 0, 9999).step(1).name("Seed").onChange(applyNoiseParams);
+noiseFolder.add(noiseParams, "speed", 0, 5).step(0.1).name("Time Speed").onChange(applyNoiseParams);
+noiseFolder.add(noiseParams, "octaves", 1, 8).step(1).name("Octaves").onChange(applyNoiseParams);
+noiseFolder.add(noiseParams, "lacunarity", 1, 4).step(0.1).name("Lacunarity").onChange(applyNoiseParams);
+noiseFolder.add(noiseParams, "gain", 0, 1).step(0.05).name("Gain").onChange(applyNoiseParams);
+noiseFolder.add(noiseParams, "usePoint").name("Sample at Point").onChange(applyNoiseParams);
 mapperFolder.open();
 
 // --- Add controls for Triangle primitives.
@@ -577,6 +870,7 @@ const arcParams = {
   endAngle: Math.PI,
   segments: 8,
   thickness: 0,
+  closed: false,
   posX: 1,
   posY: 0
 };
@@ -610,6 +904,12 @@ arcFolder.add(arcParams, "thickness", 0, 2).onChange((value) => {
     stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
   }
 });
+arcFolder.add(arcParams, "closed").name("Closed").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "arc") {
+    currentPrimitive.instance.updateParameters({ closed: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
 arcFolder.add(arcParams, "posX", -5, 5).onChange((value) => {
   if (currentPrimitive && currentPrimitive.type === "arc") {
     currentPrimitive.instance.updateParameters({ position: { x: value, y: arcParams.posY } });
@@ -624,6 +924,252 @@ arcFolder.add(arcParams, "posY", -5, 5).onChange((value) => {
 });
 arcFolder.open();
 
+// --- Add controls for Polygon primitives.
+const polygonFolder = gui.addFolder("Polygon Controls");
+const polygonParams = {
+  sides: 5,
+  radius: 1,
+  rotation: 0,
+  cornerRounding: 0,
+  edgeSmoothness: 0,
+  vertices: "",
+  posX: 0,
+  posY: 0
+};
+polygonFolder.add(polygonParams, "sides", 3, 16).step(1).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ sides: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "radius", 0.1, 5).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ radius: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "rotation", 0, Math.PI * 2).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ rotation: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "cornerRounding", 0, 2).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ cornerRounding: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "edgeSmoothness", 0, 2).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ edgeSmoothness: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "vertices")
+  .name("Vertices (x,y; x,y; ...)")
+  .onFinishChange(val => {
+    // An empty field switches back to the regular n-gon
+    const vertices = val.trim()
+      ? val.split(";").map(pair => {
+          const [x, y] = pair.split(",").map(Number);
+          return { x, y };
+        }).filter(v => Number.isFinite(v.x) && Number.isFinite(v.y))
+      : null;
+    if (currentPrimitive && currentPrimitive.type === "polygon") {
+      currentPrimitive.instance.updateParameters({ vertices });
+      stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+    }
+  });
+polygonFolder.add(polygonParams, "posX", -5, 5).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ position: { x: value, y: polygonParams.posY } });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+polygonFolder.add(polygonParams, "posY", -5, 5).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "polygon") {
+    currentPrimitive.instance.updateParameters({ position: { x: polygonParams.posX, y: value } });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+
+// --- Add controls for Bézier primitives.
+const bezierFolder = gui.addFolder("Bezier Controls");
+const formatControlPoints = points => points.map(p => `${p.x},${p.y}`).join("; ");
+const bezierParams = {
+  degree: 3,
+  controlPoints: formatControlPoints(BezierPrimitive.defaultControlPoints(3)),
+  closed: false
+};
+bezierFolder.add(bezierParams, "degree", [2, 3]).name("Degree").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "bezier") {
+    // Switching degree resets to that degree's default curve
+    const controlPoints = BezierPrimitive.defaultControlPoints(Number(value));
+    bezierParams.controlPoints = formatControlPoints(controlPoints);
+    currentPrimitive.instance.updateParameters({ degree: Number(value), controlPoints });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+bezierFolder.add(bezierParams, "controlPoints")
+  .name("Control Points (x,y; ...)")
+  .listen()
+  .onFinishChange(val => {
+    const controlPoints = val.split(";").map(pair => {
+      const [x, y] = pair.split(",").map(Number);
+      return { x, y };
+    }).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (currentPrimitive && currentPrimitive.type === "bezier") {
+      currentPrimitive.instance.updateParameters({ controlPoints });
+      stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+    }
+  });
+bezierFolder.add(bezierParams, "closed").name("Closed").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "bezier") {
+    currentPrimitive.instance.updateParameters({ closed: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+
+// --- Add controls for Implicit primitives.
+const implicitFolder = gui.addFolder("Implicit Controls");
+implicitFolder.add(implicitParams, "expression")
+  .name("f(x, y, t)")
+  .onFinishChange(val => {
+    if (currentPrimitive && currentPrimitive.type === "implicit") {
+      try {
+        currentPrimitive.instance.updateParameters({ expression: val });
+        removeShapeFromScene(currentPrimitive);
+        currentPrimitive.object = currentPrimitive.instance.createObject();
+        addShapeToScene(currentPrimitive);
+        stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+      } catch (error) {
+        logger.error(`Invalid implicit expression: ${error.message}`);
+        alert(`Invalid expression: ${error.message}`);
+      }
+    }
+  });
+implicitFolder.add(implicitParams, "normalize").name("Normalize by |∇f|").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "implicit") {
+    currentPrimitive.instance.updateParameters({ normalize: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+
+// --- Add controls for complex polynomial (lemniscate) primitives.
+const polynomialFolder = gui.addFolder("Polynomial Controls");
+function rebuildPolynomial(params) {
+  if (currentPrimitive && currentPrimitive.type === "polynomial") {
+    currentPrimitive.instance.updateParameters(params);
+    removeShapeFromScene(currentPrimitive);
+    currentPrimitive.object = currentPrimitive.instance.createObject();
+    addShapeToScene(currentPrimitive);
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+}
+polynomialFolder.add(polynomialParams, "radius", 0.05, 5).step(0.05).name("Level r (|p| = r)")
+  .onChange((value) => {
+    rootsEditor.setRadius(value);
+    rebuildPolynomial({ radius: value });
+  });
+polynomialFolder.add(polynomialParams, "estimator", POLYNOMIAL_ESTIMATORS).name("Distance Estimate")
+  .onChange((value) => rebuildPolynomial({ estimator: value }));
+// Roots editor (drag roots, double-click to add, right-click to remove).
+const rootsEditor = new RootsEditor({
+  roots: polynomialParams.roots,
+  radius: polynomialParams.radius,
+  onChange: (roots) => {
+    polynomialParams.roots = roots;
+    rebuildPolynomial({ roots });
+  }
+});
+const rootsItem = document.createElement("li");
+rootsItem.style.height = "auto";
+rootsItem.appendChild(rootsEditor.domElement);
+polynomialFolder.__ul.appendChild(rootsItem);
+
+// --- Add controls for Julia / Mandelbrot / multibrot primitives.
+const fractalFolder = gui.addFolder("Fractal Controls");
+function rebuildFractal(params, time = 0) {
+  if (currentPrimitive && currentPrimitive.type === "fractal") {
+    currentPrimitive.instance.updateParameters(params);
+    removeShapeFromScene(currentPrimitive);
+    currentPrimitive.object = currentPrimitive.instance.createObject(time);
+    addShapeToScene(currentPrimitive);
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+}
+fractalFolder.add(fractalParams, "variant", FRACTAL_VARIANTS).name("Set")
+  .onChange((value) => rebuildFractal({
+    variant: value,
+    bounds: value === "mandelbrot" ? [-2.5, -1.5, 1, 1.5] : [-2, -2, 2, 2]
+  }));
+fractalFolder.add(fractalParams, "cRe", -2, 2).step(0.001).name("c (real)")
+  .onFinishChange(() => rebuildFractal({ c: { x: fractalParams.cRe, y: fractalParams.cIm } }));
+fractalFolder.add(fractalParams, "cIm", -2, 2).step(0.001).name("c (imag)")
+  .onFinishChange(() => rebuildFractal({ c: { x: fractalParams.cRe, y: fractalParams.cIm } }));
+fractalFolder.add(fractalParams, "power", 2, 8).step(1).name("Power n")
+  .onFinishChange((value) => rebuildFractal({ power: value }));
+fractalFolder.add(fractalParams, "maxIterations", 8, 256).step(1).name("Iterations")
+  .onFinishChange((value) => rebuildFractal({ maxIterations: value }));
+fractalFolder.add(fractalParams, "bailout", 2, 1000).name("Bailout")
+  .onFinishChange((value) => rebuildFractal({ bailout: value }));
+fractalFolder.add(fractalParams, "epsilon", 0, 0.05).step(0.001).name("Thickness")
+  .onFinishChange((value) => rebuildFractal({ epsilon: value }));
+fractalFolder.add(fractalParams, "animateC").name("Animate c (temporal)")
+  .onChange(() => rebuildFractal({ cMapper: fractalCMapper() }));
+fractalFolder.add(fractalParams, "cFrequency", 0.01, 1).name("c Frequency")
+  .onFinishChange(() => rebuildFractal({ cMapper: fractalCMapper() }));
+fractalFolder.add(fractalParams, "cAmplitude", 0, 1).name("c Amplitude")
+  .onFinishChange(() => rebuildFractal({ cMapper: fractalCMapper() }));
+
+// --- Add controls for Circle and Ellipse primitives.
+const ellipseFolder = gui.addFolder("Circle / Ellipse Controls");
+const ellipseParams = {
+  radius: 1,
+  radiusX: 1.5,
+  radiusY: 1,
+  rotation: 0,
+  posX: 0,
+  posY: 0
+};
+ellipseFolder.add(ellipseParams, "radius", 0.1, 5).name("Circle Radius").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "circle") {
+    currentPrimitive.instance.updateParameters({ radius: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+ellipseFolder.add(ellipseParams, "radiusX", 0.1, 5).name("Radius (X)").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "ellipse") {
+    currentPrimitive.instance.updateParameters({ radiusX: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+ellipseFolder.add(ellipseParams, "radiusY", 0.1, 5).name("Radius (Y)").onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "ellipse") {
+    currentPrimitive.instance.updateParameters({ radiusY: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+ellipseFolder.add(ellipseParams, "rotation", 0, Math.PI * 2).onChange((value) => {
+  if (currentPrimitive && currentPrimitive.type === "ellipse") {
+    currentPrimitive.instance.updateParameters({ rotation: value });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+ellipseFolder.add(ellipseParams, "posX", -5, 5).onChange((value) => {
+  if (currentPrimitive && (currentPrimitive.type === "circle" || currentPrimitive.type === "ellipse")) {
+    currentPrimitive.instance.updateParameters({ position: { x: value, y: ellipseParams.posY } });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+ellipseFolder.add(ellipseParams, "posY", -5, 5).onChange((value) => {
+  if (currentPrimitive && (currentPrimitive.type === "circle" || currentPrimitive.type === "ellipse")) {
+    currentPrimitive.instance.updateParameters({ position: { x: ellipseParams.posX, y: value } });
+    stateStore.triggerVisualUpdate(currentPrimitive.instance.id);
+  }
+});
+
 // --- Add Schur Composition controls
 const schurFolder = gui.addFolder("Schur Composition");
 
@@ -631,13 +1177,21 @@ const schurFolder = gui.addFolder("Schur Composition");
 const availableIds = () => stateStore.getShapes().map(s => s.id);
 
 
-schurFolder.add(schurParams, "operations", ["union","intersection","difference"])
+schurFolder.add(schurParams, "operations", BLEND_OPERATIONS)
            .name("Operation").onChange(val => schurParams.operations = [val]);
            schurFolder.add(schurParams, "weight", 0, 10).name("Smoothness");
+schurFolder.add(schurParams, "kernel", BLEND_KERNELS).name("Blend Kernel");
+schurFolder.add(schurParams, "steps", 1, 10).step(1).name("Steps / Columns");
+schurFolder.add(schurParams, "width", 0, 2).name("Groove Width");
+schurFolder.add(schurParams, "redistance").name("Redistance");
+schurFolder.add(schurParams, "animateK").name("Animate Weight");
+schurFolder.add(schurParams, "kFrequency", 0.01, 2).name("Weight Frequency");
+schurFolder.add(schurParams, "kAmplitude", 0, 1).name("Weight Amplitude");
 schurFolder.add(schurParams, "rotation", 0, Math.PI*2).name("Rotation");
 schurFolder.add(schurParams, "scale", 0.1, 5).name("Scale");
 schurFolder.add(schurParams, "posX", -5, 5).name("Translate X");
 schurFolder.add(schurParams, "posY", -5, 5).name("Translate Y");
+schurFolder.add(schurParams, "frame", ["manual", "auto"]).name("Blend Frame");
 schurFolder.open();
 
 // after schurFolder.open();
@@ -649,32 +1203,79 @@ schurFolder.__controllers.forEach(ctrl =>
     const {
       baseIds,
       operations,
-      weights,
+      weight,
+      kernel,
+      steps,
+      width,
+      redistance,
       rotation,
       scale,
       posX,
-      posY
+      posY,
+      frame
     } = schurParams;
 
     // Tell the existing SchurComposition to update
     currentSchur.updateParameters({
       shapes: baseIds.map(id => stateStore.getShape(id)),
-      operations,
-      weights,
+      operations: [].concat(operations),
+      weights: [weight],
+      kernel,
+      steps,
+      width,
+      kMapper: schurKMapper(),
+      redistance,
       rotation,
       scale,
-      position: { x: posX, y: posY }
+      position: { x: posX, y: posY },
+      frame
     });
 
     // Re‐render it
     removeShapeFromScene(currentSchur);
-    currentSchur.object = currentSchur.createObject();
+    currentSchur.object = createSchurObject(currentSchur);
     addShapeToScene(currentSchur);
+    showSchurDecomposition(currentSchur);
   })
 );
 
+// Editing a base shape invalidates the composition's auto frame and redistanced grid
+stateStore.onVisualUpdate(shapeId => {
+  if (!currentSchur || !currentSchur.baseShapes.some(shape => shape && shape.id === shapeId)) return;
+  currentSchur.recompose();
+  removeShapeFromScene(currentSchur);
+  currentSchur.object = createSchurObject(currentSchur);
+  addShapeToScene(currentSchur);
+  showSchurDecomposition(currentSchur);
+});
+
+// Read-only view of the blend-space transform's factors
+const decompositionView = {
+  orthogonal: "",
+  triangular: "",
+  polar: ""
+};
+const decompositionFolder = schurFolder.addFolder("Blend Frame Decomposition");
+decompositionFolder.add(decompositionView, "orthogonal").name("Schur U").listen();
+decompositionFolder.add(decompositionView, "triangular").name("Schur S").listen();
+decompositionFolder.add(decompositionView, "polar").name("Polar Q | P").listen();
+
+/**
+ * Show the Schur and polar factors of a composition's blend-space transform.
+ * @param {SchurComposition} schur - Composition to inspect
+ */
+function showSchurDecomposition(schur) {
+  const dec = schur && schur.decomposition;
+  if (!dec) return;
+  const fmt = M => `[${[M.a, M.b, M.c, M.d].map(v => v.toFixed(3)).join(", ")}]`;
+  decompositionView.orthogonal = fmt(dec.orthogonal);
+  decompositionView.triangular = fmt(dec.triangular);
+  decompositionView.polar = `${fmt(dec.polar.orthogonal)} | ${fmt(dec.polar.stretch)}`;
+  logger.info(`SchurComposition ${schur.id} blend frame (${dec.frame}):`, dec);
+}
+
 // ─── Pick how to render the composed shape ─────────────────────────────────
-const renderMethods = ["contours (2D)", "fill (2D)", "arcs", "surface (3D)"];
+const renderMethods = ["contours (2D)", "fill (2D)", "domain coloring (2D)", "arcs", "surface (3D)"];
 const renderParams  = { method: renderMethods[0] };
 
 schurFolder.add(renderParams, "method", renderMethods)
@@ -683,6 +1284,354 @@ schurFolder.add(renderParams, "method", renderMethods)
     if (currentSchur) instantiateSchur();
   });
 
+// Settings for the "domain coloring (2D)" render method
+const domainColoringParams = {
+  hueMode: "phase",
+  lightnessMode: "magnitude",
+  bandWidth: 0.1,
+  contours: true,
+  resolution: 256
+};
+const domainColoringFolder = schurFolder.addFolder("Domain Coloring");
+domainColoringFolder.add(domainColoringParams, "hueMode", ["phase", "sign"]).name("Hue From");
+domainColoringFolder.add(domainColoringParams, "lightnessMode", ["magnitude", "bands"]).name("Lightness From");
+domainColoringFolder.add(domainColoringParams, "bandWidth", 0.01, 1).step(0.01).name("Band Width");
+domainColoringFolder.add(domainColoringParams, "contours").name("Level Lines");
+domainColoringFolder.add(domainColoringParams, "resolution", 64, 512).step(32).name("Resolution");
+domainColoringFolder.__controllers.forEach(ctrl =>
+  ctrl.onFinishChange(() => {
+    if (currentSchur && renderParams.method === "domain coloring (2D)") instantiateSchur();
+  })
+);
+
+// Bake the composition into a GridPrimitive so it can be reused without recomputation
+const gridBakeParams = {
+  resolution: 150,
+  interpolation: "bilinear",
+  redistance: true,
+  bake: () => {
+    if (!currentSchur) {
+      alert("Compose shapes before baking.");
+      return;
+    }
+    const baked = GridPrimitive.bake(currentSchur, [-2, -2, 2, 2], gridBakeParams.resolution, {
+      redistance: gridBakeParams.redistance,
+      interpolation: gridBakeParams.interpolation
+    });
+    baked.registerWithStateStore(stateStore);
+    stateStore.addShape(baked);
+    baked.object = baked.createObject();
+    addShapeToScene(baked);
+    refreshBaseShapeOptions();
+    logger.info(`Baked SchurComposition ${currentSchur.id} into GridPrimitive ${baked.id}`);
+  }
+};
+const gridBakeFolder = schurFolder.addFolder("Bake to Grid");
+gridBakeFolder.add(gridBakeParams, "resolution", 32, 400).step(1).name("Resolution");
+gridBakeFolder.add(gridBakeParams, "interpolation", GRID_INTERPOLATIONS).name("Interpolation");
+gridBakeFolder.add(gridBakeParams, "redistance").name("Redistance");
+gridBakeFolder.add(gridBakeParams, "bake").name("Bake Composite");
+
+// --- Level-set morph: evolve a sampled source shape toward a target shape
+const levelSetParams = {
+  sourceId: "",
+  targetId: "",
+  deltaTime: 0.1,
+  alpha: 0.5,
+  useCurvature: false,
+  stepsPerFrame: 1,
+  redistanceEvery: 0,
+  resolution: 100,
+  playing: false,
+  iteration: 0
+};
+let levelSetMorph = null;
+
+function renderLevelSetMorph() {
+  if (!levelSetMorph) return;
+  if (levelSetMorph.object) scene.remove(levelSetMorph.object);
+  levelSetMorph.object = levelSetMorph.createObject();
+  scene.add(levelSetMorph.object);
+  levelSetParams.iteration = levelSetMorph.iteration;
+}
+
+/** (Re)start the morph from the chosen source and target shapes. */
+function startLevelSetMorph() {
+  const source = stateStore.getShape(levelSetParams.sourceId);
+  const target = stateStore.getShape(levelSetParams.targetId);
+  if (!source || !target) {
+    alert("Pick a source and a target shape for the morph.");
+    return;
+  }
+  if (levelSetMorph && levelSetMorph.object) scene.remove(levelSetMorph.object);
+  levelSetMorph = new LevelSetMorph({
+    source,
+    target,
+    resolution: levelSetParams.resolution,
+    deltaTime: levelSetParams.deltaTime,
+    alpha: levelSetParams.alpha,
+    useCurvature: levelSetParams.useCurvature,
+    stepsPerFrame: levelSetParams.stepsPerFrame,
+    redistanceEvery: levelSetParams.redistanceEvery
+  });
+  renderLevelSetMorph();
+}
+
+const levelSetActions = {
+  useCurrentAsSource: () => {
+    if (currentPrimitive) levelSetParams.sourceId = currentPrimitive.instance.id;
+  },
+  useCurrentAsTarget: () => {
+    if (currentPrimitive) levelSetParams.targetId = currentPrimitive.instance.id;
+  },
+  restart: () => startLevelSetMorph(),
+  step: () => {
+    if (!levelSetMorph) startLevelSetMorph();
+    if (!levelSetMorph) return;
+    levelSetMorph.step();
+    renderLevelSetMorph();
+  },
+  clear: () => {
+    levelSetParams.playing = false;
+    if (levelSetMorph && levelSetMorph.object) scene.remove(levelSetMorph.object);
+    levelSetMorph = null;
+  }
+};
+
+const levelSetFolder = gui.addFolder("Level-Set Morph");
+levelSetFolder.add(levelSetParams, "sourceId").name("Source Id").listen();
+levelSetFolder.add(levelSetActions, "useCurrentAsSource").name("Use Current as Source");
+levelSetFolder.add(levelSetParams, "targetId").name("Target Id").listen();
+levelSetFolder.add(levelSetActions, "useCurrentAsTarget").name("Use Current as Target");
+levelSetFolder.add(levelSetParams, "deltaTime", 0.01, 1).step(0.01).name("Time Step")
+  .onChange(value => levelSetMorph && levelSetMorph.updateParameters({ deltaTime: value }));
+levelSetFolder.add(levelSetParams, "alpha", 0.01, 5).step(0.01).name("Alpha")
+  .onChange(value => levelSetMorph && levelSetMorph.updateParameters({ alpha: value }));
+levelSetFolder.add(levelSetParams, "useCurvature").name("Curvature Damping")
+  .onChange(value => levelSetMorph && levelSetMorph.updateParameters({ useCurvature: value }));
+levelSetFolder.add(levelSetParams, "stepsPerFrame", 1, 20).step(1).name("Steps / Frame")
+  .onChange(value => levelSetMorph && levelSetMorph.updateParameters({ stepsPerFrame: value }));
+levelSetFolder.add(levelSetParams, "redistanceEvery", 0, 50).step(1).name("Redistance Every")
+  .onChange(value => levelSetMorph && levelSetMorph.updateParameters({ redistanceEvery: value }));
+levelSetFolder.add(levelSetParams, "resolution", 20, 200).step(10).name("Grid Resolution")
+  .onFinishChange(() => levelSetMorph && startLevelSetMorph());
+levelSetFolder.add(levelSetParams, "playing").name("Play").listen()
+  .onChange(value => {
+    if (value && !levelSetMorph) startLevelSetMorph();
+  });
+levelSetFolder.add(levelSetActions, "step").name("Step Once");
+levelSetFolder.add(levelSetActions, "restart").name("Restart");
+levelSetFolder.add(levelSetActions, "clear").name("Clear");
+levelSetFolder.add(levelSetParams, "iteration").name("Iteration").listen();
+
+// --- Domain operators: tile, mirror or rotate the current primitive without cloning it
+const domainParams = {
+  type: "repeat",
+  periodX: 1,
+  periodY: 1,
+  limited: false,
+  limitX: 2,
+  limitY: 2,
+  mirrorAngle: 0,
+  polarCount: 6,
+  group: "p4m",
+  cellX: 1,
+  cellY: 1,
+  neighbors: 1
+};
+
+/** Operator descriptor for the current GUI settings. */
+function domainOperatorFromParams() {
+  switch (domainParams.type) {
+    case "mirror":
+      return { type: "mirror", angle: domainParams.mirrorAngle };
+    case "polar":
+      return { type: "polar", count: domainParams.polarCount, neighbors: domainParams.neighbors };
+    case "wallpaper":
+      return {
+        type: "wallpaper",
+        group: domainParams.group,
+        cell: { x: domainParams.cellX, y: domainParams.cellY },
+        neighbors: domainParams.neighbors
+      };
+    default:
+      return {
+        type: "repeat",
+        period: { x: domainParams.periodX, y: domainParams.periodY },
+        limits: domainParams.limited ? { x: domainParams.limitX, y: domainParams.limitY } : null,
+        neighbors: domainParams.neighbors
+      };
+  }
+}
+
+const domainActions = {
+  wrapCurrent: () => {
+    if (!currentPrimitive || typeof currentPrimitive.instance.computeSDF !== "function") {
+      alert("Create a primitive to repeat first.");
+      return;
+    }
+    const domain = new DomainPrimitive({
+      base: currentPrimitive.instance,
+      operator: domainOperatorFromParams(),
+      color: { ...currentPrimitive.instance.color }
+    });
+    domain.registerWithStateStore(stateStore);
+    stateStore.addShape(domain);
+    domain.object = domain.createObject();
+    addShapeToScene(domain);
+    refreshBaseShapeOptions();
+    logger.info(`Wrapped ${currentPrimitive.instance.id} in DomainPrimitive ${domain.id} (${domainParams.type})`);
+  }
+};
+
+const domainFolder = gui.addFolder("Domain Operators");
+domainFolder.add(domainParams, "type", DOMAIN_OPERATORS).name("Operator");
+domainFolder.add(domainParams, "periodX", 0, 5).step(0.05).name("Period X (0 = off)");
+domainFolder.add(domainParams, "periodY", 0, 5).step(0.05).name("Period Y (0 = off)");
+domainFolder.add(domainParams, "limited").name("Limit Copies");
+domainFolder.add(domainParams, "limitX", 0, 10).step(1).name("Limit X");
+domainFolder.add(domainParams, "limitY", 0, 10).step(1).name("Limit Y");
+domainFolder.add(domainParams, "mirrorAngle", 0, Math.PI).step(0.01).name("Mirror Angle");
+domainFolder.add(domainParams, "polarCount", 1, 24).step(1).name("Polar Copies");
+domainFolder.add(domainParams, "group", WALLPAPER_GROUPS).name("Wallpaper Group");
+domainFolder.add(domainParams, "cellX", 0.1, 5).step(0.05).name("Cell X");
+domainFolder.add(domainParams, "cellY", 0.1, 5).step(0.05).name("Cell Y");
+domainFolder.add(domainParams, "neighbors", 0, 2).step(1).name("Neighbor Cells");
+domainFolder.add(domainActions, "wrapCurrent").name("Wrap Current Primitive");
+
+// --- Deformations: warp the field of the current primitive, not just its vertices
+const deformParams = {
+  type: "bend",
+  curvature: 0.5,
+  twistRate: 1,
+  taperRate: 0.3,
+  waveAmplitude: 0.2,
+  waveFrequency: 3,
+  waveSpeed: 0,
+  latticeNx: 2,
+  latticeNy: 2,
+  latticeOffsets: "0,0; 0,0; 0,0; 0,0.5; 0,0; 0,0.5; 0,0; 0,0; 0,0",
+  lipschitz: 1,
+  bounded: true
+};
+let currentDeformed = null;
+
+/** Deformation descriptor for the current GUI settings. */
+function deformationFromParams() {
+  switch (deformParams.type) {
+    case "twist":
+      return { type: "twist", rate: deformParams.twistRate };
+    case "taper":
+      return { type: "taper", rate: deformParams.taperRate };
+    case "wave":
+      return {
+        type: "wave",
+        amplitude: deformParams.waveAmplitude,
+        frequency: deformParams.waveFrequency,
+        speed: deformParams.waveSpeed
+      };
+    case "lattice":
+      return {
+        type: "lattice",
+        nx: deformParams.latticeNx,
+        ny: deformParams.latticeNy,
+        // Row by row from the bottom-left control point; a wrong count resets to zero offsets
+        offsets: deformParams.latticeOffsets.split(";").map(pair => {
+          const [x, y] = pair.split(",").map(Number);
+          return { x: x || 0, y: y || 0 };
+        })
+      };
+    default:
+      return { type: "bend", curvature: deformParams.curvature };
+  }
+}
+
+function renderDeformed(time = 0) {
+  if (!currentDeformed) return;
+  if (currentDeformed.object) removeShapeFromScene(currentDeformed);
+  currentDeformed.object = currentDeformed.createObject(time);
+  addShapeToScene(currentDeformed);
+  deformParams.lipschitz = currentDeformed.lipschitz;
+  deformParams.bounded = currentDeformed.bounded;
+}
+
+function updateDeformed() {
+  if (!currentDeformed) return;
+  currentDeformed.updateParameters({ deformation: deformationFromParams() });
+  renderDeformed();
+}
+
+const deformActions = {
+  deformCurrent: () => {
+    if (!currentPrimitive || typeof currentPrimitive.instance.computeSDF !== "function") {
+      alert("Create a primitive to deform first.");
+      return;
+    }
+    currentDeformed = new DeformedPrimitive({
+      base: currentPrimitive.instance,
+      deformation: deformationFromParams(),
+      color: { ...currentPrimitive.instance.color }
+    });
+    currentDeformed.registerWithStateStore(stateStore);
+    stateStore.addShape(currentDeformed);
+    renderDeformed();
+    refreshBaseShapeOptions();
+    logger.info(`Deformed ${currentPrimitive.instance.id} into DeformedPrimitive ${currentDeformed.id} (${deformParams.type})`);
+  }
+};
+
+const deformFolder = gui.addFolder("Deformations");
+deformFolder.add(deformParams, "type", DEFORMATIONS).name("Deformation").onChange(updateDeformed);
+deformFolder.add(deformParams, "curvature", -2, 2).step(0.01).name("Bend Curvature").onChange(updateDeformed);
+deformFolder.add(deformParams, "twistRate", -5, 5).step(0.05).name("Twist Rate").onChange(updateDeformed);
+deformFolder.add(deformParams, "taperRate", -1, 1).step(0.01).name("Taper Rate").onChange(updateDeformed);
+deformFolder.add(deformParams, "waveAmplitude", 0, 1).step(0.01).name("Wave Amplitude").onChange(updateDeformed);
+deformFolder.add(deformParams, "waveFrequency", 0, 10).step(0.1).name("Wave Frequency").onChange(updateDeformed);
+deformFolder.add(deformParams, "waveSpeed", 0, 5).step(0.1).name("Wave Speed").onChange(updateDeformed);
+deformFolder.add(deformParams, "latticeNx", 1, 4).step(1).name("Lattice Degree X").onChange(updateDeformed);
+deformFolder.add(deformParams, "latticeNy", 1, 4).step(1).name("Lattice Degree Y").onChange(updateDeformed);
+deformFolder.add(deformParams, "latticeOffsets").name("Lattice Offsets (x,y; ...)").onFinishChange(updateDeformed);
+deformFolder.add(deformParams, "lipschitz").name("Lipschitz Bound").listen();
+deformFolder.add(deformParams, "bounded").name("Bound Covers View").listen();
+deformFolder.add(deformActions, "deformCurrent").name("Deform Current Primitive");
+
+// --- Field operators: offset, round, hollow out or stroke the current primitive
+const fieldParams = {
+  type: "offset",
+  radius: 0.1,
+  thickness: 0.1,
+  depth: 1,
+  width: 0.1
+};
+
+const fieldActions = {
+  applyToCurrent: () => {
+    if (!currentPrimitive || typeof currentPrimitive.instance.computeSDF !== "function") {
+      alert("Create a primitive to apply the operator to first.");
+      return;
+    }
+    const field = new FieldOperatorPrimitive({
+      base: currentPrimitive.instance,
+      operators: [{ ...fieldParams }],
+      color: { ...currentPrimitive.instance.color }
+    });
+    field.registerWithStateStore(stateStore);
+    stateStore.addShape(field);
+    field.object = field.createObject();
+    addShapeToScene(field);
+    refreshBaseShapeOptions();
+    logger.info(`Applied ${fieldParams.type} to ${currentPrimitive.instance.id} as FieldOperatorPrimitive ${field.id}`);
+  }
+};
+
+const fieldFolder = gui.addFolder("Field Operators");
+fieldFolder.add(fieldParams, "type", FIELD_OPERATORS).name("Operator");
+fieldFolder.add(fieldParams, "radius", -1, 1).step(0.01).name("Offset / Round Radius");
+fieldFolder.add(fieldParams, "thickness", 0.01, 1).step(0.01).name("Onion Thickness");
+fieldFolder.add(fieldParams, "depth", 1, 4).step(1).name("Onion Depth");
+fieldFolder.add(fieldParams, "width", 0.01, 1).step(0.01).name("Stroke Width");
+fieldFolder.add(fieldActions, "applyToCurrent").name("Apply to Current Primitive");
+
 
 
 // -----------------------------------------------------------------------------
@@ -693,6 +1642,15 @@ initializeSaveFeature(gui);  // This adds a save button (and optionally a load b
 const loadController = {
   loadState: async () => {
     const success = await loadScene({ clearVisuals, createVisual, triggerRender });
+    if (success) {
+      // Reflect restored mapping settings in the curve editor
+      curveParams.interpolation = stateStore.mappingParams.interpolation;
+      curveEditor.setInterpolation(curveParams.interpolation);
+      curveEditor.setPoints(stateStore.mappingParams.controlPoints);
+      curveFolder.updateDisplay();
+      Object.assign(noiseParams, stateStore.mappingParams.noise);
+      noiseFolder.updateDisplay();
+    }
     alert(success
       ? "Scene loaded successfully!"
       : "Failed to load scene. See console for details.");
@@ -717,6 +1675,9 @@ window.addEventListener('beforeunload', async (event) => {
 // In the alternative approach, we no longer poll for the rendered flag in the loop,
 // because the flag is now set when shapes are added or removed.
 let startTime = performance.now();
+let lastFractalUpdate = 0;
+let lastSchurUpdate = 0;
+let lastDeformUpdate = 0;
 function animate() {
   const currentTime = (performance.now() - startTime) / 1000.0; // Time in seconds.
   
@@ -728,6 +1689,34 @@ function animate() {
       ["temporal", "sequential", "blended"].includes(stateStore.selectedMappingType)) {
     updateGeometry(currentTime);
   }
+
+  // Animated Julia parameter: re-contour a few times per second
+  if (currentPrimitive && currentPrimitive.type === "fractal" && fractalParams.animateC &&
+      currentTime - lastFractalUpdate > 0.2) {
+    lastFractalUpdate = currentTime;
+    rebuildFractal({}, currentTime);
+  }
+
+  // Animated Schur weight (e.g. a morph sweep): re-render a few times per second
+  if (currentSchur && schurParams.animateK && currentTime - lastSchurUpdate > 0.2) {
+    lastSchurUpdate = currentTime;
+    scene.remove(currentSchur.object);
+    currentSchur.object = createSchurObject(currentSchur, currentTime);
+    scene.add(currentSchur.object);
+  }
+
+  // Travelling wave deformation: re-contour a few times per second
+  if (currentDeformed && currentDeformed.deformation.type === "wave" && currentDeformed.deformation.speed &&
+      currentTime - lastDeformUpdate > 0.2) {
+    lastDeformUpdate = currentTime;
+    renderDeformed(currentTime);
+  }
+
+  // Level-set morph playback: advance the evolution and re-contour every frame
+  if (levelSetMorph && levelSetParams.playing) {
+    levelSetMorph.step();
+    renderLevelSetMorph();
+  }
   
   requestAnimationFrame(animate);
   controls.update();
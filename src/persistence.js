@@ -5,7 +5,16 @@ import { stateStore } from './state/stateStore.js';
 import { logger } from './utils/logger.js';
 import { ComplexShape2D } from './Geometry/ComplexShape2d.js';
 import { ComplexPrimitive2D } from './Primitives/ComplexPrimitive2d.js';
-import { TrianglePrimitive, ArcPrimitive } from './Primitives/primaryDerivativePrimitives.js';
+import { TrianglePrimitive, ArcPrimitive, CirclePrimitive, EllipsePrimitive, PolygonPrimitive, BezierPrimitive } from './Primitives/primaryDerivativePrimitives.js';
+import { ImplicitPrimitive } from './Primitives/ImplicitPrimitive.js';
+import { ComplexPolynomialPrimitive } from './Primitives/ComplexPolynomialPrimitive.js';
+import { FractalPrimitive } from './Primitives/FractalPrimitive.js';
+import { GridPrimitive } from './Primitives/GridPrimitive.js';
+import { DomainPrimitive } from './Primitives/DomainPrimitive.js';
+import { DeformedPrimitive } from './Primitives/DeformedPrimitive.js';
+import { FieldOperatorPrimitive } from './Primitives/FieldOperatorPrimitive.js';
+import { WarpedPrimitive } from './Primitives/WarpedPrimitive.js';
+import { serializeMapping, deserializeMapping } from './utils/DistanceMapping.js';
 
 // =============================================================================
 // 1. SETUP: Initialize Dexie Database and Define Schema
@@ -31,7 +40,10 @@ db.version(1).stores({
  * determineShapeType
  * Robustly determines the type of shape, using multiple strategies.
  * The order is:
- * 1. Specific primitives: TrianglePrimitive and ArcPrimitive.
+ * 1. Specific primitives: TrianglePrimitive, ArcPrimitive, CirclePrimitive, EllipsePrimitive,
+ *    PolygonPrimitive, BezierPrimitive, ImplicitPrimitive, ComplexPolynomialPrimitive,
+ *    FractalPrimitive, GridPrimitive, DomainPrimitive, DeformedPrimitive,
+ *    FieldOperatorPrimitive and WarpedPrimitive.
  * 2. ComplexShape2D: if it is a line segment then 'line', otherwise 'complexShape'.
  * 3. ComplexPrimitive2D.
  * 4. Composite shapes (if blendParams exists).
@@ -47,6 +59,42 @@ function determineShapeType(shape) {
   } else if (shape instanceof ArcPrimitive) {
     resolvedType = 'arc';
     logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as ArcPrimitive.`);
+  } else if (shape instanceof CirclePrimitive) {
+    resolvedType = 'circle';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as CirclePrimitive.`);
+  } else if (shape instanceof EllipsePrimitive) {
+    resolvedType = 'ellipse';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as EllipsePrimitive.`);
+  } else if (shape instanceof PolygonPrimitive) {
+    resolvedType = 'polygon';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as PolygonPrimitive.`);
+  } else if (shape instanceof BezierPrimitive) {
+    resolvedType = 'bezier';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as BezierPrimitive.`);
+  } else if (shape instanceof ImplicitPrimitive) {
+    resolvedType = 'implicit';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as ImplicitPrimitive.`);
+  } else if (shape instanceof ComplexPolynomialPrimitive) {
+    resolvedType = 'polynomial';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as ComplexPolynomialPrimitive.`);
+  } else if (shape instanceof FractalPrimitive) {
+    resolvedType = 'fractal';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as FractalPrimitive.`);
+  } else if (shape instanceof GridPrimitive) {
+    resolvedType = 'grid';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as GridPrimitive.`);
+  } else if (shape instanceof DomainPrimitive) {
+    resolvedType = 'domain';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as DomainPrimitive.`);
+  } else if (shape instanceof DeformedPrimitive) {
+    resolvedType = 'deformed';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as DeformedPrimitive.`);
+  } else if (shape instanceof FieldOperatorPrimitive) {
+    resolvedType = 'field';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as FieldOperatorPrimitive.`);
+  } else if (shape instanceof WarpedPrimitive) {
+    resolvedType = 'warped';
+    logger.debug(`Shape ID ${shape.id || 'unknown'}: Detected as WarpedPrimitive.`);
   }
   // 2. ComplexShape2D handling
   else if (shape instanceof ComplexShape2D) {
@@ -100,11 +148,16 @@ function extractBasicParameters(shape) {
 
   if (shape.size !== undefined) params.size = shape.size;
   if (shape.rotation !== undefined) params.rotation = shape.rotation;
+  if (shape.closed !== undefined) params.closed = shape.closed;
 
   if (shape.color !== undefined) {
     params.color = { ...shape.color };
   }
 
+  if (typeof shape.distanceMapper === 'function') {
+    params.distanceMapper = serializeMapping(shape.distanceMapper);
+  }
+
   // Add constructor name for better deserialization
   params._shapeClass = shape.constructor ? shape.constructor.name : null;
 
@@ -244,8 +297,8 @@ export function serializeShapesForStorage() {
           logger.info(`Serializing ComplexPrimitive2D with ID ${shapeId}`);
           parameters.metric = { ...shape.metric };
           parameters.color = { ...shape.color };
-          if (shape.distanceMapper && shape.distanceMapper.name) {
-            parameters.distanceMapper = shape.distanceMapper.name;
+          if (shape.distanceMapper) {
+            parameters.distanceMapper = serializeMapping(shape.distanceMapper);
           }
         }
         // 4. Generic fallback
@@ -292,7 +345,12 @@ export function serializeShapesForStorage() {
         a: stateStore.mappingParams ? stateStore.mappingParams.a : 1,
         b: stateStore.mappingParams ? stateStore.mappingParams.b : 1,
         c: stateStore.mappingParams ? stateStore.mappingParams.c : 0,
-        e: stateStore.mappingParams ? stateStore.mappingParams.e : 0
+        e: stateStore.mappingParams ? stateStore.mappingParams.e : 0,
+        expr: stateStore.mappingParams ? stateStore.mappingParams.expr : "d",
+        controlPoints: stateStore.mappingParams ? stateStore.mappingParams.controlPoints : undefined,
+        interpolation: stateStore.mappingParams ? stateStore.mappingParams.interpolation : "monotone",
+        noise: stateStore.mappingParams ? { ...stateStore.mappingParams.noise } : {},
+        baseMapping: serializeMapping(stateStore.baseMapping)
       }
     };
 
@@ -437,7 +495,13 @@ export async function loadScene({ clearVisuals, createVisual, triggerRender }) {
 
     // 6️⃣ Restore global mapping configuration
     if (metaRecord?.value?.mappingConfig) {
-      stateStore.updateMappingConfig(metaRecord.value.mappingConfig);
+      const mappingConfig = metaRecord.value.mappingConfig;
+      stateStore.updateMappingConfig({
+        ...mappingConfig,
+        mappingType: mappingConfig.selectedMappingType,
+        frequency: mappingConfig.timeFrequency,
+        baseMapper: mappingConfig.baseMapping ? deserializeMapping(mappingConfig.baseMapping) : undefined
+      });
       logger.debug("Restored mapping configuration from metadata");
     }
 
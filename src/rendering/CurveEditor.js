@@ -0,0 +1,220 @@
+// File: src/rendering/CurveEditor.js
+import { createPiecewiseMapping, normalizeControlPoints } from "../utils/DistanceMapping.js";
+
+/**
+ * Small canvas editor for piecewise d → f(d) mapping curves.
+ *  - Drag a control point to move it (it cannot pass its neighbours).
+ *  - Double-click empty space to add a point.
+ *  - Right-click a point to remove it (at least two points are kept).
+ * onChange receives the sorted control points after every edit.
+ */
+export class CurveEditor {
+  constructor({
+    width = 240,
+    height = 160,
+    points = [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+    interpolation = "monotone",
+    domain = { xMin: -1, xMax: 2, yMin: -1, yMax: 2 },
+    onChange = () => {}
+  } = {}) {
+    this.width = width;
+    this.height = height;
+    this.domain = domain;
+    this.interpolation = interpolation;
+    this.onChange = onChange;
+    this.points = normalizeControlPoints(points);
+    this.dragIndex = -1;
+    this.pointRadius = 5;
+
+    this.domElement = document.createElement("canvas");
+    this.domElement.width = width;
+    this.domElement.height = height;
+    this.domElement.style.display = "block";
+    this.domElement.style.cursor = "crosshair";
+    this.ctx = this.domElement.getContext("2d");
+
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onDoubleClick = this._onDoubleClick.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+
+    this.domElement.addEventListener("mousedown", this._onMouseDown);
+    this.domElement.addEventListener("dblclick", this._onDoubleClick);
+    this.domElement.addEventListener("contextmenu", this._onContextMenu);
+    window.addEventListener("mousemove", this._onMouseMove);
+    window.addEventListener("mouseup", this._onMouseUp);
+
+    this.draw();
+  }
+
+  setPoints(points) {
+    this.points = normalizeControlPoints(points);
+    this.draw();
+  }
+
+  getPoints() {
+    return this.points.map(p => ({ x: p.x, y: p.y }));
+  }
+
+  setInterpolation(interpolation) {
+    this.interpolation = interpolation;
+    this.draw();
+  }
+
+  dispose() {
+    this.domElement.removeEventListener("mousedown", this._onMouseDown);
+    this.domElement.removeEventListener("dblclick", this._onDoubleClick);
+    this.domElement.removeEventListener("contextmenu", this._onContextMenu);
+    window.removeEventListener("mousemove", this._onMouseMove);
+    window.removeEventListener("mouseup", this._onMouseUp);
+  }
+
+  // --- Coordinate conversion between curve space and canvas pixels ---
+  _toCanvas(p) {
+    const { xMin, xMax, yMin, yMax } = this.domain;
+    return {
+      x: ((p.x - xMin) / (xMax - xMin)) * this.width,
+      y: (1 - (p.y - yMin) / (yMax - yMin)) * this.height
+    };
+  }
+
+  _toCurve(px, py) {
+    const { xMin, xMax, yMin, yMax } = this.domain;
+    return {
+      x: xMin + (px / this.width) * (xMax - xMin),
+      y: yMin + (1 - py / this.height) * (yMax - yMin)
+    };
+  }
+
+  _eventPosition(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.width / rect.width),
+      y: (event.clientY - rect.top) * (this.height / rect.height)
+    };
+  }
+
+  _hitTest(pos) {
+    return this.points.findIndex(p => {
+      const c = this._toCanvas(p);
+      return Math.hypot(c.x - pos.x, c.y - pos.y) <= this.pointRadius + 3;
+    });
+  }
+
+  _emitChange() {
+    this.draw();
+    this.onChange(this.getPoints());
+  }
+
+  // --- Mouse handlers ---
+  _onMouseDown(event) {
+    if (event.button !== 0) return;
+    this.dragIndex = this._hitTest(this._eventPosition(event));
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  _onMouseMove(event) {
+    if (this.dragIndex < 0) return;
+    const pos = this._eventPosition(event);
+    const p = this._toCurve(pos.x, pos.y);
+    const { yMin, yMax } = this.domain;
+
+    // Keep x strictly between the neighbours so the point order never changes
+    const gap = 1e-3 * (this.domain.xMax - this.domain.xMin);
+    const prev = this.points[this.dragIndex - 1];
+    const next = this.points[this.dragIndex + 1];
+    const minX = prev ? prev.x + gap : this.domain.xMin;
+    const maxX = next ? next.x - gap : this.domain.xMax;
+
+    this.points[this.dragIndex] = {
+      x: Math.min(Math.max(p.x, minX), maxX),
+      y: Math.min(Math.max(p.y, yMin), yMax)
+    };
+    this._emitChange();
+  }
+
+  _onMouseUp() {
+    this.dragIndex = -1;
+  }
+
+  _onDoubleClick(event) {
+    const pos = this._eventPosition(event);
+    if (this._hitTest(pos) >= 0) return;
+    this.points = normalizeControlPoints([...this.points, this._toCurve(pos.x, pos.y)]);
+    this._emitChange();
+  }
+
+  _onContextMenu(event) {
+    event.preventDefault();
+    const index = this._hitTest(this._eventPosition(event));
+    if (index < 0 || this.points.length <= 2) return;
+    this.points.splice(index, 1);
+    this._emitChange();
+  }
+
+  // --- Drawing ---
+  draw() {
+    const { ctx, width, height } = this;
+    const { xMin, xMax, yMin, yMax } = this.domain;
+
+    ctx.fillStyle = "#1a1a1a";
+    ctx.fillRect(0, 0, width, height);
+
+    // Integer grid lines, with the axes highlighted
+    ctx.lineWidth = 1;
+    for (let x = Math.ceil(xMin); x <= xMax; x++) {
+      const cx = this._toCanvas({ x, y: 0 }).x;
+      ctx.strokeStyle = x === 0 ? "#666" : "#333";
+      ctx.beginPath();
+      ctx.moveTo(cx, 0);
+      ctx.lineTo(cx, height);
+      ctx.stroke();
+    }
+    for (let y = Math.ceil(yMin); y <= yMax; y++) {
+      const cy = this._toCanvas({ x: 0, y }).y;
+      ctx.strokeStyle = y === 0 ? "#666" : "#333";
+      ctx.beginPath();
+      ctx.moveTo(0, cy);
+      ctx.lineTo(width, cy);
+      ctx.stroke();
+    }
+
+    // Identity reference line
+    ctx.strokeStyle = "#444";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    const i0 = this._toCanvas({ x: xMin, y: xMin });
+    const i1 = this._toCanvas({ x: xMax, y: xMax });
+    ctx.moveTo(i0.x, i0.y);
+    ctx.lineTo(i1.x, i1.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Mapping curve
+    if (this.points.length >= 2) {
+      const mapper = createPiecewiseMapping(this.points, this.interpolation);
+      ctx.strokeStyle = "#2fa1d6";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let px = 0; px <= width; px++) {
+        const x = this._toCurve(px, 0).x;
+        const cy = this._toCanvas({ x, y: mapper(x) }).y;
+        if (px === 0) ctx.moveTo(px, cy); else ctx.lineTo(px, cy);
+      }
+      ctx.stroke();
+    }
+
+    // Control points
+    ctx.fillStyle = "#ffffff";
+    for (const p of this.points) {
+      const c = this._toCanvas(p);
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, this.pointRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+export default CurveEditor;
@@ -0,0 +1,189 @@
+// File: src/rendering/RootsEditor.js
+import { cabs, polynomialFromRoots, evaluatePolynomial } from "../utils/complex.js";
+
+/**
+ * Small canvas editor for the roots of a complex polynomial.
+ *  - Drag a root to move it.
+ *  - Double-click empty space to add a root.
+ *  - Right-click a root to remove it (at least one root is kept).
+ * The region |p(z)| < radius is shaded as a preview.
+ * onChange receives the roots after every edit.
+ */
+export class RootsEditor {
+  constructor({
+    width = 240,
+    height = 240,
+    roots = [{ x: -1, y: 0 }, { x: 1, y: 0 }],
+    radius = 1,
+    extent = 3,
+    onChange = () => {}
+  } = {}) {
+    this.width = width;
+    this.height = height;
+    this.extent = extent;
+    this.radius = radius;
+    this.onChange = onChange;
+    this.roots = roots.map(r => ({ x: r.x, y: r.y }));
+    this.dragIndex = -1;
+    this.pointRadius = 5;
+
+    this.domElement = document.createElement("canvas");
+    this.domElement.width = width;
+    this.domElement.height = height;
+    this.domElement.style.display = "block";
+    this.domElement.style.cursor = "crosshair";
+    this.ctx = this.domElement.getContext("2d");
+
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onDoubleClick = this._onDoubleClick.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+
+    this.domElement.addEventListener("mousedown", this._onMouseDown);
+    this.domElement.addEventListener("dblclick", this._onDoubleClick);
+    this.domElement.addEventListener("contextmenu", this._onContextMenu);
+    window.addEventListener("mousemove", this._onMouseMove);
+    window.addEventListener("mouseup", this._onMouseUp);
+
+    this.draw();
+  }
+
+  setRoots(roots) {
+    this.roots = roots.map(r => ({ x: r.x, y: r.y }));
+    this.draw();
+  }
+
+  getRoots() {
+    return this.roots.map(r => ({ x: r.x, y: r.y }));
+  }
+
+  setRadius(radius) {
+    this.radius = radius;
+    this.draw();
+  }
+
+  dispose() {
+    this.domElement.removeEventListener("mousedown", this._onMouseDown);
+    this.domElement.removeEventListener("dblclick", this._onDoubleClick);
+    this.domElement.removeEventListener("contextmenu", this._onContextMenu);
+    window.removeEventListener("mousemove", this._onMouseMove);
+    window.removeEventListener("mouseup", this._onMouseUp);
+  }
+
+  // --- Coordinate conversion between the complex plane and canvas pixels ---
+  _toCanvas(p) {
+    return {
+      x: ((p.x + this.extent) / (2 * this.extent)) * this.width,
+      y: (1 - (p.y + this.extent) / (2 * this.extent)) * this.height
+    };
+  }
+
+  _toPlane(px, py) {
+    return {
+      x: -this.extent + (px / this.width) * 2 * this.extent,
+      y: -this.extent + (1 - py / this.height) * 2 * this.extent
+    };
+  }
+
+  _eventPosition(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.width / rect.width),
+      y: (event.clientY - rect.top) * (this.height / rect.height)
+    };
+  }
+
+  _hitTest(pos) {
+    return this.roots.findIndex(r => {
+      const c = this._toCanvas(r);
+      return Math.hypot(c.x - pos.x, c.y - pos.y) <= this.pointRadius + 3;
+    });
+  }
+
+  _emitChange() {
+    this.draw();
+    this.onChange(this.getRoots());
+  }
+
+  // --- Mouse handlers ---
+  _onMouseDown(event) {
+    if (event.button !== 0) return;
+    this.dragIndex = this._hitTest(this._eventPosition(event));
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  _onMouseMove(event) {
+    if (this.dragIndex < 0) return;
+    const pos = this._eventPosition(event);
+    const p = this._toPlane(pos.x, pos.y);
+    const clamp = v => Math.min(Math.max(v, -this.extent), this.extent);
+    this.roots[this.dragIndex] = { x: clamp(p.x), y: clamp(p.y) };
+    this._emitChange();
+  }
+
+  _onMouseUp() {
+    this.dragIndex = -1;
+  }
+
+  _onDoubleClick(event) {
+    const pos = this._eventPosition(event);
+    if (this._hitTest(pos) >= 0) return;
+    this.roots.push(this._toPlane(pos.x, pos.y));
+    this._emitChange();
+  }
+
+  _onContextMenu(event) {
+    event.preventDefault();
+    const index = this._hitTest(this._eventPosition(event));
+    if (index < 0 || this.roots.length <= 1) return;
+    this.roots.splice(index, 1);
+    this._emitChange();
+  }
+
+  // --- Drawing ---
+  draw() {
+    const { ctx, width, height } = this;
+
+    ctx.fillStyle = "#1a1a1a";
+    ctx.fillRect(0, 0, width, height);
+
+    // Coarse preview of the region |p(z)| < radius
+    const coeffs = polynomialFromRoots(this.roots);
+    const cell = 4;
+    ctx.fillStyle = "#23506b";
+    for (let py = 0; py < height; py += cell) {
+      for (let px = 0; px < width; px += cell) {
+        const z = this._toPlane(px + cell / 2, py + cell / 2);
+        if (cabs(evaluatePolynomial(coeffs, z).value) < this.radius) {
+          ctx.fillRect(px, py, cell, cell);
+        }
+      }
+    }
+
+    // Integer grid lines, with the axes highlighted
+    ctx.lineWidth = 1;
+    for (let v = -Math.floor(this.extent); v <= this.extent; v++) {
+      const c = this._toCanvas({ x: v, y: v });
+      ctx.strokeStyle = v === 0 ? "#666" : "#333";
+      ctx.beginPath();
+      ctx.moveTo(c.x, 0);
+      ctx.lineTo(c.x, height);
+      ctx.moveTo(0, c.y);
+      ctx.lineTo(width, c.y);
+      ctx.stroke();
+    }
+
+    // Roots
+    ctx.fillStyle = "#ffffff";
+    for (const r of this.roots) {
+      const c = this._toCanvas(r);
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, this.pointRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+export default RootsEditor;
@@ -7,10 +7,19 @@ import {
 import { 
   distanceMappingRegistry, 
   identityMapping, 
-  createMapping 
+  createMapping,
+  getDistanceMapperByName
 } from "../utils/DistanceMapping.js";
 import { logger } from "../utils/logger.js";
-import { TrianglePrimitive, ArcPrimitive } from "../Primitives/primaryDerivativePrimitives.js";
+import { TrianglePrimitive, ArcPrimitive, CirclePrimitive, EllipsePrimitive, PolygonPrimitive, BezierPrimitive } from "../Primitives/primaryDerivativePrimitives.js";
+import { ImplicitPrimitive } from "../Primitives/ImplicitPrimitive.js";
+import { ComplexPolynomialPrimitive } from "../Primitives/ComplexPolynomialPrimitive.js";
+import { FractalPrimitive } from "../Primitives/FractalPrimitive.js";
+import { GridPrimitive } from "../Primitives/GridPrimitive.js";
+import { DomainPrimitive } from "../Primitives/DomainPrimitive.js";
+import { DeformedPrimitive } from "../Primitives/DeformedPrimitive.js";
+import { FieldOperatorPrimitive } from "../Primitives/FieldOperatorPrimitive.js";
+import { WarpedPrimitive } from "../Primitives/WarpedPrimitive.js";
 import { ComplexShape2D } from "../Geometry/ComplexShape2d.js";
 // Optionally, if you have a base class for fallback:
 import { ComplexPrimitive2D } from "../Primitives/ComplexPrimitive2d.js";
@@ -61,7 +70,11 @@ export const stateStore = {
       a: 1,
       b: 1,
       c: 0,
-      e: 0
+      e: 0,
+      expr: this.mappingParams?.expr,
+      controlPoints: this.mappingParams?.controlPoints,
+      interpolation: this.mappingParams?.interpolation,
+      ...(this.mappingParams?.noise || {})
     });
   },
   
@@ -76,6 +89,10 @@ export const stateStore = {
       recursionLimit,
       polyCoeffs,
       a, b, c, e,
+      expr,
+      controlPoints,
+      interpolation,
+      noise,
       amplitude = 1.0  // Provide a default value for amplitude.
     } = config;
     
@@ -93,6 +110,11 @@ export const stateStore = {
       b: b !== undefined ? b : 1,
       c: c !== undefined ? c : 0,
       e: e !== undefined ? e : 0,
+      expr: expr !== undefined ? expr : (this.mappingParams?.expr || "d"),
+      controlPoints: controlPoints || this.mappingParams?.controlPoints || [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+      interpolation: interpolation || this.mappingParams?.interpolation || "monotone",
+      // Seeded noise settings (seed, speed, octaves, lacunarity, gain, usePoint)
+      noise: { ...(this.mappingParams?.noise || {}), ...(noise || {}) },
       secondaryMapper: secondaryMapper || identityMapping
     };
     
@@ -360,6 +382,74 @@ export const stateStore = {
           shape = new ArcPrimitive(data);
           break;
   
+        case "circle":
+          logger.debug(`Creating CirclePrimitive with data: ${JSON.stringify(data)}`);
+          shape = new CirclePrimitive(data);
+          break;
+  
+        case "ellipse":
+          logger.debug(`Creating EllipsePrimitive with data: ${JSON.stringify(data)}`);
+          shape = new EllipsePrimitive(data);
+          break;
+  
+        case "polygon":
+          logger.debug(`Creating PolygonPrimitive with data: ${JSON.stringify(data)}`);
+          shape = new PolygonPrimitive(data);
+          break;
+  
+        case "bezier":
+          logger.debug(`Creating BezierPrimitive with data: ${JSON.stringify(data)}`);
+          shape = new BezierPrimitive(data);
+          break;
+  
+        case "implicit":
+          logger.debug(`Creating ImplicitPrimitive with data: ${JSON.stringify(data)}`);
+          shape = new ImplicitPrimitive(data);
+          break;
+
+        case "polynomial":
+          logger.debug(`Creating ComplexPolynomialPrimitive with data: ${JSON.stringify(data)}`);
+          shape = new ComplexPolynomialPrimitive(data);
+          break;
+
+        case "fractal":
+          logger.debug(`Creating FractalPrimitive with data: ${JSON.stringify(data)}`);
+          shape = new FractalPrimitive(data);
+          break;
+
+        case "grid":
+          logger.debug(`Creating GridPrimitive with ${data.grid?.values?.length || 0} grid values`);
+          shape = new GridPrimitive(data);
+          break;
+  
+        case "domain": {
+          logger.debug(`Creating DomainPrimitive with operator: ${JSON.stringify(data.operator)}`);
+          const base = data.base ? this.createShapeFromSerialized(data.base.type, data.base.data) : null;
+          shape = new DomainPrimitive({ ...data, base });
+          break;
+        }
+
+        case "deformed": {
+          logger.debug(`Creating DeformedPrimitive with deformation: ${JSON.stringify(data.deformation)}`);
+          const base = data.base ? this.createShapeFromSerialized(data.base.type, data.base.data) : null;
+          shape = new DeformedPrimitive({ ...data, base });
+          break;
+        }
+
+        case "field": {
+          logger.debug(`Creating FieldOperatorPrimitive with operators: ${JSON.stringify(data.operators)}`);
+          const base = data.base ? this.createShapeFromSerialized(data.base.type, data.base.data) : null;
+          shape = new FieldOperatorPrimitive({ ...data, base });
+          break;
+        }
+
+        case "warped": {
+          logger.debug(`Creating WarpedPrimitive with warp: ${JSON.stringify(data.warp)}`);
+          const base = data.base ? this.createShapeFromSerialized(data.base.type, data.base.data) : null;
+          shape = new WarpedPrimitive({ ...data, base });
+          break;
+        }
+  
         case "line":
           logger.debug(`Creating ComplexShape2D (line) with data: ${JSON.stringify(data)}`);
           shape = new ComplexShape2D(data);
@@ -395,9 +485,11 @@ export const stateStore = {
           logger.info(`Shape rehydrated successfully without ID`);
         }
   
-        // Optionally attach distance mapper by name (if serialized)
-        if (data?.distanceMapperName) {
-          // Assuming getDistanceMapperByName is available in your utilities.
+        // Mapper descriptors are rebuilt by the shape constructors; older saves
+        // only carry a mapper name, which is looked up in the registry.
+        if (data?.distanceMapper && typeof data.distanceMapper === 'object') {
+          logger.debug(`Restored distance mapper of type: ${data.distanceMapper.type}`);
+        } else if (data?.distanceMapperName) {
           const mapper = getDistanceMapperByName(data.distanceMapperName);
           if (mapper) {
             shape.distanceMapper = mapper;
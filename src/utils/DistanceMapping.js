@@ -1,4 +1,31 @@
 // File: src/utils/DistanceMapping.js
+import { compileExpression, validateExpression } from "./expressionParser.js";
+import { createSimplexNoise, fbm, ridged } from "./noise.js";
+import { Dual } from "./dual.js";
+
+/**
+ * Variables an expression mapping may reference.
+ */
+export const EXPRESSION_MAPPING_VARIABLES = ['d', 't', 'depth'];
+
+/**
+ * Attaches a JSON descriptor to a mapping function so it can be saved and rebuilt.
+ * A descriptor has the form { type, params, baseMappers } where baseMappers holds
+ * the descriptors of any nested mappers.
+ * @param {Function} mapper - Mapping function.
+ * @param {string} type - createMapping type that rebuilds this mapper.
+ * @param {Object} params - Plain (JSON-safe) construction parameters.
+ * @param {Function[]} baseMappers - Nested mappers, if any.
+ * @returns {Function} The same mapper, with a `descriptor` property.
+ */
+function withDescriptor(mapper, type, params = {}, baseMappers = []) {
+  mapper.descriptor = {
+    type,
+    params,
+    baseMappers: baseMappers.map(m => serializeMapping(m))
+  };
+  return mapper;
+}
 
 /**
  * Identity mapping: returns the raw distance unchanged.
@@ -6,6 +33,35 @@
  * @returns {number}
  */
 export const identityMapping = d => d;
+identityMapping.descriptor = { type: 'identity', params: {}, baseMappers: [] };
+identityMapping.dual = d => d;
+
+/**
+ * Applies a mapper to a plain number or to a Dual distance.
+ * Mappers built here carry a `dual` method with exact derivatives; any other
+ * mapper is differentiated in d by central differences and chained in.
+ * The query point is passed through unchanged, so point-dependent mappers
+ * (e.g. noise with usePoint) only contribute their d-derivative.
+ * @param {Function} mapper - Distance mapper.
+ * @param {number|Dual} d - Raw distance.
+ * @param {number} t - Time.
+ * @param {number} depth - Recursion depth.
+ * @param {Object} [point] - Query point (x, y).
+ * @returns {number|Dual} Mapped distance, of the same kind as d.
+ */
+export function applyMapping(mapper, d, t = 0, depth = 0, point) {
+  if (!(d instanceof Dual)) {
+    return mapper(d, t, depth, point);
+  }
+  if (typeof mapper.dual === 'function') {
+    return mapper.dual(d, t, depth, point);
+  }
+  const h = 1e-4;
+  const f0 = mapper(d.value, t, depth, point);
+  const fp = mapper(d.value + h, t, depth, point);
+  const fm = mapper(d.value - h, t, depth, point);
+  return d.chain(f0, (fp - fm) / (2 * h), (fp - 2 * f0 + fm) / (h * h));
+}
 
 /**
  * Creates a polynomial mapping function based on provided coefficients.
@@ -14,9 +70,12 @@ export const identityMapping = d => d;
  * @returns {Function} A function that maps a raw distance.
  */
 export function createPolynomialMapping(polyCoeffs) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
     return polyCoeffs.reduce((acc, coeff, i) => acc + coeff * Math.pow(d, i), 0);
-  };
+  }, 'polynomial', { polyCoeffs: [...polyCoeffs] });
+  // Horner evaluation on dual numbers
+  mapper.dual = d => polyCoeffs.reduceRight((acc, coeff) => acc.mul(d).add(coeff), Dual.constant(0));
+  return mapper;
 }
 
 /**
@@ -28,9 +87,11 @@ export function createPolynomialMapping(polyCoeffs) {
  * @returns {Function} A function that maps a raw distance.
  */
 export function createExponentialMapping(a = 1, b = 1, c = 0) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
     return a * Math.exp(b * d) + c;
-  };
+  }, 'exponential', { a, b, c });
+  mapper.dual = d => d.scale(b).exp().scale(a).add(c);
+  return mapper;
 }
 
 /**
@@ -44,10 +105,15 @@ export function createExponentialMapping(a = 1, b = 1, c = 0) {
  * @returns {Function} A function that maps a raw distance.
  */
 export function createLogarithmicMapping(a = 1, b = 1, c = 1, e = 0) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
     const arg = b * d + c;
     return arg > 0 ? a * Math.log(arg) + e : e;
+  }, 'logarithmic', { a, b, c, e });
+  mapper.dual = d => {
+    const arg = d.scale(b).add(c);
+    return arg.value > 0 ? arg.log().scale(a).add(e) : Dual.constant(e);
   };
+  return mapper;
 }
 
 /**
@@ -60,9 +126,11 @@ export function createLogarithmicMapping(a = 1, b = 1, c = 1, e = 0) {
  * @returns {Function} A function that maps a raw distance.
  */
 export function createSinusoidalMapping(a = 1, b = 1, c = 0, e = 0) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
     return a * Math.sin(b * d + c) + e;
-  };
+  }, 'sinusoidal', { a, b, c, e });
+  mapper.dual = d => d.scale(b).add(c).sin().scale(a).add(e);
+  return mapper;
 }
 
 /**
@@ -74,9 +142,220 @@ export function createSinusoidalMapping(a = 1, b = 1, c = 0, e = 0) {
  * @returns {Function} A function that maps a raw distance.
  */
 export function createPowerMapping(a = 1, b = 2, c = 0) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
     return a * Math.pow(d, b) + c;
+  }, 'power', { a, b, c });
+  mapper.dual = d => d.pow(b).scale(a).add(c);
+  return mapper;
+}
+
+/**
+ * Creates a mapping function from a formula in d, t and depth.
+ * e.g. "0.5*d + 0.2*sin(6*d - t)"
+ * Throws an Error describing the problem if the formula does not parse.
+ * @param {string} expr - Formula text.
+ * @returns {Function} A function that maps a raw distance.
+ */
+export function createExpressionMapping(expr) {
+  const evaluate = compileExpression(expr, EXPRESSION_MAPPING_VARIABLES);
+  return withDescriptor(function(d, t = 0, depth = 0) {
+    return evaluate({ d, t, depth });
+  }, 'expression', { expr });
+}
+
+/**
+ * Checks a mapping formula without throwing.
+ * @param {string} expr - Formula text.
+ * @returns {{valid:boolean, error:(string|null)}}
+ */
+export function validateExpressionMapping(expr) {
+  return validateExpression(expr, EXPRESSION_MAPPING_VARIABLES);
+}
+
+/**
+ * Interpolation schemes supported by piecewise mappings.
+ */
+export const PIECEWISE_INTERPOLATIONS = ['linear', 'monotone', 'catmull-rom'];
+
+/**
+ * Normalizes control points given as {x, y} or [x, y] into sorted {x, y} objects.
+ * Points sharing an x coordinate keep only the last one.
+ * @param {Array} controlPoints
+ * @returns {Array<{x:number, y:number}>}
+ */
+export function normalizeControlPoints(controlPoints = []) {
+  const points = controlPoints
+    .map(p => Array.isArray(p) ? { x: Number(p[0]), y: Number(p[1]) } : { x: Number(p.x), y: Number(p.y) })
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+    .sort((p, q) => p.x - q.x);
+
+  return points.filter((p, i) => i === points.length - 1 || points[i + 1].x !== p.x);
+}
+
+/**
+ * Tangents for cubic Hermite interpolation through sorted points.
+ * "monotone" uses Fritsch–Carlson limiting so the curve never overshoots;
+ * "catmull-rom" uses centered (non-uniform) finite differences.
+ * @param {Array<{x:number, y:number}>} points
+ * @param {string} interpolation
+ * @returns {number[]} Tangent (dy/dx) at each point
+ */
+function hermiteTangents(points, interpolation) {
+  const n = points.length;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((points[i + 1].y - points[i].y) / (points[i + 1].x - points[i].x));
+  }
+
+  const tangents = new Array(n);
+  tangents[0] = slopes[0];
+  tangents[n - 1] = slopes[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    tangents[i] = interpolation === 'monotone'
+      ? (slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2)
+      : (points[i + 1].y - points[i - 1].y) / (points[i + 1].x - points[i - 1].x);
+  }
+
+  if (interpolation === 'monotone') {
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = 0;
+        tangents[i + 1] = 0;
+        continue;
+      }
+      const alpha = tangents[i] / slopes[i];
+      const beta = tangents[i + 1] / slopes[i];
+      const norm = alpha * alpha + beta * beta;
+      if (norm > 9) {
+        const tau = 3 / Math.sqrt(norm);
+        tangents[i] = tau * alpha * slopes[i];
+        tangents[i + 1] = tau * beta * slopes[i];
+      }
+    }
+  }
+  return tangents;
+}
+
+/**
+ * Creates a piecewise mapping function through control points.
+ * Outside the first/last control point the curve continues linearly along
+ * its end tangent, so large distances keep growing.
+ * @param {Array} controlPoints - Points as {x, y} or [x, y] (x = raw distance, y = mapped value).
+ * @param {string} interpolation - 'linear', 'monotone' or 'catmull-rom'.
+ * @returns {Function} A function that maps a raw distance.
+ */
+export function createPiecewiseMapping(controlPoints, interpolation = 'monotone') {
+  const points = normalizeControlPoints(controlPoints);
+  const scheme = PIECEWISE_INTERPOLATIONS.includes(interpolation) ? interpolation : 'monotone';
+  const descriptorParams = { controlPoints: points.map(p => ({ x: p.x, y: p.y })), interpolation: scheme };
+
+  if (points.length < 2) {
+    const value = points.length === 1 ? points[0].y : 0;
+    return withDescriptor(function(d, t = 0, depth = 0) {
+      return points.length === 1 ? value : d;
+    }, 'piecewise', descriptorParams);
+  }
+
+  const n = points.length;
+  const tangents = scheme === 'linear'
+    ? points.map((p, i) => i === n - 1
+      ? (p.y - points[i - 1].y) / (p.x - points[i - 1].x)
+      : (points[i + 1].y - p.y) / (points[i + 1].x - p.x))
+    : hermiteTangents(points, scheme);
+
+  // Value, first and second derivative of the curve at d
+  const evaluate = (d) => {
+    if (d <= points[0].x) return [points[0].y + tangents[0] * (d - points[0].x), tangents[0], 0];
+    if (d >= points[n - 1].x) return [points[n - 1].y + tangents[n - 1] * (d - points[n - 1].x), tangents[n - 1], 0];
+
+    // Binary search for the segment containing d
+    let lo = 0;
+    let hi = n - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].x <= d) lo = mid; else hi = mid;
+    }
+
+    const p0 = points[lo];
+    const p1 = points[hi];
+    const h = p1.x - p0.x;
+    const s = (d - p0.x) / h;
+
+    if (scheme === 'linear') {
+      return [p0.y + (p1.y - p0.y) * s, (p1.y - p0.y) / h, 0];
+    }
+
+    // Cubic Hermite basis and its derivatives in s
+    const m0 = h * tangents[lo];
+    const m1 = h * tangents[hi];
+    const s2 = s * s;
+    const s3 = s2 * s;
+    const value = (2 * s3 - 3 * s2 + 1) * p0.y +
+                  (s3 - 2 * s2 + s) * m0 +
+                  (-2 * s3 + 3 * s2) * p1.y +
+                  (s3 - s2) * m1;
+    const ds = (6 * s2 - 6 * s) * p0.y + (3 * s2 - 4 * s + 1) * m0 +
+               (-6 * s2 + 6 * s) * p1.y + (3 * s2 - 2 * s) * m1;
+    const dss = (12 * s - 6) * p0.y + (6 * s - 4) * m0 +
+                (-12 * s + 6) * p1.y + (6 * s - 2) * m1;
+    return [value, ds / h, dss / (h * h)];
   };
+
+  const mapper = withDescriptor(function(d, t = 0, depth = 0) {
+    return evaluate(d)[0];
+  }, 'piecewise', descriptorParams);
+  mapper.dual = d => d.chain(...evaluate(d.value));
+  return mapper;
+}
+
+/**
+ * Noise flavours supported by noise mappings.
+ */
+export const NOISE_TYPES = ['simplex', 'fbm', 'ridged'];
+
+/**
+ * Creates a seeded noise mapping that displaces the distance:
+ * f(d) = d + amplitude * noise(...)
+ * The noise is sampled at (d·frequency, t·speed), or at (x·frequency, y·frequency, t·speed)
+ * when usePoint is set and the caller passes the query point as the fourth argument.
+ * @param {string} noiseType - 'simplex', 'fbm' or 'ridged'.
+ * @param {Object} options
+ * @param {number} [options.seed=0] - Permutation seed; equal seeds give equal noise.
+ * @param {number} [options.amplitude=0.1] - Displacement strength.
+ * @param {number} [options.frequency=4] - Spatial frequency.
+ * @param {number} [options.speed=0] - Time scale (0 = static noise).
+ * @param {number} [options.octaves=4] - fBm/ridged layers.
+ * @param {number} [options.lacunarity=2] - fBm/ridged frequency multiplier.
+ * @param {number} [options.gain=0.5] - fBm/ridged amplitude multiplier.
+ * @param {boolean} [options.usePoint=false] - Sample noise at the query point.
+ * @returns {Function} A function that maps a raw distance.
+ */
+export function createNoiseMapping(noiseType = 'simplex', {
+  seed = 0,
+  amplitude = 0.1,
+  frequency = 4,
+  speed = 0,
+  octaves = 4,
+  lacunarity = 2,
+  gain = 0.5,
+  usePoint = false
+} = {}) {
+  const type = NOISE_TYPES.includes(noiseType) ? noiseType : 'simplex';
+  const { noise2D, noise3D } = createSimplexNoise(seed);
+  const fractal = { octaves, lacunarity, gain };
+
+  const sample = (noise, coords) => {
+    if (type === 'fbm') return fbm(noise, coords, fractal);
+    if (type === 'ridged') return ridged(noise, coords, fractal);
+    return noise(...coords);
+  };
+
+  return withDescriptor(function(d, t = 0, depth = 0, point) {
+    const n = usePoint && point
+      ? sample(noise3D, [point.x * frequency, point.y * frequency, t * speed])
+      : sample(noise2D, [d * frequency, t * speed]);
+    return d + amplitude * n;
+  }, type, { seed, amplitude, frequency, speed, octaves, lacunarity, gain, usePoint });
 }
 
 /**
@@ -128,11 +407,23 @@ export const easingFunctions = {
  * @returns {Function} A composite mapping function.
  */
 export function createCompositeMapping(mapperA, mapperB, combiner) {
-  return function(d, t = 0, depth = 0) {
-    const resultA = mapperA(d, t, depth);
-    const resultB = mapperB(d, t, depth);
+  const combinerName = Object.keys(combiningFunctions).find(name => combiningFunctions[name] === combiner);
+  if (!combinerName) {
+    console.warn("Composite mapping uses a custom combiner that cannot be serialized; it will reload as 'add'.");
+  }
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
+    const resultA = mapperA(d, t, depth, point);
+    const resultB = mapperB(d, t, depth, point);
     return combiner(resultA, resultB, t);
-  };
+  }, 'composite', { combiner: combinerName || 'add' }, [mapperA, mapperB]);
+  if (combinerName) {
+    mapper.dual = (d, t = 0, depth = 0, point) => dualCombiningFunctions[combinerName](
+      applyMapping(mapperA, d, t, depth, point),
+      applyMapping(mapperB, d, t, depth, point),
+      t
+    );
+  }
+  return mapper;
 }
 
 /**
@@ -154,6 +445,26 @@ export const combiningFunctions = {
   lerp: (a, b, t) => (1 - t) * a + t * b
 };
 
+/**
+ * Dual-number counterparts of combiningFunctions, used for exact derivatives.
+ */
+const dualCombiningFunctions = {
+  add: (a, b) => a.add(b),
+  subtract: (a, b) => a.sub(b),
+  multiply: (a, b) => a.mul(b),
+  divide: (a, b) => b.value !== 0 ? a.div(b) : a,
+  min: (a, b) => a.min(b),
+  max: (a, b) => a.max(b),
+  average: (a, b) => a.add(b).scale(0.5),
+  smoothMin: (a, b, k = 1) => {
+    const gap = k - Math.abs(a.value - b.value);
+    if (gap <= 0) return a.min(b);
+    const h = a.sub(b).abs().neg().add(k).scale(1 / k);
+    return a.min(b).sub(h.pow(3).scale(k / 6));
+  },
+  lerp: (a, b, t) => a.scale(1 - t).add(b.scale(t))
+};
+
 /**
  * Creates a periodic mapping function using mod operation.
  * @param {Function} baseMapper - Base distance mapper to apply periodically.
@@ -161,9 +472,13 @@ export const combiningFunctions = {
  * @returns {Function} A periodic mapping function.
  */
 export function createPeriodicMapping(baseMapper, period = 1) {
-  return function(d, t = 0, depth = 0) {
-    return baseMapper(d % period, t, depth);
-  };
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
+    return baseMapper(d % period, t, depth, point);
+  }, 'periodic', { period }, [baseMapper]);
+  // d % period only shifts d by a constant, so derivatives pass through
+  mapper.dual = (d, t = 0, depth = 0, point) =>
+    applyMapping(baseMapper, d.sub(d.value - d.value % period), t, depth, point);
+  return mapper;
 }
 
 /**
@@ -174,15 +489,20 @@ export function createPeriodicMapping(baseMapper, period = 1) {
  * @returns {Function} A time-varying mapping function.
  */
 export function createTemporalMapping(baseMapper, frequency = 1, amplitude = 1) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
     const timeFactor = Math.sin(t * frequency * 2 * Math.PI);
-    const base = baseMapper(d, t, depth);
+    const base = baseMapper(d, t, depth, point);
     const result = base * (1 + timeFactor * amplitude);
 
     // console.log(`[TemporalMapping] d=${d}, t=${t.toFixed(2)}, base=${base.toFixed(3)}, timeFactor=${timeFactor.toFixed(3)}, result=${result.toFixed(3)}`);
 
     return result;
+  }, 'temporal', { frequency, amplitude }, [baseMapper]);
+  mapper.dual = (d, t = 0, depth = 0, point) => {
+    const timeFactor = Math.sin(t * frequency * 2 * Math.PI);
+    return applyMapping(baseMapper, d, t, depth, point).scale(1 + timeFactor * amplitude);
   };
+  return mapper;
 }
 
 
@@ -194,13 +514,22 @@ export function createTemporalMapping(baseMapper, frequency = 1, amplitude = 1)
  * @returns {Function} A recursive mapping function.
  */
 export function createRecursiveMapping(baseMapper, iterations = 2, strength = 0.5) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
+    let result = d;
+    for (let i = 0; i < iterations; i++) {
+      result = baseMapper(result, t, depth + 1, point) * strength + (1 - strength) * result;
+    }
+    return result;
+  }, 'recursive', { iterations, strength }, [baseMapper]);
+  mapper.dual = (d, t = 0, depth = 0, point) => {
     let result = d;
     for (let i = 0; i < iterations; i++) {
-      result = baseMapper(result, t, depth + 1) * strength + (1 - strength) * result;
+      result = applyMapping(baseMapper, result, t, depth + 1, point).scale(strength)
+        .add(result.scale(1 - strength));
     }
     return result;
   };
+  return mapper;
 }
 
 /**
@@ -210,26 +539,46 @@ export function createRecursiveMapping(baseMapper, iterations = 2, strength = 0.
  * @returns {Function} A sequential mapping function.
  */
 export function createSequentialMapping(mappers, frequency = 1) {
-  return function(d, t = 0, depth = 0) {
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
+    const index = Math.floor((t * frequency) % mappers.length);
+    return mappers[index](d, t, depth, point);
+  }, 'sequential', { frequency }, mappers);
+  mapper.dual = (d, t = 0, depth = 0, point) => {
     const index = Math.floor((t * frequency) % mappers.length);
-    return mappers[index](d, t, depth);
+    return applyMapping(mappers[index], d, t, depth, point);
   };
+  return mapper;
 }
 
 /**
  * Creates a blended mapping function that interpolates between two mappers.
+ * A time-based blend factor is only serializable if it carries a descriptor
+ * (i.e. it was itself built by createMapping); it is then called as blendFactor(t).
  * @param {Function} mapperA - First distance mapper.
  * @param {Function} mapperB - Second distance mapper.
  * @param {number|Function} blendFactor - Static blend factor or time-based function.
  * @returns {Function} A blended mapping function.
  */
 export function createBlendedMapping(mapperA, mapperB, blendFactor = 0.5) {
-  return function(d, t = 0, depth = 0) {
+  let serializedFactor = blendFactor;
+  if (typeof blendFactor === 'function') {
+    serializedFactor = blendFactor.descriptor ? serializeMapping(blendFactor) : 0.5;
+    if (!blendFactor.descriptor) {
+      console.warn("Blended mapping uses a custom blend function that cannot be serialized; it will reload as 0.5.");
+    }
+  }
+  const mapper = withDescriptor(function(d, t = 0, depth = 0, point) {
     const blend = typeof blendFactor === 'function' ? blendFactor(t) : blendFactor;
-    const resultA = mapperA(d, t, depth);
-    const resultB = mapperB(d, t, depth);
+    const resultA = mapperA(d, t, depth, point);
+    const resultB = mapperB(d, t, depth, point);
     return (1 - blend) * resultA + blend * resultB;
+  }, 'blended', { blendFactor: serializedFactor }, [mapperA, mapperB]);
+  mapper.dual = (d, t = 0, depth = 0, point) => {
+    const blend = typeof blendFactor === 'function' ? blendFactor(t) : blendFactor;
+    return applyMapping(mapperA, d, t, depth, point).scale(1 - blend)
+      .add(applyMapping(mapperB, d, t, depth, point).scale(blend));
   };
+  return mapper;
 }
 
 /**
@@ -253,9 +602,23 @@ export function createMapping(mappingType, options = {}) {
     c = 0, 
     e = 0,
     period = 1,
+    expr = "d",
+    controlPoints = [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+    interpolation = "monotone",
+    seed = 0,
+    speed = 0,
+    octaves = 4,
+    lacunarity = 2,
+    gain = 0.5,
+    usePoint = false,
     combiner = combiningFunctions.add
   } = options;
 
+  // Combiners may be given by name (as stored in descriptors)
+  const combinerFn = typeof combiner === 'string'
+    ? (combiningFunctions[combiner] || combiningFunctions.add)
+    : combiner;
+
   switch (mappingType.toLowerCase()) {
     case "identity":
       return identityMapping;
@@ -274,13 +637,43 @@ export function createMapping(mappingType, options = {}) {
       
     case "power":
       return createPowerMapping(a, b, c);
+
+    case "piecewise":
+      if (normalizeControlPoints(controlPoints).length < 2) {
+        console.warn("Piecewise mapping needs at least two control points. Using identity.");
+        return identityMapping;
+      }
+      return createPiecewiseMapping(controlPoints, interpolation);
+
+    case "simplex":
+    case "fbm":
+    case "ridged":
+      // Noise frequencies are spatial, so the temporal default of 1 is not reused here
+      return createNoiseMapping(mappingType.toLowerCase(), {
+        seed,
+        amplitude: options.amplitude !== undefined ? amplitude : 0.1,
+        frequency: options.frequency !== undefined ? frequency : 4,
+        speed,
+        octaves,
+        lacunarity,
+        gain,
+        usePoint
+      });
+
+    case "expression":
+      try {
+        return createExpressionMapping(expr);
+      } catch (error) {
+        console.warn(`Invalid mapping expression "${expr}": ${error.message}. Using identity.`);
+        return identityMapping;
+      }
       
     case "composite":
       if (!baseMappers[0] || !baseMappers[1]) {
         console.warn("Missing mappers for composite mapping. Using identity.");
         return identityMapping;
       }
-      return createCompositeMapping(baseMappers[0], baseMappers[1], combiner);
+      return createCompositeMapping(baseMappers[0], baseMappers[1], combinerFn);
       
     case "periodic":
       if (!baseMapper) {
@@ -323,6 +716,87 @@ export function createMapping(mappingType, options = {}) {
   }
 }
 
+/**
+ * Returns the JSON descriptor of a mapping function.
+ * Mappers built by createMapping (or the individual factories) carry their own
+ * descriptor; bare registry functions such as the easing curves are stored by name.
+ * Anything else cannot be rebuilt and is described as identity.
+ * @param {Function} mapper - Distance mapper.
+ * @returns {Object} Descriptor { type, params, baseMappers }.
+ */
+export function serializeMapping(mapper) {
+  if (typeof mapper !== 'function') {
+    return identityMapping.descriptor;
+  }
+  if (mapper.descriptor) {
+    return mapper.descriptor;
+  }
+  const name = Object.keys(distanceMappingRegistry)
+    .find(key => distanceMappingRegistry[key] === mapper && key !== 'createMapping');
+  if (name) {
+    return { type: 'named', params: { name }, baseMappers: [] };
+  }
+  console.warn("Distance mapper has no descriptor and cannot be serialized. Saving as identity.");
+  return identityMapping.descriptor;
+}
+
+/**
+ * Rebuilds a mapping function from a descriptor produced by serializeMapping.
+ * @param {Object} descriptor - Descriptor { type, params, baseMappers }.
+ * @returns {Function} A distance mapping function.
+ */
+export function deserializeMapping(descriptor) {
+  if (!descriptor || typeof descriptor.type !== 'string') {
+    console.warn("Invalid mapping descriptor. Using identity mapping.");
+    return identityMapping;
+  }
+
+  const params = descriptor.params || {};
+
+  if (descriptor.type === 'named') {
+    const mapper = getDistanceMapperByName(params.name);
+    if (!mapper) {
+      console.warn(`Mapper "${params.name}" not found. Using identity mapping.`);
+      return identityMapping;
+    }
+    return mapper;
+  }
+
+  const baseMappers = (descriptor.baseMappers || []).map(deserializeMapping);
+  const options = { ...params, baseMapper: baseMappers[0], baseMappers };
+  if (params.blendFactor && typeof params.blendFactor === 'object') {
+    options.blendFactor = deserializeMapping(params.blendFactor);
+  }
+  return createMapping(descriptor.type, options);
+}
+
+/**
+ * Resolves any accepted distance-mapper value to a mapping function:
+ * a function, a descriptor object, or a registered mapper name.
+ * @param {Function|Object|string} value - Mapper, descriptor or name.
+ * @returns {Function} A distance mapping function (identity when unresolvable).
+ */
+export function resolveMapping(value) {
+  if (typeof value === 'function') return value;
+  if (value && typeof value === 'object') return deserializeMapping(value);
+  if (typeof value === 'string') return getDistanceMapperByName(value) || identityMapping;
+  return identityMapping;
+}
+
+/**
+ * Looks up a ready-to-use mapper in the registry by name.
+ * Factory entries are skipped since they need parameters.
+ * @param {string} name - Registry key, e.g. "easeInQuad".
+ * @returns {Function|null} The mapper, or null if no such mapper exists.
+ */
+export function getDistanceMapperByName(name) {
+  const mapper = distanceMappingRegistry[name];
+  if (typeof mapper !== 'function' || name === 'createMapping') {
+    return null;
+  }
+  return mapper;
+}
+
 /**
  * Registry of available distance mapping functions.
  */
@@ -342,6 +816,9 @@ export const distanceMappingRegistry = {
   easeInElastic: easingFunctions.easeInElastic,
   easeOutElastic: easingFunctions.easeOutElastic,
   easeOutBounce: easingFunctions.easeOutBounce,
+  simplexNoise: createNoiseMapping('simplex'),
+  fbmNoise: createNoiseMapping('fbm'),
+  ridgedNoise: createNoiseMapping('ridged'),
   
   // Add the dynamic mapping creator to the registry
   createMapping: createMapping
@@ -3,7 +3,11 @@
 /**
  * Module for smooth blending of Signed Distance Functions (SDFs).
  * Provides methods for R-function based blending and velocity field evolution.
+ * The R-functions also accept Dual numbers (see dual.js) so blends can be
+ * differentiated exactly.
  */
+import { Dual, composeDual, finiteDifferenceDual } from "./dual.js";
+import { SDFGrid } from "./SDFGrid.js";
 
 /**
  * Computes a smooth union of two SDF values using a weighted R-function.
@@ -13,6 +17,12 @@
  * @returns {number} - The smoothly blended SDF value.
  */
 export function weightedRUnion(sdf1, sdf2, p = 8) {
+    if (sdf1 instanceof Dual || sdf2 instanceof Dual) {
+      const a = Dual.lift(sdf1);
+      const b = Dual.lift(sdf2);
+      if (p <= 0) return a.min(b);
+      return a.add(b).sub(a.pow(p).add(b.pow(p)).pow(1/p));
+    }
     if (p <= 0) return Math.min(sdf1, sdf2); // Fallback to regular min
     return sdf1 + sdf2 - Math.pow(Math.pow(sdf1, p) + Math.pow(sdf2, p), 1/p);
   }
@@ -25,6 +35,12 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
    * @returns {number} - The smoothly blended SDF value.
    */
   export function weightedRIntersection(sdf1, sdf2, p = 8) {
+    if (sdf1 instanceof Dual || sdf2 instanceof Dual) {
+      const a = Dual.lift(sdf1);
+      const b = Dual.lift(sdf2);
+      if (p <= 0) return a.max(b);
+      return a.add(b).add(a.pow(p).add(b.pow(p)).pow(1/p));
+    }
     if (p <= 0) return Math.max(sdf1, sdf2); // Fallback to regular max
     return sdf1 + sdf2 + Math.pow(Math.pow(sdf1, p) + Math.pow(sdf2, p), 1/p);
   }
@@ -37,17 +53,367 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
    * @returns {number} - The smoothly subtracted SDF value.
    */
   export function weightedRDifference(sdf1, sdf2, p = 8) {
-    return weightedRIntersection(sdf1, -sdf2, p);
+    return weightedRIntersection(sdf1, sdf2 instanceof Dual ? sdf2.neg() : -sdf2, p);
+  }
+
+  /**
+   * Polynomial (quadratic) smooth minimum with blend radius k.
+   * @param {number|Dual} a
+   * @param {number|Dual} b
+   * @param {number} k - Blend radius
+   * @returns {number|Dual}
+   */
+  function polynomialSmin(a, b, k) {
+    if (a instanceof Dual || b instanceof Dual) {
+      const A = Dual.lift(a);
+      const B = Dual.lift(b);
+      const h = A.sub(B).abs().neg().add(k).scale(1 / k);
+      if (h.value <= 0) return A.min(B);
+      return A.min(B).sub(h.mul(h).scale(k * 0.25));
+    }
+    const h = Math.max(k - Math.abs(a - b), 0) / k;
+    return Math.min(a, b) - h * h * k * 0.25;
+  }
+
+  /**
+   * Exponential (log-sum-exp) smooth minimum; k sets the falloff distance.
+   */
+  function exponentialSmin(a, b, k) {
+    if (a instanceof Dual || b instanceof Dual) {
+      const A = Dual.lift(a);
+      const B = Dual.lift(b);
+      return A.min(B).sub(A.sub(B).abs().scale(-1 / k).exp().add(1).log().scale(k));
+    }
+    // Stable form of -k·log(e^(-a/k) + e^(-b/k))
+    return Math.min(a, b) - k * Math.log(1 + Math.exp(-Math.abs(a - b) / k));
+  }
+
+  /**
+   * Circular smooth minimum: the blend is a circular arc of radius ~k.
+   */
+  function circularSmin(a, b, k) {
+    if (a instanceof Dual || b instanceof Dual) {
+      const A = Dual.lift(a);
+      const B = Dual.lift(b);
+      const h = A.sub(B).abs().neg().add(k).scale(1 / k);
+      if (h.value <= 0) return A.min(B);
+      const root = h.mul(h.sub(2)).neg().add(1).sqrt();
+      return A.min(B).sub(h.add(1).sub(root).scale(0.5 * k));
+    }
+    const h = Math.max(k - Math.abs(a - b), 0) / k;
+    return Math.min(a, b) - k * 0.5 * (1 + h - Math.sqrt(1 - h * (h - 2)));
+  }
+
+  /**
+   * Root smooth minimum ½(a + b − √((a − b)² + k²)); smooth everywhere.
+   */
+  function rootSmin(a, b, k) {
+    if (a instanceof Dual || b instanceof Dual) {
+      const A = Dual.lift(a);
+      const B = Dual.lift(b);
+      return A.add(B).sub(A.sub(B).pow(2).add(k * k).sqrt()).scale(0.5);
+    }
+    return 0.5 * (a + b - Math.sqrt((a - b) * (a - b) + k * k));
+  }
+
+  /**
+   * Build union / intersection / difference from a smooth minimum.
+   * A non-positive parameter falls back to the hard min/max.
+   * @param {Function} smin - (a, b, k) => smooth min
+   * @returns {{union: Function, intersection: Function, difference: Function}}
+   */
+  function kernelFromSmin(smin) {
+    const neg = v => (v instanceof Dual ? v.neg() : -v);
+    const union = (a, b, k) => (k > 0 ? smin(a, b, k) : hardKernel.union(a, b));
+    const intersection = (a, b, k) => (k > 0 ? neg(smin(neg(a), neg(b), k)) : hardKernel.intersection(a, b));
+    return { union, intersection, difference: (a, b, k) => intersection(a, neg(b), k) };
+  }
+
+  const hardKernel = {
+    union: (a, b) => (a instanceof Dual || b instanceof Dual ? Dual.lift(a).min(b) : Math.min(a, b)),
+    intersection: (a, b) => (a instanceof Dual || b instanceof Dual ? Dual.lift(a).max(b) : Math.max(a, b)),
+    difference: (a, b) => hardKernel.intersection(a, b instanceof Dual ? b.neg() : -b)
+  };
+
+  /**
+   * Registry of blend kernels, selectable by name. Each provides union,
+   * intersection and difference as (a, b, k) => value (numbers or Duals).
+   * The meaning of k depends on the kernel:
+   *  - rfunction:   weighted R-function exponent p (the original behaviour)
+   *  - polynomial, exponential, circular, root: blend radius
+   *  - hard:        ignored (exact min/max)
+   */
+  export const blendKernels = {
+    rfunction: {
+      union: weightedRUnion,
+      intersection: weightedRIntersection,
+      difference: weightedRDifference
+    },
+    polynomial: kernelFromSmin(polynomialSmin),
+    exponential: kernelFromSmin(exponentialSmin),
+    circular: kernelFromSmin(circularSmin),
+    root: kernelFromSmin(rootSmin),
+    hard: hardKernel
+  };
+
+  export const BLEND_KERNELS = Object.keys(blendKernels);
+
+  /**
+   * Look up a blend kernel by name (unknown names fall back to 'rfunction').
+   * @param {string} name - Kernel name from BLEND_KERNELS.
+   * @returns {Object} Kernel with union, intersection and difference.
+   */
+  export function getBlendKernel(name = 'rfunction') {
+    const kernel = blendKernels[String(name).toLowerCase()];
+    if (!kernel) {
+      console.warn(`Unknown blend kernel "${name}". Using "rfunction".`);
+      return blendKernels.rfunction;
+    }
+    return kernel;
+  }
+
+  const SQRT_HALF = Math.sqrt(0.5);
+
+  // GLSL-style modulo (result has the sign of m)
+  const glslMod = (x, m) => x - m * Math.floor(x / m);
+
+  // Repeat a coordinate with period `size`, centred on zero
+  const repeatCentered = (x, size) => glslMod(x + size * 0.5, size) - size * 0.5;
+
+  const stepCount = options => Math.max(1, Math.round(options.steps ?? 4));
+
+  function chamferUnion(a, b, r) {
+    return Math.min(Math.min(a, b), (a - r + b) * SQRT_HALF);
+  }
+
+  function chamferIntersection(a, b, r) {
+    return Math.max(Math.max(a, b), (a + r + b) * SQRT_HALF);
+  }
+
+  function stairsUnion(a, b, r, n) {
+    if (r <= 0) return Math.min(a, b);
+    const s = r / n;
+    const u = b - r;
+    return Math.min(Math.min(a, b), 0.5 * (u + a + Math.abs(glslMod(u - a + s, 2 * s) - s)));
+  }
+
+  function columnsUnion(a, b, r, n) {
+    if (r <= 0 || a >= r || b >= r) return Math.min(a, b);
+    const columnRadius = r * Math.SQRT2 / ((n - 1) * 2 + Math.SQRT2);
+    // Rotate (a, b) by 45° so the diagonal a = b becomes an axis
+    let x = (a + b) * SQRT_HALF;
+    let y = (b - a) * SQRT_HALF;
+    x -= Math.SQRT2 / 2 * r;
+    x += columnRadius * Math.SQRT2;
+    if (n % 2 === 1) y += columnRadius;
+    y = repeatCentered(y, columnRadius * 2);
+    const result = Math.min(Math.hypot(x, y) - columnRadius, x);
+    return Math.min(result, a, b);
+  }
+
+  function columnsDifference(a, b, r, n) {
+    a = -a;
+    if (r <= 0 || a >= r || b >= r) return -Math.min(a, b);
+    const columnRadius = r * Math.SQRT2 / ((n - 1) * 2 + Math.SQRT2);
+    let x = (a + b) * SQRT_HALF;
+    let y = (b - a) * SQRT_HALF;
+    y += columnRadius;
+    x -= Math.SQRT2 / 2 * r;
+    x -= columnRadius * Math.SQRT2 / 2;
+    if (n % 2 === 1) y += columnRadius;
+    y = repeatCentered(y, columnRadius * 2);
+    const result = Math.max(columnRadius - Math.hypot(x, y), x);
+    return -Math.min(result, a, b);
+  }
+
+  /**
+   * Evaluate a two-argument operator on numbers or Duals. Dual inputs are
+   * handled by differentiating the operator in (a, b) and applying the chain rule,
+   * since the stepped operators are only piecewise smooth.
+   * @param {Function} op - (a, b, ...rest) => number
+   * @returns {Function} (a, b, ...rest) => number|Dual
+   */
+  function withDualInputs(op) {
+    return (a, b, ...rest) => {
+      if (!(a instanceof Dual || b instanceof Dual)) return op(a, b, ...rest);
+      const P = { x: Dual.lift(a), y: Dual.lift(b) };
+      const jet = finiteDifferenceDual(q => op(q.x, q.y, ...rest), { x: P.x.value, y: P.y.value });
+      return composeDual(jet, P);
+    };
+  }
+
+  /**
+   * Stylized combination operators (after the hg_sdf library). Each is
+   * (a, b, r, options) => value, where r is the blend parameter k used as a radius:
+   *  - chamfer-*:  45° bevel of size r
+   *  - stairs-*:   r split into options.steps steps
+   *  - columns-*:  options.steps round columns along the seam
+   *  - groove:     cut a groove of depth r and width options.width along b's boundary into a
+   *  - tongue:     add a tongue of height r and width options.width along b's boundary onto a
+   *  - engrave:    engrave b's boundary into a with a V-shaped cut of depth r
+   *  - pipe:       a pipe of radius r along the intersection of both boundaries
+   * The blend kernel is ignored by these operators.
+   */
+  const stylizedOperations = {
+    'chamfer-union': (a, b, r) => chamferUnion(a, b, r),
+    'chamfer-intersection': (a, b, r) => chamferIntersection(a, b, r),
+    'chamfer-difference': (a, b, r) => chamferIntersection(a, -b, r),
+    'stairs-union': (a, b, r, options) => stairsUnion(a, b, r, stepCount(options)),
+    'stairs-intersection': (a, b, r, options) => -stairsUnion(-a, -b, r, stepCount(options)),
+    'stairs-difference': (a, b, r, options) => -stairsUnion(-a, b, r, stepCount(options)),
+    'columns-union': (a, b, r, options) => columnsUnion(a, b, r, stepCount(options)),
+    'columns-intersection': (a, b, r, options) => columnsDifference(a, -b, r, stepCount(options)),
+    'columns-difference': (a, b, r, options) => columnsDifference(a, b, r, stepCount(options)),
+    groove: (a, b, r, options) => Math.max(a, Math.min(a + r, (options.width ?? r) - Math.abs(b))),
+    tongue: (a, b, r, options) => Math.min(a, Math.max(a - r, Math.abs(b) - (options.width ?? r))),
+    engrave: (a, b, r) => Math.max(a, (a + r - Math.abs(b)) * SQRT_HALF),
+    pipe: (a, b, r) => Math.hypot(a, b) - r
+  };
+
+  /**
+   * Symmetric difference: inside exactly one of the two shapes, i.e. the
+   * union minus the intersection, both taken with the chosen kernel.
+   * @param {number|Dual} sdf1 - First SDF value.
+   * @param {number|Dual} sdf2 - Second SDF value.
+   * @param {number} k - Kernel parameter (see blendKernels).
+   * @param {string} kernel - Kernel name.
+   * @returns {number|Dual}
+   */
+  export function xorSDF(sdf1, sdf2, k = 8, kernel = 'rfunction') {
+    const ops = getBlendKernel(kernel);
+    return ops.difference(ops.union(sdf1, sdf2, k), ops.intersection(sdf1, sdf2, k), k);
+  }
+
+  /**
+   * Linear interpolation between two SDFs: t = 0 gives the first shape and
+   * t = 1 the second. The result is still a distance bound, so contouring it
+   * while t changes gives a shape transition.
+   * @param {number|Dual} sdf1 - First SDF value.
+   * @param {number|Dual} sdf2 - Second SDF value.
+   * @param {number} t - Interpolation parameter, clamped to [0, 1].
+   * @returns {number|Dual}
+   */
+  export function morphSDF(sdf1, sdf2, t = 0.5) {
+    const s = Math.min(Math.max(t, 0), 1);
+    if (sdf1 instanceof Dual || sdf2 instanceof Dual) {
+      return Dual.lift(sdf1).scale(1 - s).add(Dual.lift(sdf2).scale(s));
+    }
+    return sdf1 * (1 - s) + sdf2 * s;
+  }
+
+  /**
+   * Named operations accepted by applyBlendOperation.
+   */
+  export const BLEND_OPERATIONS = ['union', 'intersection', 'difference', 'xor', 'morph', ...Object.keys(stylizedOperations)];
+
+  /**
+   * The blend parameter at a given time. options.kMapper (a distance mapper,
+   * called as kMapper(k, t)) animates it, e.g. a temporal mapping sweeping a morph.
+   * @param {number} k - Static blend parameter.
+   * @param {Object} [options] - Blend options, optionally with kMapper.
+   * @param {number} time - Current time for animations.
+   * @returns {number}
+   */
+  export function resolveBlendParameter(k, options = {}, time = 0) {
+    return typeof options.kMapper === 'function' ? options.kMapper(k, time) : k;
+  }
+
+  /**
+   * Combine two SDF values (numbers or Duals) with a named operation and kernel.
+   * @param {number|Dual} sdf1 - First SDF value.
+   * @param {number|Dual} sdf2 - Second SDF value.
+   * @param {string} operation - One of BLEND_OPERATIONS (unknown names use 'union').
+   * @param {number} k - Kernel parameter (see blendKernels); the radius for stylized operations
+   *                     and the interpolation parameter in [0, 1] for 'morph'.
+   * @param {string} kernel - Kernel name.
+   * @param {Object} [options] - Extra stylized-operation settings ({steps, width}).
+   * @returns {number|Dual} The combined SDF value.
+   */
+  export function applyBlendOperation(sdf1, sdf2, operation = 'union', k = 8, kernel = 'rfunction', options = {}) {
+    const name = String(operation).toLowerCase();
+    if (stylizedOperations[name]) {
+      return withDualInputs(stylizedOperations[name])(sdf1, sdf2, k, options);
+    }
+
+    const ops = getBlendKernel(kernel);
+    switch (name) {
+      case 'xor':
+        return xorSDF(sdf1, sdf2, k, kernel);
+      case 'morph':
+        return morphSDF(sdf1, sdf2, k);
+      case 'intersection':
+        return ops.intersection(sdf1, sdf2, k);
+      case 'difference':
+        return ops.difference(sdf1, sdf2, k);
+      case 'union':
+      default:
+        return ops.union(sdf1, sdf2, k);
+    }
+  }
+
+  /**
+   * Evaluates a shape's SDF on a Dual point, giving value, gradient and Hessian.
+   * Shapes that implement computeSDFDual are differentiated exactly; any other
+   * shape falls back to finite differences at the point's value.
+   * @param {Object} shape - Primitive with computeSDF (and optionally computeSDFDual).
+   * @param {Object} point - Dual point {x: Dual, y: Dual} or plain point {x, y}.
+   * @param {Array} callStack - For preventing infinite recursion.
+   * @param {number} time - Current time for animations.
+   * @param {number} depth - Recursion depth.
+   * @returns {Dual} The SDF value with its derivatives.
+   */
+  export function evaluateDualSDF(shape, point, callStack = [], time = 0, depth = 0) {
+    const P = point.x instanceof Dual ? point : Dual.point(point);
+    if (typeof shape.computeSDFDual === 'function') {
+      return shape.computeSDFDual(P, callStack, time, depth);
+    }
+    const local = { x: P.x.value, y: P.y.value };
+    const jet = finiteDifferenceDual(q => shape.computeSDF(q, callStack, time, depth), local);
+    return composeDual(jet, P);
+  }
+
+  /**
+   * Wraps a shape as an SDF function that also exposes an exact `dual` path,
+   * for use with computeGradient, computeNormal and computeCurvature.
+   * @param {Object} shape - Primitive with computeSDF.
+   * @param {number} time - Current time for animations.
+   * @param {number} depth - Recursion depth.
+   * @returns {Function} (point) => number, with .dual(point) => Dual
+   */
+  export function createDifferentiableSDF(shape, time = 0, depth = 0) {
+    const sdfFunc = point => shape.computeSDF(point, [], time, depth);
+    sdfFunc.dual = point => evaluateDualSDF(shape, point, [], time, depth);
+    return sdfFunc;
+  }
+
+  /**
+   * Evaluates the exact derivative path of an SDF function if it has one.
+   * @param {Function} sdfFunc - SDF function, optionally with a `dual` method.
+   * @param {Object} point - The point {x, y}.
+   * @returns {Dual|null} Null when there is no usable dual path.
+   */
+  function evaluateDual(sdfFunc, point) {
+    if (typeof sdfFunc.dual !== 'function') return null;
+    const result = sdfFunc.dual(point);
+    if (!(result instanceof Dual) || !Number.isFinite(result.dx) || !Number.isFinite(result.dy)) {
+      return null;
+    }
+    return result;
   }
   
   /**
-   * Computes the gradient of an SDF at a point using central differences.
+   * Computes the gradient of an SDF at a point.
+   * Uses the exact dual-number path when sdfFunc has a `dual` method
+   * (see createDifferentiableSDF), otherwise central differences.
    * @param {Function} sdfFunc - Function that computes the SDF value at a point.
    * @param {Object} point - The point {x, y} where to compute the gradient.
    * @param {number} epsilon - Step size for numerical differentiation.
    * @returns {Object} - The gradient vector {x, y}.
    */
   export function computeGradient(sdfFunc, point, epsilon = 0.001) {
+    const exact = evaluateDual(sdfFunc, point);
+    if (exact) return exact.gradient;
+
     const center = sdfFunc(point);
     const dx = (sdfFunc({x: point.x + epsilon, y: point.y}) - 
                sdfFunc({x: point.x - epsilon, y: point.y})) / (2 * epsilon);
@@ -56,15 +422,35 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
     
     return { x: dx, y: dy };
   }
+
+  /**
+   * Computes the unit normal (normalized gradient) of an SDF at a point.
+   * @param {Function} sdfFunc - Function that computes the SDF value at a point.
+   * @param {Object} point - The point {x, y} where to compute the normal.
+   * @param {number} epsilon - Step size for the finite-difference fallback.
+   * @returns {Object} - The unit normal {x, y}, or {0, 0} where the gradient vanishes.
+   */
+  export function computeNormal(sdfFunc, point, epsilon = 0.001) {
+    const gradient = computeGradient(sdfFunc, point, epsilon);
+    const length = Math.sqrt(gradient.x * gradient.x + gradient.y * gradient.y);
+    if (length < 1e-12) return { x: 0, y: 0 };
+    return { x: gradient.x / length, y: gradient.y / length };
+  }
   
   /**
    * Computes the mean curvature of an SDF at a point.
+   * Uses the exact dual-number path when available, otherwise finite differences.
    * @param {Function} sdfFunc - Function that computes the SDF value at a point.
    * @param {Object} point - The point {x, y} to compute the curvature at.
    * @param {number} epsilon - Step size for numerical differentiation.
    * @returns {number} - The mean curvature.
    */
   export function computeCurvature(sdfFunc, point, epsilon = 0.001) {
+    const exact = evaluateDual(sdfFunc, point);
+    if (exact && Number.isFinite(exact.dxx) && Number.isFinite(exact.dxy) && Number.isFinite(exact.dyy)) {
+      return exact.curvature;
+    }
+
     // Compute second derivatives
     const f = sdfFunc(point);
     
@@ -128,23 +514,38 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
       speed *= curvatureWeight;
     }
     
-    // Return velocity vector (scaled normal)
+    // Return velocity vector (scaled normal). Moving along +∇φ lowers φ,
+    // so a positive speed pulls the current value down toward the target.
     return {
-      x: -speed * normGrad.x,
-      y: -speed * normGrad.y
+      x: speed * normGrad.x,
+      y: speed * normGrad.y
     };
   }
   
   /**
    * Updates an SDF grid using velocity field evolution.
-   * @param {Array<Array<number>>} sdfGrid - 2D grid of current SDF values.
-   * @param {Array<Array<number>>} targetGrid - 2D grid of target (blended) SDF values.
+   * An SDFGrid input supplies its own spacing and the result is an SDFGrid.
+   * @param {Array<Array<number>>|SDFGrid} sdfGrid - 2D grid of current SDF values.
+   * @param {Array<Array<number>>|SDFGrid} targetGrid - 2D grid of target (blended) SDF values.
    * @param {number} deltaTime - Time step for the evolution.
    * @param {number} alpha - Speed factor.
    * @param {boolean} useCurvature - Whether to use curvature-aware evolution.
-   * @returns {Array<Array<number>>} - The updated SDF grid.
+   * @param {number|{x:number,y:number}} spacing - World-space size of a grid cell (one number
+   *   for square cells; 1 measures derivatives in cells).
+   * @returns {Array<Array<number>>|SDFGrid} - The updated SDF grid.
    */
-  export function updateSDF(sdfGrid, targetGrid, deltaTime = 0.1, alpha = 0.5, useCurvature = false) {
+  export function updateSDF(sdfGrid, targetGrid, deltaTime = 0.1, alpha = 0.5, useCurvature = false, spacing = 1) {
+    if (sdfGrid instanceof SDFGrid) {
+      let target = targetGrid;
+      if (target instanceof SDFGrid) {
+        target = (sdfGrid.hasSameLayout(target) ? target : target.resample(sdfGrid.bounds, sdfGrid.resolution)).toArray();
+      }
+      const rows = updateSDF(sdfGrid.toArray(), target, deltaTime, alpha, useCurvature, sdfGrid.spacing);
+      return SDFGrid.fromArray(rows, sdfGrid.bounds);
+    }
+
+    const hx = typeof spacing === 'number' ? spacing : spacing.x;
+    const hy = typeof spacing === 'number' ? spacing : spacing.y;
     const rows = sdfGrid.length;
     const cols = sdfGrid[0].length;
     const newGrid = Array(rows).fill().map(() => Array(cols).fill(0));
@@ -165,17 +566,17 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
         
         // Compute gradient using central differences
         const gradient = {
-          x: (getSDF(sdfGrid, i, j+1) - getSDF(sdfGrid, i, j-1)) / 2,
-          y: (getSDF(sdfGrid, i+1, j) - getSDF(sdfGrid, i-1, j)) / 2
+          x: (getSDF(sdfGrid, i, j+1) - getSDF(sdfGrid, i, j-1)) / (2 * hx),
+          y: (getSDF(sdfGrid, i+1, j) - getSDF(sdfGrid, i-1, j)) / (2 * hy)
         };
         
         // Compute curvature if needed
         let curvature = null;
         if (useCurvature) {
-          const fxx = getSDF(sdfGrid, i, j+1) - 2*currentSDF + getSDF(sdfGrid, i, j-1);
-          const fyy = getSDF(sdfGrid, i+1, j) - 2*currentSDF + getSDF(sdfGrid, i-1, j);
+          const fxx = (getSDF(sdfGrid, i, j+1) - 2*currentSDF + getSDF(sdfGrid, i, j-1)) / (hx * hx);
+          const fyy = (getSDF(sdfGrid, i+1, j) - 2*currentSDF + getSDF(sdfGrid, i-1, j)) / (hy * hy);
           const fxy = (getSDF(sdfGrid, i+1, j+1) - getSDF(sdfGrid, i+1, j-1) - 
-                      getSDF(sdfGrid, i-1, j+1) + getSDF(sdfGrid, i-1, j-1)) / 4;
+                      getSDF(sdfGrid, i-1, j+1) + getSDF(sdfGrid, i-1, j-1)) / (4 * hx * hy);
           
           const gradMagnitudeSq = gradient.x * gradient.x + gradient.y * gradient.y;
           if (gradMagnitudeSq > 1e-10) {
@@ -219,44 +620,49 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
   /**
    * Creates a composite SDF from a list of ComplexPrimitive2D instances.
    * @param {Array<ComplexPrimitive2D>} primitives - Array of primitive objects.
-   * @param {number} p - Smoothness parameter.
-   * @param {string} operation - Type of operation: 'union', 'intersection', or 'difference'.
-   * @returns {Function} - A function that computes the composite SDF at any point.
+   * @param {number} p - Smoothness parameter (kernel parameter, see blendKernels).
+   * @param {string} operation - One of BLEND_OPERATIONS ('union', 'intersection', 'difference', 'chamfer-union', ...).
+   * @param {string} kernel - Blend kernel name (see blendKernels).
+   * @param {Object} [options] - Stylized-operation settings ({steps, width}) and an optional
+   *                             kMapper animating p over time (see resolveBlendParameter).
+   * @returns {Function} - A function (point, time) that computes the composite SDF at any point.
    */
-  export function createCompositeSDF(primitives, p = 8, operation = 'union') {
-    // Select the appropriate R-function based on the operation
-    let combineFunc;
-    switch (operation.toLowerCase()) {
-      case 'intersection':
-        combineFunc = weightedRIntersection;
-        break;
-      case 'difference':
-        combineFunc = weightedRDifference;
-        break;
-      case 'union':
-      default:
-        combineFunc = weightedRUnion;
-        break;
-    }
+  export function createCompositeSDF(primitives, p = 8, operation = 'union', kernel = 'rfunction', options = {}) {
+    // Select the operation from the chosen kernel
+    const combineFunc = (a, b, k) => applyBlendOperation(a, b, operation, k, kernel, options);
     
-    // Return a function that computes the composite SDF
-    return function(point) {
+    // Combine per-primitive values (numbers or Duals) in order
+    const combine = (evaluate, time) => {
+      const k = resolveBlendParameter(p, options, time);
       if (primitives.length === 0) return Infinity;
-      if (primitives.length === 1) return primitives[0].computeSDF(point);
+      if (primitives.length === 1) return evaluate(primitives[0]);
       
-      let result = primitives[0].computeSDF(point);
+      let result = evaluate(primitives[0]);
       for (let i = 1; i < primitives.length; i++) {
         // For difference operation, only the first primitive is the base
         if (operation.toLowerCase() === 'difference' && i > 1) {
-          const nextSDF = primitives[i].computeSDF(point);
-          result = combineFunc(result, nextSDF, p);
+          const nextSDF = evaluate(primitives[i]);
+          result = combineFunc(result, nextSDF, k);
         } else if (operation.toLowerCase() !== 'difference') {
-          const nextSDF = primitives[i].computeSDF(point);
-          result = combineFunc(result, nextSDF, p);
+          const nextSDF = evaluate(primitives[i]);
+          result = combineFunc(result, nextSDF, k);
         }
       }
       return result;
     };
+
+    // Return a function that computes the composite SDF
+    const compositeSDF = function(point, time = 0) {
+      return combine(primitive => primitive.computeSDF(point, [], time), time);
+    };
+
+    // Exact derivatives: accepts a plain or Dual point and returns a Dual
+    compositeSDF.dual = function(point, callStack = [], time = 0, depth = 0) {
+      const result = combine(primitive => evaluateDualSDF(primitive, point, callStack, time, depth), time);
+      return Dual.lift(result);
+    };
+
+    return compositeSDF;
   }
   
   /**
@@ -273,11 +679,21 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
       evolutionSteps: params.evolutionSteps || 0,
       deltaTime: params.deltaTime || 0.1,
       alpha: params.alpha || 0.5,
-      useCurvature: params.useCurvature || false
+      useCurvature: params.useCurvature || false,
+      kernel: params.kernel || 'rfunction',
+      steps: params.steps || 4,
+      width: params.width,
+      kMapper: params.kMapper || null
     };
     
     // Create the composite SDF function
-    const compositeSDF = createCompositeSDF(primitives, blendParams.smoothness, blendParams.operation);
+    const compositeSDF = createCompositeSDF(
+      primitives,
+      blendParams.smoothness,
+      blendParams.operation,
+      blendParams.kernel,
+      { steps: blendParams.steps, width: blendParams.width, kMapper: blendParams.kMapper }
+    );
     
     // Get color properties from the first primitive or use provided color
     const color = params.color || (primitives.length > 0 ? primitives[0].color : { h: 0, s: 1, l: 0.5, a: 1 });
@@ -312,8 +728,12 @@ export function weightedRUnion(sdf1, sdf2, p = 8) {
         return this.distanceMapper(this.getRawDistance(point));
       },
       
-      computeSDF: function(point) {
-        return compositeSDF(point);
+      computeSDF: function(point, callStack = [], time = 0) {
+        return compositeSDF(point, time);
+      },
+
+      computeSDFDual: function(point, callStack = [], time = 0, depth = 0) {
+        return compositeSDF.dual(point, callStack, time, depth);
       },
       
       getColor: function(sdfValue) {
@@ -0,0 +1,298 @@
+// File: src/utils/SDFGrid.js
+
+/**
+ * SDFGrid
+ *
+ * A signed distance field sampled on a regular grid, stored in a Float32Array.
+ * Nodes follow the marchingSquares layout: node (i, j) sits at
+ * (xmin + i·dx, ymin + j·dy) for 0 ≤ i, j ≤ resolution, and is stored at
+ * values[j·(resolution + 1) + i].
+ *
+ * Grids can be sampled anywhere (bilinear or bicubic Catmull–Rom), resampled
+ * onto other bounds, differentiated, and combined node by node. Points outside
+ * the bounds read the nearest border value.
+ */
+export class SDFGrid {
+  /**
+   * @param {Object} params
+   * @param {number[]} [params.bounds]     - [xmin, ymin, xmax, ymax]
+   * @param {number} [params.resolution]   - Cells per axis
+   * @param {Float32Array|number[]} [params.values] - Node values, (resolution + 1)² of them
+   */
+  constructor(params = {}) {
+    this.bounds = params.bounds ? [...params.bounds] : [-2, -2, 2, 2];
+    this.resolution = Math.max(1, Math.round(params.resolution || 100));
+
+    const count = this.size * this.size;
+    if (params.values && params.values.length !== count) {
+      throw new Error(`SDFGrid: expected ${count} values for resolution ${this.resolution}, got ${params.values.length}`);
+    }
+    this.values = params.values ? Float32Array.from(params.values) : new Float32Array(count);
+  }
+
+  /**
+   * Sample a function at every node.
+   * @param {Function} sdfFn - (point) => signed distance
+   * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+   * @param {number} resolution - Cells per axis
+   * @returns {SDFGrid}
+   */
+  static fromFunction(sdfFn, bounds, resolution = 100) {
+    const grid = new SDFGrid({ bounds, resolution });
+    const [xmin, ymin, xmax, ymax] = grid.bounds;
+    // Keep the field finite where a shape reports no distance
+    const fallback = Math.hypot(xmax - xmin, ymax - ymin);
+    for (let j = 0; j < grid.size; j++) {
+      for (let i = 0; i < grid.size; i++) {
+        const value = sdfFn(grid.nodePosition(i, j));
+        grid.values[grid.index(i, j)] = Number.isFinite(value) ? value : fallback;
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Build a grid from nested rows (rows[j][i], the marchingSquares layout).
+   * @param {Array<Array<number>>} rows - Square array of (resolution + 1) rows
+   * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+   * @returns {SDFGrid}
+   */
+  static fromArray(rows, bounds) {
+    const resolution = rows.length - 1;
+    const grid = new SDFGrid({ bounds, resolution });
+    rows.forEach((row, j) => {
+      if (row.length !== grid.size) {
+        throw new Error(`SDFGrid: row ${j} has ${row.length} values, expected ${grid.size}`);
+      }
+      grid.values.set(row, j * grid.size);
+    });
+    return grid;
+  }
+
+  /**
+   * Rebuild a grid from the output of serialize().
+   * @param {Object} data - { bounds, resolution, values }
+   * @returns {SDFGrid}
+   */
+  static deserialize(data) {
+    return new SDFGrid(data);
+  }
+
+  /** Nodes per axis. */
+  get size() {
+    return this.resolution + 1;
+  }
+
+  /** World-space cell size along each axis. */
+  get spacing() {
+    const [xmin, ymin, xmax, ymax] = this.bounds;
+    return { x: (xmax - xmin) / this.resolution, y: (ymax - ymin) / this.resolution };
+  }
+
+  index(i, j) {
+    return j * this.size + i;
+  }
+
+  /** Node value, with indices clamped to the grid. */
+  get(i, j) {
+    const n = this.resolution;
+    const ci = i < 0 ? 0 : (i > n ? n : i);
+    const cj = j < 0 ? 0 : (j > n ? n : j);
+    return this.values[cj * this.size + ci];
+  }
+
+  set(i, j, value) {
+    this.values[this.index(i, j)] = value;
+    return this;
+  }
+
+  /** World position of node (i, j). */
+  nodePosition(i, j) {
+    const { x: dx, y: dy } = this.spacing;
+    return { x: this.bounds[0] + i * dx, y: this.bounds[1] + j * dy };
+  }
+
+  /**
+   * Continuous grid coordinates of a world point, clamped to the grid.
+   * @private
+   */
+  _gridCoordinates(point) {
+    const [xmin, ymin, xmax, ymax] = this.bounds;
+    const n = this.resolution;
+    const u = (point.x - xmin) / (xmax - xmin) * n;
+    const v = (point.y - ymin) / (ymax - ymin) * n;
+    return { u: Math.min(Math.max(u, 0), n), v: Math.min(Math.max(v, 0), n) };
+  }
+
+  /**
+   * Bilinear interpolation of the node values.
+   * @param {Object} point - Point (x, y)
+   * @returns {number}
+   */
+  sampleBilinear(point) {
+    const { u, v } = this._gridCoordinates(point);
+    const i0 = Math.min(Math.floor(u), this.resolution - 1);
+    const j0 = Math.min(Math.floor(v), this.resolution - 1);
+    const fu = u - i0;
+    const fv = v - j0;
+    const bottom = this.get(i0, j0) * (1 - fu) + this.get(i0 + 1, j0) * fu;
+    const top = this.get(i0, j0 + 1) * (1 - fu) + this.get(i0 + 1, j0 + 1) * fu;
+    return bottom * (1 - fv) + top * fv;
+  }
+
+  /**
+   * Bicubic (Catmull–Rom) interpolation of the node values; C¹ across cells.
+   * @param {Object} point - Point (x, y)
+   * @returns {number}
+   */
+  sampleBicubic(point) {
+    const { u, v } = this._gridCoordinates(point);
+    const i0 = Math.min(Math.floor(u), this.resolution - 1);
+    const j0 = Math.min(Math.floor(v), this.resolution - 1);
+    const fu = u - i0;
+    const fv = v - j0;
+
+    const cubic = (p0, p1, p2, p3, t) =>
+      p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+
+    const rows = [];
+    for (let dj = -1; dj <= 2; dj++) {
+      const j = j0 + dj;
+      rows.push(cubic(this.get(i0 - 1, j), this.get(i0, j), this.get(i0 + 1, j), this.get(i0 + 2, j), fu));
+    }
+    return cubic(rows[0], rows[1], rows[2], rows[3], fv);
+  }
+
+  /**
+   * Sample the field at a world point.
+   * @param {Object} point - Point (x, y)
+   * @param {'bilinear'|'bicubic'} interpolation
+   * @returns {number}
+   */
+  sample(point, interpolation = 'bilinear') {
+    return interpolation === 'bicubic' ? this.sampleBicubic(point) : this.sampleBilinear(point);
+  }
+
+  /**
+   * Gradient of the interpolated field by central differences over one cell.
+   * @param {Object} point - Point (x, y)
+   * @param {'bilinear'|'bicubic'} interpolation
+   * @returns {{x:number, y:number}}
+   */
+  gradient(point, interpolation = 'bilinear') {
+    const { x: hx, y: hy } = this.spacing;
+    const f = p => this.sample(p, interpolation);
+    return {
+      x: (f({ x: point.x + hx, y: point.y }) - f({ x: point.x - hx, y: point.y })) / (2 * hx),
+      y: (f({ x: point.x, y: point.y + hy }) - f({ x: point.x, y: point.y - hy })) / (2 * hy)
+    };
+  }
+
+  /**
+   * Resample onto new bounds and resolution.
+   * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+   * @param {number} resolution - Cells per axis
+   * @param {'bilinear'|'bicubic'} interpolation
+   * @returns {SDFGrid}
+   */
+  resample(bounds = this.bounds, resolution = this.resolution, interpolation = 'bilinear') {
+    return SDFGrid.fromFunction(p => this.sample(p, interpolation), bounds, resolution);
+  }
+
+  /**
+   * New grid with fn applied to every node value.
+   * @param {Function} fn - (value, i, j) => number
+   * @returns {SDFGrid}
+   */
+  map(fn) {
+    const grid = new SDFGrid({ bounds: this.bounds, resolution: this.resolution });
+    for (let j = 0; j < this.size; j++) {
+      for (let i = 0; i < this.size; i++) {
+        const k = this.index(i, j);
+        grid.values[k] = fn(this.values[k], i, j);
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Combine with another grid node by node. A grid with a different layout is
+   * sampled at this grid's nodes first.
+   * @param {SDFGrid} other
+   * @param {Function} combineFn - (a, b) => number
+   * @returns {SDFGrid}
+   */
+  combine(other, combineFn) {
+    if (this.hasSameLayout(other)) {
+      return this.map((a, i, j) => combineFn(a, other.values[this.index(i, j)]));
+    }
+    return this.map((a, i, j) => combineFn(a, other.sample(this.nodePosition(i, j))));
+  }
+
+  /**
+   * Union with another grid; exact min unless a smooth blend is supplied.
+   * @param {SDFGrid} other
+   * @param {Function} [blend] - (a, b) => number, e.g. a blend kernel's union
+   * @returns {SDFGrid}
+   */
+  union(other, blend = Math.min) {
+    return this.combine(other, blend);
+  }
+
+  /**
+   * Intersection with another grid; exact max unless a smooth blend is supplied.
+   * @param {SDFGrid} other
+   * @param {Function} [blend] - (a, b) => number
+   * @returns {SDFGrid}
+   */
+  intersection(other, blend = Math.max) {
+    return this.combine(other, blend);
+  }
+
+  /**
+   * This grid minus another; max(a, −b) unless a smooth blend is supplied.
+   * @param {SDFGrid} other
+   * @param {Function} [blend] - (a, b) => number, called with b as stored (not negated)
+   * @returns {SDFGrid}
+   */
+  difference(other, blend = (a, b) => Math.max(a, -b)) {
+    return this.combine(other, blend);
+  }
+
+  hasSameLayout(other) {
+    return other instanceof SDFGrid &&
+      other.resolution === this.resolution &&
+      other.bounds.every((v, k) => v === this.bounds[k]);
+  }
+
+  /** Smallest and largest node values. */
+  range() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let k = 0; k < this.values.length; k++) {
+      if (this.values[k] < min) min = this.values[k];
+      if (this.values[k] > max) max = this.values[k];
+    }
+    return { min, max };
+  }
+
+  /** Nested rows (rows[j][i]), the layout used by updateSDF. */
+  toArray() {
+    const rows = [];
+    for (let j = 0; j < this.size; j++) {
+      rows.push(Array.from(this.values.subarray(j * this.size, (j + 1) * this.size)));
+    }
+    return rows;
+  }
+
+  clone() {
+    return new SDFGrid({ bounds: this.bounds, resolution: this.resolution, values: this.values });
+  }
+
+  /** Plain-object form for persistence (see deserialize). */
+  serialize() {
+    return { bounds: [...this.bounds], resolution: this.resolution, values: Array.from(this.values) };
+  }
+}
+
+export default SDFGrid;
@@ -169,6 +169,128 @@ export function identity() {
     return { a: cos, b: -sin, c: sin, d: cos, tx: x, ty: y };
   }
   
+  /**
+   * Singular value decomposition of the linear part of an affine:
+   * [[a, b], [c, d]] = R(rotationU) · diag(sx, sy) · R(rotationV).
+   * sx ≥ |sy|; sy is negative when the matrix contains a reflection.
+   * @param {Affine} M
+   * @returns {{rotationU:number, sx:number, sy:number, rotationV:number}}
+   */
+  export function decomposeAffine(M) {
+    const E = (M.a + M.d) / 2;
+    const F = (M.a - M.d) / 2;
+    const G = (M.c + M.b) / 2;
+    const H = (M.c - M.b) / 2;
+    const Q = Math.hypot(E, H);
+    const R = Math.hypot(F, G);
+    const a1 = Math.atan2(G, F);
+    const a2 = Math.atan2(H, E);
+    return {
+      rotationU: (a2 + a1) / 2,
+      sx: Q + R,
+      sy: Q - R,
+      rotationV: (a2 - a1) / 2
+    };
+  }
+  
+  /**
+   * Polar decomposition of the linear part of an affine:
+   * [[a, b], [c, d]] = Q · P with Q orthogonal and P symmetric positive
+   * semi-definite. Q is a reflection when the determinant is negative.
+   * Both factors are returned as affines without translation.
+   * @param {Affine} M
+   * @returns {{orthogonal: Affine, stretch: Affine}}
+   */
+  export function polarDecomposeAffine(M) {
+    const reflected = determinant(M) < 0;
+    // Closest orthogonal matrix: a rotation, or a reflection when det < 0
+    const theta = reflected
+      ? Math.atan2(M.c + M.b, M.a - M.d)
+      : Math.atan2(M.c - M.b, M.a + M.d);
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const Q = reflected
+      ? { a: cos, b: sin, c: sin, d: -cos, tx: 0, ty: 0 }
+      : { a: cos, b: -sin, c: sin, d: cos, tx: 0, ty: 0 };
+    // P = Qᵀ · M
+    const P = {
+      a: Q.a * M.a + Q.c * M.c,
+      b: Q.a * M.b + Q.c * M.d,
+      c: Q.b * M.a + Q.d * M.c,
+      d: Q.b * M.b + Q.d * M.d,
+      tx: 0,
+      ty: 0
+    };
+    // Remove rounding noise so P is exactly symmetric
+    const offDiagonal = (P.b + P.c) / 2;
+    P.b = offDiagonal;
+    P.c = offDiagonal;
+    return { orthogonal: Q, stretch: P };
+  }
+  
+  /**
+   * Real Schur decomposition of the linear part of an affine:
+   * [[a, b], [c, d]] = U · S · Uᵀ with U a rotation. With real eigenvalues S is
+   * upper triangular and carries them on its diagonal; with complex eigenvalues
+   * S is the standardized 2×2 block [[α, β], [γ, α]] (β·γ < 0), whose
+   * eigenvalues are α ± i·√(−β·γ). Both factors are returned as affines without
+   * translation.
+   * @param {Affine} M
+   * @returns {{orthogonal: Affine, triangular: Affine, eigenvalues: Array<{re:number, im:number}>}}
+   */
+  export function schurDecomposeAffine(M) {
+    const half = (M.a + M.d) / 2;
+    const discriminant = ((M.a - M.d) / 2) ** 2 + M.b * M.c;
+
+    let theta;
+    if (discriminant >= 0) {
+      // Rotate the eigenvector of the larger eigenvalue onto the x axis
+      const lambda = half + Math.sqrt(discriminant);
+      if (Math.hypot(M.b, lambda - M.a) > 1e-12) {
+        theta = Math.atan2(lambda - M.a, M.b);
+      } else if (Math.hypot(lambda - M.d, M.c) > 1e-12) {
+        theta = Math.atan2(M.c, lambda - M.d);
+      } else {
+        theta = 0; // M = λ·I, already triangular
+      }
+    } else {
+      // Choose the rotation that equalizes the diagonal of S (none is needed
+      // for a rotation-scale matrix, whose diagonal is already equal)
+      const skew = M.a - M.d;
+      const sym = M.b + M.c;
+      theta = Math.hypot(skew, sym) > 1e-12 ? Math.atan2(skew, -sym) / 2 : 0;
+    }
+
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const U = { a: cos, b: -sin, c: sin, d: cos, tx: 0, ty: 0 };
+    // S = Uᵀ · M · U
+    const mu = {
+      a: M.a * cos + M.b * sin,
+      b: -M.a * sin + M.b * cos,
+      c: M.c * cos + M.d * sin,
+      d: -M.c * sin + M.d * cos
+    };
+    const S = {
+      a: cos * mu.a + sin * mu.c,
+      b: cos * mu.b + sin * mu.d,
+      c: -sin * mu.a + cos * mu.c,
+      d: -sin * mu.b + cos * mu.d,
+      tx: 0,
+      ty: 0
+    };
+
+    let eigenvalues;
+    if (discriminant >= 0) {
+      S.c = 0;
+      eigenvalues = [{ re: S.a, im: 0 }, { re: S.d, im: 0 }];
+    } else {
+      const im = Math.sqrt(-discriminant);
+      eigenvalues = [{ re: half, im }, { re: half, im: -im }];
+    }
+    return { orthogonal: U, triangular: S, eigenvalues };
+  }
+  
   /**
    * Apply affine to a point.
    * @param {{x:number,y:number}} pt
@@ -0,0 +1,124 @@
+/*
+ * utils/complex.js
+ *
+ * Minimal complex arithmetic on plain {x, y} points, where x is the real part
+ * and y the imaginary part. Points from the rest of the code base can be used
+ * as complex numbers directly. No external dependencies.
+ */
+
+/**
+ * Coerce a number or {x, y} into a complex value
+ * @param {number|{x:number,y:number}} z
+ * @returns {{x:number,y:number}}
+ */
+export function complex(z) {
+  return typeof z === 'number' ? { x: z, y: 0 } : { x: z.x || 0, y: z.y || 0 };
+}
+
+export function cadd(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y };
+}
+
+export function csub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y };
+}
+
+export function cmul(a, b) {
+  return { x: a.x * b.x - a.y * b.y, y: a.x * b.y + a.y * b.x };
+}
+
+/**
+ * Complex division a / b (Infinity components when b = 0)
+ */
+export function cdiv(a, b) {
+  const denom = b.x * b.x + b.y * b.y;
+  if (denom === 0) return { x: Infinity, y: Infinity };
+  return {
+    x: (a.x * b.x + a.y * b.y) / denom,
+    y: (a.y * b.x - a.x * b.y) / denom
+  };
+}
+
+export function cscale(a, k) {
+  return { x: a.x * k, y: a.y * k };
+}
+
+export function cconj(a) {
+  return { x: a.x, y: -a.y };
+}
+
+export function cabs(a) {
+  return Math.hypot(a.x, a.y);
+}
+
+export function carg(a) {
+  return Math.atan2(a.y, a.x);
+}
+
+export function fromPolar(r, theta) {
+  return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+}
+
+export function cexp(a) {
+  return fromPolar(Math.exp(a.x), a.y);
+}
+
+/**
+ * Principal logarithm (imaginary part in (-π, π])
+ */
+export function clog(a) {
+  return { x: Math.log(cabs(a)), y: carg(a) };
+}
+
+/**
+ * Integer power by repeated squaring (negative exponents invert)
+ * @param {{x:number,y:number}} a
+ * @param {number} n - Integer exponent
+ */
+export function cpow(a, n) {
+  if (n < 0) return cdiv({ x: 1, y: 0 }, cpow(a, -n));
+  let result = { x: 1, y: 0 };
+  let base = a;
+  let k = n;
+  while (k > 0) {
+    if (k & 1) result = cmul(result, base);
+    base = cmul(base, base);
+    k >>= 1;
+  }
+  return result;
+}
+
+/**
+ * Coefficients (ascending powers, c0 first) of the monic polynomial with the given roots
+ * @param {Array<{x:number,y:number}>} roots
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function polynomialFromRoots(roots) {
+  let coeffs = [{ x: 1, y: 0 }];
+  for (const root of roots.map(complex)) {
+    // Multiply by (z - root)
+    const next = Array.from({ length: coeffs.length + 1 }, () => ({ x: 0, y: 0 }));
+    coeffs.forEach((c, k) => {
+      next[k + 1] = cadd(next[k + 1], c);
+      next[k] = csub(next[k], cmul(c, root));
+    });
+    coeffs = next;
+  }
+  return coeffs;
+}
+
+/**
+ * Evaluate p(z) and p'(z) together with Horner's scheme
+ * @param {Array<{x:number,y:number}>} coeffs - Ascending powers, c0 first
+ * @param {{x:number,y:number}} z
+ * @returns {{value: {x:number,y:number}, derivative: {x:number,y:number}}}
+ */
+export function evaluatePolynomial(coeffs, z) {
+  let value = { x: 0, y: 0 };
+  let derivative = { x: 0, y: 0 };
+  for (let k = coeffs.length - 1; k >= 0; k--) {
+    derivative = cadd(cmul(derivative, z), value);
+    value = cadd(cmul(value, z), coeffs[k]);
+  }
+  return { value, derivative };
+}
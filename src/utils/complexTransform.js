@@ -0,0 +1,355 @@
+/*
+ * utils/complexTransform.js
+ *
+ * Conformal (and anticonformal) maps of the complex plane used as domain warps:
+ * Möbius transforms (az+b)/(cz+d), powers z^n, exp, log and circle inversion.
+ *
+ * Each transform is a plain object
+ *   { type, params, forward(z), preimages(w), stretch(z) }
+ * where `preimages` returns every z with forward(z) = w that we track (z^n has
+ * n of them, exp one per branch) and `stretch` is the local scale factor |f'(z)|.
+ * Because conformal maps scale isotropically, a shape's SDF can be pulled back
+ * through a transform and multiplied by |f'(z)| to stay a first-order distance
+ * (the Lipschitz correction), which keeps contours from marchingSquares valid.
+ *
+ * Transforms compose like composeAffine (composeComplexTransforms(T2, T1) applies
+ * T1 then T2); plain affine matrices are accepted anywhere and lifted automatically.
+ * Shapes are warped through a transform by primitives/WarpedPrimitive.js.
+ */
+
+import {
+  complex, cadd, csub, cmul, cdiv, cconj, cabs, carg, cexp, clog, cpow, fromPolar
+} from './complex.js';
+import { identity, composeAffine, invertAffine, applyAffineToPoint, determinant } from './affine.js';
+
+/**
+ * @typedef {Object} ComplexTransform
+ * @prop {string} type
+ * @prop {Object} params - JSON-safe parameters (see complexTransformFromDescriptor)
+ * @prop {Function} forward - (z) => w
+ * @prop {Function} preimages - (w) => z[]
+ * @prop {Function} stretch - (z) => |f'(z)|
+ */
+
+/**
+ * True for plain affine matrices {a, b, c, d, tx, ty}
+ * @param {Object} T
+ * @returns {boolean}
+ */
+export function isAffine(T) {
+  return T && typeof T.forward !== 'function' &&
+    ['a', 'b', 'c', 'd'].every(k => typeof T[k] === 'number');
+}
+
+/**
+ * Lift a real affine matrix into a complex transform.
+ * The stretch is sqrt|det|, which is exact for similarities.
+ * @param {import('./affine.js').Affine} M
+ * @returns {ComplexTransform}
+ */
+export function affineTransform(M = identity()) {
+  const matrix = { tx: 0, ty: 0, ...M };
+  const inverse = invertAffine(matrix);
+  const s = Math.sqrt(Math.abs(determinant(matrix)));
+  return {
+    type: 'affine',
+    params: { ...matrix },
+    forward: z => applyAffineToPoint(z, matrix),
+    preimages: w => [applyAffineToPoint(w, inverse)],
+    stretch: () => s
+  };
+}
+
+/**
+ * Möbius transform f(z) = (az + b) / (cz + d), with complex (or real) coefficients.
+ * @param {Object} coefficients - { a, b, c, d } as numbers or {x, y}
+ * @returns {ComplexTransform}
+ */
+export function mobius({ a = 1, b = 0, c = 0, d = 1 } = {}) {
+  const A = complex(a);
+  const B = complex(b);
+  const C = complex(c);
+  const D = complex(d);
+  const det = csub(cmul(A, D), cmul(B, C));
+  if (cabs(det) < 1e-12) {
+    throw new Error("Möbius transform requires ad - bc ≠ 0");
+  }
+  const detAbs = cabs(det);
+
+  return {
+    type: 'mobius',
+    params: { a: A, b: B, c: C, d: D },
+    forward: z => cdiv(cadd(cmul(A, z), B), cadd(cmul(C, z), D)),
+    // Inverse Möbius: (d w - b) / (-c w + a)
+    preimages: w => [cdiv(csub(cmul(D, w), B), csub(A, cmul(C, w)))],
+    stretch: z => {
+      const denom = cabs(cadd(cmul(C, z), D));
+      return detAbs / (denom * denom);
+    }
+  };
+}
+
+/**
+ * Power map f(z) = z^n for a positive integer n. Every point has n preimages.
+ * @param {number} n
+ * @returns {ComplexTransform}
+ */
+export function power(n = 2) {
+  const k = Math.max(1, Math.round(n));
+  return {
+    type: 'power',
+    params: { n: k },
+    forward: z => cpow(z, k),
+    preimages: w => {
+      const r = Math.pow(cabs(w), 1 / k);
+      const theta = carg(w);
+      return Array.from({ length: k }, (_, j) => fromPolar(r, (theta + 2 * Math.PI * j) / k));
+    },
+    stretch: z => k * Math.pow(cabs(z), k - 1)
+  };
+}
+
+/**
+ * Exponential map f(z) = e^z. Preimages differ by 2πi; `branches` sets how many
+ * copies on each side of the principal one are tracked.
+ * @param {number} branches
+ * @returns {ComplexTransform}
+ */
+export function exponential(branches = 2) {
+  return {
+    type: 'exp',
+    params: { branches },
+    forward: z => cexp(z),
+    preimages: w => {
+      if (w.x === 0 && w.y === 0) return [];
+      const base = clog(w);
+      const result = [];
+      for (let k = -branches; k <= branches; k++) {
+        result.push({ x: base.x, y: base.y + 2 * Math.PI * k });
+      }
+      return result;
+    },
+    stretch: z => Math.exp(z.x)
+  };
+}
+
+/**
+ * Logarithm f(z) = log z, treated as multi-valued: the image of a shape is
+ * repeated every 2π along the imaginary axis.
+ * @returns {ComplexTransform}
+ */
+export function logarithm() {
+  return {
+    type: 'log',
+    params: {},
+    forward: z => clog(z),
+    preimages: w => [cexp(w)],
+    stretch: z => 1 / cabs(z)
+  };
+}
+
+/**
+ * Circle inversion f(z) = c + r² / conj(z - c) (anticonformal, self-inverse).
+ * @param {Object} options
+ * @param {{x:number,y:number}} options.center
+ * @param {number} options.radius
+ * @returns {ComplexTransform}
+ */
+export function inversion({ center = { x: 0, y: 0 }, radius = 1 } = {}) {
+  const c = complex(center);
+  const r2 = radius * radius;
+  const forward = z => cadd(c, cdiv({ x: r2, y: 0 }, cconj(csub(z, c))));
+  return {
+    type: 'inversion',
+    params: { center: c, radius },
+    forward,
+    preimages: w => [forward(w)],
+    stretch: z => {
+      const dist = cabs(csub(z, c));
+      return r2 / (dist * dist);
+    }
+  };
+}
+
+/**
+ * Compose two transforms: apply T1 then T2 (T2 ∘ T1), like composeAffine.
+ * Two Möbius transforms (or affines) collapse into one; anything else becomes a chain.
+ * @param {ComplexTransform|import('./affine.js').Affine} T2
+ * @param {ComplexTransform|import('./affine.js').Affine} T1
+ * @returns {ComplexTransform|import('./affine.js').Affine}
+ */
+export function composeComplexTransforms(T2, T1) {
+  if (isAffine(T2) && isAffine(T1)) {
+    return composeAffine(T2, T1);
+  }
+
+  const second = isAffine(T2) ? affineTransform(T2) : T2;
+  const first = isAffine(T1) ? affineTransform(T1) : T1;
+
+  if (second.type === 'mobius' && first.type === 'mobius') {
+    // Matrix product [[a2,b2],[c2,d2]]·[[a1,b1],[c1,d1]]
+    const p = second.params;
+    const q = first.params;
+    return mobius({
+      a: cadd(cmul(p.a, q.a), cmul(p.b, q.c)),
+      b: cadd(cmul(p.a, q.b), cmul(p.b, q.d)),
+      c: cadd(cmul(p.c, q.a), cmul(p.d, q.c)),
+      d: cadd(cmul(p.c, q.b), cmul(p.d, q.d))
+    });
+  }
+
+  const flatten = T => T.type === 'chain' ? T.transforms : [T];
+  return chain([...flatten(first), ...flatten(second)]);
+}
+
+/**
+ * A sequence of transforms applied in order.
+ * @param {ComplexTransform[]} transforms
+ * @returns {ComplexTransform}
+ */
+export function chain(transforms) {
+  return {
+    type: 'chain',
+    transforms,
+    get params() {
+      return { transforms: transforms.map(serializeComplexTransform) };
+    },
+    forward: z => transforms.reduce((acc, T) => T.forward(acc), z),
+    preimages: w => transforms.reduceRight(
+      (points, T) => points.flatMap(p => T.preimages(p)),
+      [w]
+    ),
+    stretch: z => {
+      let s = 1;
+      let current = z;
+      for (const T of transforms) {
+        s *= T.stretch(current);
+        current = T.forward(current);
+      }
+      return s;
+    }
+  };
+}
+
+/**
+ * Apply a transform (complex or affine) to a point
+ * @param {{x:number,y:number}} point
+ * @param {ComplexTransform|import('./affine.js').Affine} T
+ * @returns {{x:number,y:number}}
+ */
+export function applyComplexTransform(point, T) {
+  return isAffine(T) ? applyAffineToPoint(point, T) : T.forward(point);
+}
+
+/**
+ * Estimate the global Lipschitz constant of z ↦ f⁻¹(w), i.e. the largest
+ * 1 / |f'(z)| over preimages of a sampled region. Dividing a pulled-back SDF by
+ * this constant gives a conservative bound that never overestimates distance.
+ * @param {ComplexTransform} T
+ * @param {number[]} bounds - [xmin, ymin, xmax, ymax] in the warped (output) plane
+ * @param {number} samples - Samples per axis
+ * @param {number} maxValue - Clamp for singular points
+ * @returns {number}
+ */
+export function estimateLipschitz(T, bounds = [-3, -3, 3, 3], samples = 32, maxValue = 100) {
+  const [xmin, ymin, xmax, ymax] = bounds;
+  let L = 0;
+  for (let i = 0; i <= samples; i++) {
+    for (let j = 0; j <= samples; j++) {
+      const w = {
+        x: xmin + (xmax - xmin) * i / samples,
+        y: ymin + (ymax - ymin) * j / samples
+      };
+      for (const z of T.preimages(w)) {
+        const s = T.stretch(z);
+        if (s > 0 && Number.isFinite(s)) L = Math.max(L, 1 / s);
+      }
+    }
+  }
+  return Math.min(Math.max(L, 1e-6), maxValue);
+}
+
+/**
+ * Pull an SDF back through a transform so it describes the image f(S) of a shape S.
+ *  - correction 'local'  : d(z) · |f'(z)|, a first-order distance (default)
+ *  - correction 'global' : d(z) / L with L from options.lipschitz or estimateLipschitz
+ *  - correction 'none'   : raw d(z)
+ * With several preimages the minimum is taken (union of all copies).
+ * @param {Function} sdfFunc - (point, ...rest) => number, evaluated on preimages
+ * @param {ComplexTransform|import('./affine.js').Affine} transform
+ * @param {Object} options
+ * @returns {Function} (point, ...rest) => number
+ */
+export function warpSDF(sdfFunc, transform, options = {}) {
+  const T = isAffine(transform) ? affineTransform(transform) : transform;
+  const correction = options.correction || 'local';
+  const L = correction === 'global'
+    ? (options.lipschitz || estimateLipschitz(T, options.bounds))
+    : 1;
+
+  return function(point, ...rest) {
+    let result = Infinity;
+    for (const z of T.preimages(point)) {
+      if (!Number.isFinite(z.x) || !Number.isFinite(z.y)) continue;
+      const d = sdfFunc(z, ...rest);
+      let value;
+      if (correction === 'local') {
+        const s = T.stretch(z);
+        value = Number.isFinite(s) ? d * s : d;
+      } else if (correction === 'global') {
+        value = d / L;
+      } else {
+        value = d;
+      }
+      result = Math.min(result, value);
+    }
+    return result;
+  };
+}
+
+/**
+ * JSON descriptor for a transform
+ * @param {ComplexTransform|import('./affine.js').Affine} T
+ * @returns {Object} { type, params }
+ */
+export function serializeComplexTransform(T) {
+  if (isAffine(T)) return { type: 'affine', params: { ...T } };
+  return { type: T.type, params: JSON.parse(JSON.stringify(T.params)) };
+}
+
+/**
+ * Rebuild a transform from serializeComplexTransform output
+ * @param {Object} descriptor
+ * @returns {ComplexTransform}
+ */
+export function complexTransformFromDescriptor(descriptor) {
+  const params = descriptor.params || {};
+  switch (descriptor.type) {
+    case 'affine':
+      return affineTransform(params);
+    case 'mobius':
+      return mobius(params);
+    case 'power':
+      return power(params.n);
+    case 'exp':
+      return exponential(params.branches);
+    case 'log':
+      return logarithm();
+    case 'inversion':
+      return inversion(params);
+    case 'chain':
+      return chain((params.transforms || []).map(complexTransformFromDescriptor));
+    default:
+      throw new Error(`Unknown complex transform type: ${descriptor.type}`);
+  }
+}
+
+/**
+ * Factory by name, mirroring createMapping
+ * @param {string} type - 'mobius' | 'power' | 'exp' | 'log' | 'inversion' | 'affine'
+ * @param {Object} params
+ * @returns {ComplexTransform}
+ */
+export function createComplexTransform(type, params = {}) {
+  return complexTransformFromDescriptor({ type, params });
+}
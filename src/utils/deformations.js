@@ -0,0 +1,207 @@
+// File: src/utils/deformations.js
+
+/**
+ * Space deformations.
+ *
+ * A deformation warps the query point before the wrapped SDF is evaluated, so
+ * the field itself bends instead of only the vertices (compare bendFace in
+ * Geometry/FaceTransformations.js). A warp w stretches distances by up to its
+ * Lipschitz constant L, so f(w(p)) / L is again a distance bound; each
+ * deformation reports an estimate of L over the region |p| ≤ extent.
+ *
+ * Deformations are plain descriptors, so they serialize as they are:
+ *  - { type: 'bend', curvature }
+ *      Bends the x axis into an arc of radius 1 / curvature. The bend is singular
+ *      at the arc's center and cut along the ray from the center away from the
+ *      x axis, so its estimate only covers the ring r ≥ BEND_CORE / |curvature|
+ *      around the center; regions reaching further in are reported as unbounded.
+ *  - { type: 'twist', rate, center: {x, y} }
+ *      Rotates by rate · r radians at distance r from center.
+ *  - { type: 'taper', rate }
+ *      Scales y by 1 + rate · x.
+ *  - { type: 'wave', amplitude, frequency, phase, speed }
+ *      Shifts y by amplitude · sin(frequency · x + phase + speed · t).
+ *  - { type: 'lattice', bounds, nx, ny, offsets }
+ *      Free-form deformation: (nx + 1)·(ny + 1) control offsets over bounds,
+ *      blended with Bernstein polynomials, move the shape by roughly their value.
+ */
+
+export const DEFORMATIONS = ['bend', 'twist', 'taper', 'wave', 'lattice'];
+
+// Smallest scale a warp may apply, so bounds stay finite near singularities
+const MIN_SCALE = 0.1;
+
+// Fraction of the bend radius around the bend center left out of the estimate
+const BEND_CORE = 0.5;
+
+/**
+ * Fill in defaults for a deformation descriptor.
+ * @param {Object} descriptor - Deformation descriptor (see module comment)
+ * @returns {Object} A new, complete descriptor
+ */
+export function normalizeDeformation(descriptor = {}) {
+  const type = DEFORMATIONS.includes(descriptor.type) ? descriptor.type : 'bend';
+  switch (type) {
+    case 'twist':
+      return { type, rate: descriptor.rate ?? 1, center: { x: 0, y: 0, ...descriptor.center } };
+    case 'taper':
+      return { type, rate: descriptor.rate ?? 0.3 };
+    case 'wave':
+      return {
+        type,
+        amplitude: descriptor.amplitude ?? 0.2,
+        frequency: descriptor.frequency ?? 3,
+        phase: descriptor.phase ?? 0,
+        speed: descriptor.speed ?? 0
+      };
+    case 'lattice': {
+      const nx = Math.max(1, Math.round(descriptor.nx || 2));
+      const ny = Math.max(1, Math.round(descriptor.ny || 2));
+      const count = (nx + 1) * (ny + 1);
+      const offsets = Array.isArray(descriptor.offsets) && descriptor.offsets.length === count
+        ? descriptor.offsets.map(o => ({ x: o.x || 0, y: o.y || 0 }))
+        : Array.from({ length: count }, () => ({ x: 0, y: 0 }));
+      return { type, bounds: descriptor.bounds ? [...descriptor.bounds] : [-2, -2, 2, 2], nx, ny, offsets };
+    }
+    default:
+      return { type, curvature: descriptor.curvature ?? 0.5 };
+  }
+}
+
+/** Largest singular value of the shear [[1, 0], [s, 1]]. @private */
+function shearNorm(s) {
+  const a = Math.abs(s);
+  return (a + Math.sqrt(a * a + 4)) / 2;
+}
+
+/** Bernstein basis polynomials of degree n at t. @private */
+function bernstein(n, t) {
+  const values = [1];
+  for (let k = 1; k <= n; k++) {
+    // Raise the degree by one (de Casteljau on the basis)
+    values.push(0);
+    for (let i = k; i >= 0; i--) {
+      values[i] = (1 - t) * values[i] + (i > 0 ? t * values[i - 1] : 0);
+    }
+  }
+  return values;
+}
+
+/**
+ * Build a deformation.
+ * @param {Object} descriptor - Deformation descriptor (see module comment)
+ * @param {number} [extent] - Radius of the region the Lipschitz estimate covers
+ * @returns {{warp: Function, lipschitz: number, bounded: boolean}} warp(point, time)
+ *   → point in the wrapped shape's space; lipschitz bounds its stretch within
+ *   extent, unless bounded is false (then it only covers part of that region)
+ */
+export function createDeformation(descriptor, extent = 4) {
+  const def = normalizeDeformation(descriptor);
+
+  switch (def.type) {
+    case 'twist': {
+      const { rate, center } = def;
+      return {
+        warp: p => {
+          const dx = p.x - center.x;
+          const dy = p.y - center.y;
+          const a = -rate * Math.hypot(dx, dy);
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          return { x: center.x + cos * dx - sin * dy, y: center.y + sin * dx + cos * dy };
+        },
+        // A rotation times the radial shear [[1, 0], [rate·r, 1]]
+        lipschitz: shearNorm(rate * (extent + Math.hypot(center.x, center.y))),
+        bounded: true
+      };
+    }
+
+    case 'taper': {
+      const { rate } = def;
+      const minScale = Math.max(MIN_SCALE, 1 - Math.abs(rate) * extent);
+      return {
+        warp: p => ({ x: p.x, y: p.y / Math.max(MIN_SCALE, 1 + rate * p.x) }),
+        // J = [[1, 0], [−rate·y / s², 1 / s]]
+        lipschitz: 1 / minScale + Math.abs(rate) * extent / (minScale * minScale),
+        bounded: true
+      };
+    }
+
+    case 'wave': {
+      const { amplitude, frequency, phase, speed } = def;
+      const slope = Math.abs(amplitude * frequency);
+      return {
+        warp: (p, time = 0) => ({
+          x: p.x,
+          y: p.y - amplitude * Math.sin(frequency * p.x + phase + speed * time)
+        }),
+        lipschitz: shearNorm(slope),
+        bounded: true
+      };
+    }
+
+    case 'lattice': {
+      const { bounds, nx, ny, offsets } = def;
+      const [xmin, ymin, xmax, ymax] = bounds;
+      const width = xmax - xmin;
+      const height = ymax - ymin;
+      const at = (i, j) => offsets[j * (nx + 1) + i];
+
+      // |∂D/∂u| ≤ n · max |difference of neighbouring offsets| (Bernstein derivative)
+      let du = 0;
+      let dv = 0;
+      for (let j = 0; j <= ny; j++) {
+        for (let i = 0; i <= nx; i++) {
+          if (i < nx) du = Math.max(du, Math.hypot(at(i + 1, j).x - at(i, j).x, at(i + 1, j).y - at(i, j).y));
+          if (j < ny) dv = Math.max(dv, Math.hypot(at(i, j + 1).x - at(i, j).x, at(i, j + 1).y - at(i, j).y));
+        }
+      }
+      const gradient = Math.hypot(nx * du / width, ny * dv / height);
+
+      return {
+        warp: p => {
+          // Offsets are held constant outside the lattice
+          const u = Math.min(Math.max((p.x - xmin) / width, 0), 1);
+          const v = Math.min(Math.max((p.y - ymin) / height, 0), 1);
+          const bu = bernstein(nx, u);
+          const bv = bernstein(ny, v);
+          let ox = 0;
+          let oy = 0;
+          for (let j = 0; j <= ny; j++) {
+            for (let i = 0; i <= nx; i++) {
+              const w = bu[i] * bv[j];
+              ox += w * at(i, j).x;
+              oy += w * at(i, j).y;
+            }
+          }
+          return { x: p.x - ox, y: p.y - oy };
+        },
+        lipschitz: 1 + gradient,
+        bounded: true
+      };
+    }
+
+    default: {
+      // Bend: unroll the circle of radius R = 1 / curvature centered at (0, R)
+      // onto the x axis; mirrored in y for negative curvature
+      const { curvature } = def;
+      if (Math.abs(curvature) < 1e-6) return { warp: p => ({ x: p.x, y: p.y }), lipschitz: 1, bounded: true };
+      const R = 1 / Math.abs(curvature);
+      const sign = Math.sign(curvature);
+      // Within extent the radius never drops below R − extent. Closer to the
+      // center (and across the cut, which needs extent ≥ R) the stretch R / r
+      // has no finite bound, so the estimate stops at the core radius.
+      const innerRadius = Math.max(R - extent, BEND_CORE * R);
+      return {
+        warp: p => {
+          const dx = p.x;
+          const dy = R - sign * p.y;
+          return { x: R * Math.atan2(dx, dy), y: sign * (R - Math.hypot(dx, dy)) };
+        },
+        // Arc length is stretched by R / r, worst at the smallest radius covered
+        lipschitz: R / innerRadius,
+        bounded: R - extent >= BEND_CORE * R
+      };
+    }
+  }
+}
@@ -0,0 +1,259 @@
+// File: src/utils/domainOperators.js
+import { composeAffine, invertAffine, applyAffineToPoint } from "./affine.js";
+
+/**
+ * Domain operators.
+ *
+ * A domain operator copies a shape across the plane without cloning it: the
+ * query point is mapped back onto the original shape by every symmetry that
+ * can bring a copy near it, and the wrapped SDF is evaluated at those images
+ * only. Because every map is an isometry, the minimum over the images is the
+ * distance to the union of all copies.
+ *
+ * Operators are plain descriptors, so they serialize as they are:
+ *  - { type: 'repeat', period: {x, y}, limits: {x, y} | null, neighbors }
+ *      Grid repetition; limits is the largest cell index on each side.
+ *  - { type: 'mirror', point: {x, y}, angle }
+ *      Union with the reflection about the line through point at angle.
+ *  - { type: 'polar', count, center: {x, y}, neighbors }
+ *      count copies rotated about center.
+ *  - { type: 'wallpaper', group, cell: {x, y}, angle, neighbors }
+ *      One of the 17 plane symmetry groups; cell.x (and cell.y for oblique and
+ *      rectangular lattices) sets the lattice, angle the oblique lattice angle.
+ * neighbors is how many adjacent cells or sectors are also checked; 0 is a
+ * plain fold, which is exact only for shapes that stay inside their cell.
+ */
+
+export const DOMAIN_OPERATORS = ['repeat', 'mirror', 'polar', 'wallpaper'];
+
+/**
+ * General positions of the 17 wallpaper groups in lattice coordinates, from the
+ * International Tables: each entry is [m11, m12, m21, m22, t1, t2] for
+ * (u, v) ↦ (m11·u + m12·v + t1, m21·u + m22·v + t2). Hexagonal groups use the
+ * 120° basis. Centered groups list their centering translation separately.
+ * @private
+ */
+const P3 = [
+  [1, 0, 0, 1, 0, 0], [0, -1, 1, -1, 0, 0], [-1, 1, -1, 0, 0, 0]
+];
+const P6_ROTATIONS = [
+  [-1, 0, 0, -1, 0, 0], [0, 1, -1, 1, 0, 0], [1, -1, 1, 0, 0, 0]
+];
+const P3M1_MIRRORS = [
+  [0, -1, -1, 0, 0, 0], [-1, 1, 0, 1, 0, 0], [1, 0, 1, -1, 0, 0]
+];
+const P31M_MIRRORS = [
+  [0, 1, 1, 0, 0, 0], [1, -1, 0, -1, 0, 0], [-1, 0, -1, 1, 0, 0]
+];
+const PMM = [
+  [1, 0, 0, 1, 0, 0], [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0]
+];
+const P4 = [
+  [1, 0, 0, 1, 0, 0], [-1, 0, 0, -1, 0, 0], [0, -1, 1, 0, 0, 0], [0, 1, -1, 0, 0, 0]
+];
+
+const WALLPAPER_DEFINITIONS = {
+  p1:   { lattice: 'oblique', ops: [[1, 0, 0, 1, 0, 0]] },
+  p2:   { lattice: 'oblique', ops: [[1, 0, 0, 1, 0, 0], [-1, 0, 0, -1, 0, 0]] },
+  pm:   { lattice: 'rectangular', ops: [[1, 0, 0, 1, 0, 0], [-1, 0, 0, 1, 0, 0]] },
+  pg:   { lattice: 'rectangular', ops: [[1, 0, 0, 1, 0, 0], [-1, 0, 0, 1, 0, 0.5]] },
+  cm:   { lattice: 'rectangular', centered: true, ops: [[1, 0, 0, 1, 0, 0], [-1, 0, 0, 1, 0, 0]] },
+  pmm:  { lattice: 'rectangular', ops: PMM },
+  pmg:  { lattice: 'rectangular', ops: [
+    [1, 0, 0, 1, 0, 0], [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0.5, 0], [1, 0, 0, -1, 0.5, 0]
+  ] },
+  pgg:  { lattice: 'rectangular', ops: [
+    [1, 0, 0, 1, 0, 0], [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0.5, 0.5], [1, 0, 0, -1, 0.5, 0.5]
+  ] },
+  cmm:  { lattice: 'rectangular', centered: true, ops: PMM },
+  p4:   { lattice: 'square', ops: P4 },
+  p4m:  { lattice: 'square', ops: [
+    ...P4, [-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0], [0, 1, 1, 0, 0, 0], [0, -1, -1, 0, 0, 0]
+  ] },
+  p4g:  { lattice: 'square', ops: [
+    ...P4,
+    [-1, 0, 0, 1, 0.5, 0.5], [1, 0, 0, -1, 0.5, 0.5], [0, 1, 1, 0, 0.5, 0.5], [0, -1, -1, 0, 0.5, 0.5]
+  ] },
+  p3:   { lattice: 'hexagonal', ops: P3 },
+  p3m1: { lattice: 'hexagonal', ops: [...P3, ...P3M1_MIRRORS] },
+  p31m: { lattice: 'hexagonal', ops: [...P3, ...P31M_MIRRORS] },
+  p6:   { lattice: 'hexagonal', ops: [...P3, ...P6_ROTATIONS] },
+  p6m:  { lattice: 'hexagonal', ops: [...P3, ...P6_ROTATIONS, ...P3M1_MIRRORS, ...P31M_MIRRORS] }
+};
+
+export const WALLPAPER_GROUPS = Object.keys(WALLPAPER_DEFINITIONS);
+
+// Missing limits (null once an Infinity has been through JSON) mean unbounded
+const cellLimit = value => (typeof value === 'number' && value >= 0 ? Math.floor(value) : Infinity);
+
+/**
+ * Fill in defaults for an operator descriptor.
+ * @param {Object} descriptor - Operator descriptor (see module comment)
+ * @returns {Object} A new, complete descriptor
+ */
+export function normalizeDomainOperator(descriptor = {}) {
+  const type = DOMAIN_OPERATORS.includes(descriptor.type) ? descriptor.type : 'repeat';
+  switch (type) {
+    case 'mirror':
+      return {
+        type,
+        point: { x: 0, y: 0, ...descriptor.point },
+        angle: descriptor.angle || 0
+      };
+    case 'polar':
+      return {
+        type,
+        count: Math.max(1, Math.round(descriptor.count || 6)),
+        center: { x: 0, y: 0, ...descriptor.center },
+        neighbors: descriptor.neighbors || 0
+      };
+    case 'wallpaper':
+      return {
+        type,
+        group: WALLPAPER_GROUPS.includes(descriptor.group) ? descriptor.group : 'p4m',
+        cell: { x: 1, y: 1, ...descriptor.cell },
+        angle: descriptor.angle || Math.PI / 2,
+        neighbors: descriptor.neighbors !== undefined ? descriptor.neighbors : 1
+      };
+    default:
+      return {
+        type,
+        period: { x: 1, y: 1, ...descriptor.period },
+        limits: descriptor.limits
+          ? { x: cellLimit(descriptor.limits.x), y: cellLimit(descriptor.limits.y) }
+          : null,
+        neighbors: descriptor.neighbors || 0
+      };
+  }
+}
+
+/**
+ * Lattice basis as an affine map from lattice to world coordinates.
+ * @private
+ */
+function latticeBasis(lattice, cell, angle) {
+  switch (lattice) {
+    case 'oblique':
+      return { a: cell.x, b: cell.y * Math.cos(angle), c: 0, d: cell.y * Math.sin(angle), tx: 0, ty: 0 };
+    case 'square':
+      return { a: cell.x, b: 0, c: 0, d: cell.x, tx: 0, ty: 0 };
+    case 'hexagonal':
+      return { a: cell.x, b: -cell.x / 2, c: 0, d: cell.x * Math.sqrt(3) / 2, tx: 0, ty: 0 };
+    default:
+      return { a: cell.x, b: 0, c: 0, d: cell.y, tx: 0, ty: 0 };
+  }
+}
+
+const clamp = (value, lo, hi) => Math.min(Math.max(value, lo), hi);
+
+/**
+ * Build the image maps of an operator: point ↦ the isometries that carry it to
+ * the points at which the wrapped SDF has to be evaluated. Which maps apply
+ * depends on the cell or sector of the point, but each map is a fixed affine,
+ * so callers can push Dual points through them as well.
+ * Wallpaper symmetries are precomputed here.
+ * @param {Object} descriptor - Operator descriptor (see module comment)
+ * @returns {Function} (point) => Array<{a, b, c, d, tx, ty}>
+ */
+export function createDomainMaps(descriptor) {
+  const op = normalizeDomainOperator(descriptor);
+  const shift = (tx, ty) => ({ a: 1, b: 0, c: 0, d: 1, tx, ty });
+
+  switch (op.type) {
+    case 'mirror': {
+      const nx = -Math.sin(op.angle);
+      const ny = Math.cos(op.angle);
+      const offset = 2 * (op.point.x * nx + op.point.y * ny);
+      const reflection = {
+        a: 1 - 2 * nx * nx, b: -2 * nx * ny,
+        c: -2 * nx * ny,    d: 1 - 2 * ny * ny,
+        tx: offset * nx,    ty: offset * ny
+      };
+      const maps = [shift(0, 0), reflection];
+      return () => maps;
+    }
+
+    case 'polar': {
+      const sector = 2 * Math.PI / op.count;
+      const { x: cx, y: cy } = op.center;
+      return p => {
+        const k = Math.round(Math.atan2(p.y - cy, p.x - cx) / sector);
+        const maps = [];
+        for (let n = -op.neighbors; n <= op.neighbors; n++) {
+          const a = -(k + n) * sector;
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          maps.push({
+            a: cos, b: -sin, c: sin, d: cos,
+            tx: cx - cos * cx + sin * cy,
+            ty: cy - sin * cx - cos * cy
+          });
+        }
+        return maps;
+      };
+    }
+
+    case 'wallpaper': {
+      const definition = WALLPAPER_DEFINITIONS[op.group];
+      const L = latticeBasis(definition.lattice, op.cell, op.angle);
+      const Linv = invertAffine(L);
+      const ops = definition.centered
+        ? [...definition.ops, ...definition.ops.map(([a, b, c, d, tx, ty]) => [a, b, c, d, tx + 0.5, ty + 0.5])]
+        : definition.ops;
+
+      // Every group element near the reference cell, inverted and expressed in
+      // world coordinates: (L ∘ (t + g) ∘ L⁻¹)⁻¹
+      const inverses = [];
+      const n = op.neighbors;
+      for (const [a, b, c, d, tx, ty] of ops) {
+        for (let i = -n; i <= n; i++) {
+          for (let j = -n; j <= n; j++) {
+            const g = { a, b, c, d, tx: tx + i, ty: ty + j };
+            inverses.push(invertAffine(composeAffine(L, composeAffine(g, Linv))));
+          }
+        }
+      }
+      return p => {
+        // Translate by whole lattice vectors into the reference cell
+        const f = applyAffineToPoint(p, Linv);
+        const i = Math.round(f.x);
+        const j = Math.round(f.y);
+        const reduce = shift(-(L.a * i + L.b * j), -(L.c * i + L.d * j));
+        return inverses.map(M => composeAffine(M, reduce));
+      };
+    }
+
+    default: {
+      const { period, limits } = op;
+      const cellIndex = (v, size, limit) => {
+        if (!size) return 0;
+        const k = Math.round(v / size);
+        return limits ? clamp(k, -limit, limit) : k;
+      };
+      return p => {
+        const ci = cellIndex(p.x, period.x, limits && limits.x);
+        const cj = cellIndex(p.y, period.y, limits && limits.y);
+        const maps = [];
+        for (let i = -op.neighbors; i <= op.neighbors; i++) {
+          for (let j = -op.neighbors; j <= op.neighbors; j++) {
+            const ki = period.x ? (limits ? clamp(ci + i, -limits.x, limits.x) : ci + i) : 0;
+            const kj = period.y ? (limits ? clamp(cj + j, -limits.y, limits.y) : cj + j) : 0;
+            maps.push(shift(-ki * period.x, -kj * period.y));
+          }
+        }
+        return maps;
+      };
+    }
+  }
+}
+
+/**
+ * Build the image function of an operator: point ↦ the points at which the
+ * wrapped SDF has to be evaluated.
+ * @param {Object} descriptor - Operator descriptor (see module comment)
+ * @returns {Function} (point) => Array<{x:number, y:number}>
+ */
+export function createDomainImages(descriptor) {
+  const maps = createDomainMaps(descriptor);
+  return p => maps(p).map(M => applyAffineToPoint(p, M));
+}
@@ -0,0 +1,316 @@
+/*
+ * utils/dual.js
+ *
+ * Second-order dual numbers for forward-mode automatic differentiation in 2D.
+ * A Dual carries a value together with its gradient (dx, dy) and Hessian
+ * (dxx, dxy, dyy) with respect to the query point, so evaluating an SDF on
+ * Dual coordinates yields exact gradients, normals and curvature in one pass.
+ *
+ * Every elementary function is applied through the chain rule in `chain`,
+ * which only needs the scalar function value and its first two derivatives.
+ */
+
+export class Dual {
+  constructor(value, dx = 0, dy = 0, dxx = 0, dxy = 0, dyy = 0) {
+    this.value = value;
+    this.dx = dx;
+    this.dy = dy;
+    this.dxx = dxx;
+    this.dxy = dxy;
+    this.dyy = dyy;
+  }
+
+  /**
+   * A constant (all derivatives zero).
+   * @param {number} value
+   * @returns {Dual}
+   */
+  static constant(value) {
+    return new Dual(value);
+  }
+
+  /**
+   * Seed the independent variables x and y for a query point.
+   * @param {Object} point - Point (x, y)
+   * @returns {{x: Dual, y: Dual}}
+   */
+  static point(point) {
+    return {
+      x: new Dual(point.x, 1, 0),
+      y: new Dual(point.y, 0, 1)
+    };
+  }
+
+  /**
+   * Wrap numbers as constants; Duals pass through unchanged.
+   * @param {number|Dual} v
+   * @returns {Dual}
+   */
+  static lift(v) {
+    return v instanceof Dual ? v : new Dual(v);
+  }
+
+  static isDual(v) {
+    return v instanceof Dual;
+  }
+
+  /**
+   * Apply a scalar function f through the chain rule.
+   * @param {number} f0 - f(u)
+   * @param {number} f1 - f'(u)
+   * @param {number} f2 - f''(u)
+   * @returns {Dual}
+   */
+  chain(f0, f1, f2) {
+    return new Dual(
+      f0,
+      f1 * this.dx,
+      f1 * this.dy,
+      f2 * this.dx * this.dx + f1 * this.dxx,
+      f2 * this.dx * this.dy + f1 * this.dxy,
+      f2 * this.dy * this.dy + f1 * this.dyy
+    );
+  }
+
+  // --- Arithmetic (numbers are accepted as constants) ---
+  add(other) {
+    const b = Dual.lift(other);
+    return new Dual(
+      this.value + b.value,
+      this.dx + b.dx, this.dy + b.dy,
+      this.dxx + b.dxx, this.dxy + b.dxy, this.dyy + b.dyy
+    );
+  }
+
+  sub(other) {
+    const b = Dual.lift(other);
+    return new Dual(
+      this.value - b.value,
+      this.dx - b.dx, this.dy - b.dy,
+      this.dxx - b.dxx, this.dxy - b.dxy, this.dyy - b.dyy
+    );
+  }
+
+  neg() {
+    return new Dual(-this.value, -this.dx, -this.dy, -this.dxx, -this.dxy, -this.dyy);
+  }
+
+  scale(k) {
+    return new Dual(
+      k * this.value, k * this.dx, k * this.dy,
+      k * this.dxx, k * this.dxy, k * this.dyy
+    );
+  }
+
+  mul(other) {
+    if (!(other instanceof Dual)) return this.scale(other);
+    const a = this;
+    const b = other;
+    return new Dual(
+      a.value * b.value,
+      a.dx * b.value + a.value * b.dx,
+      a.dy * b.value + a.value * b.dy,
+      a.dxx * b.value + 2 * a.dx * b.dx + a.value * b.dxx,
+      a.dxy * b.value + a.dx * b.dy + a.dy * b.dx + a.value * b.dxy,
+      a.dyy * b.value + 2 * a.dy * b.dy + a.value * b.dyy
+    );
+  }
+
+  reciprocal() {
+    const v = this.value;
+    return this.chain(1 / v, -1 / (v * v), 2 / (v * v * v));
+  }
+
+  div(other) {
+    if (!(other instanceof Dual)) return this.scale(1 / other);
+    return this.mul(other.reciprocal());
+  }
+
+  /**
+   * Raise to a constant power.
+   * @param {number} n
+   * @returns {Dual}
+   */
+  pow(n) {
+    const v = this.value;
+    if (n === 0) return Dual.constant(1);
+    if (n === 1) return this;
+    return this.chain(
+      Math.pow(v, n),
+      n * Math.pow(v, n - 1),
+      n * (n - 1) * Math.pow(v, n - 2)
+    );
+  }
+
+  // --- Elementary functions ---
+  sqrt() {
+    const s = Math.sqrt(this.value);
+    return this.chain(s, 0.5 / s, -0.25 / (s * this.value));
+  }
+
+  exp() {
+    const e = Math.exp(this.value);
+    return this.chain(e, e, e);
+  }
+
+  log() {
+    const v = this.value;
+    return this.chain(Math.log(v), 1 / v, -1 / (v * v));
+  }
+
+  sin() {
+    const s = Math.sin(this.value);
+    return this.chain(s, Math.cos(this.value), -s);
+  }
+
+  cos() {
+    const c = Math.cos(this.value);
+    return this.chain(c, -Math.sin(this.value), -c);
+  }
+
+  abs() {
+    return this.value < 0 ? this.neg() : this;
+  }
+
+  /**
+   * Smaller of two values (derivatives follow the selected branch).
+   * @param {number|Dual} other
+   * @returns {Dual}
+   */
+  min(other) {
+    const b = Dual.lift(other);
+    return b.value < this.value ? b : this;
+  }
+
+  max(other) {
+    const b = Dual.lift(other);
+    return b.value > this.value ? b : this;
+  }
+
+  // --- Derived geometric quantities ---
+  get gradient() {
+    return { x: this.dx, y: this.dy };
+  }
+
+  /**
+   * Unit normal ∇f / |∇f| (zero vector where the gradient vanishes).
+   * @returns {Object} {x, y}
+   */
+  get normal() {
+    const length = Math.hypot(this.dx, this.dy);
+    return length > 1e-12 ? { x: this.dx / length, y: this.dy / length } : { x: 0, y: 0 };
+  }
+
+  /**
+   * Curvature of the level set through this point, div(∇f / |∇f|).
+   * @returns {number}
+   */
+  get curvature() {
+    const fx = this.dx;
+    const fy = this.dy;
+    const gradMagnitudeSq = fx * fx + fy * fy;
+    if (gradMagnitudeSq < 1e-10) return 0;
+    const gradMagnitude = Math.sqrt(gradMagnitudeSq);
+    return (this.dxx * fy * fy - 2 * this.dxy * fx * fy + this.dyy * fx * fx) /
+      (gradMagnitudeSq * gradMagnitude);
+  }
+}
+
+/**
+ * Euclidean length of a Dual vector.
+ * @param {Dual} x
+ * @param {Dual} y
+ * @returns {Dual}
+ */
+export function dualHypot(x, y) {
+  return x.mul(x).add(y.mul(y)).sqrt();
+}
+
+/**
+ * Unsigned distance from a Dual point to the segment [a, b] (plain numbers).
+ * @param {{x: Dual, y: Dual}} p - Query point with Dual coordinates
+ * @param {Object} a - Segment start (x, y)
+ * @param {Object} b - Segment end (x, y)
+ * @returns {Dual}
+ */
+export function dualDistanceToSegment(p, a, b) {
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const dx = p.x.sub(a.x);
+  const dy = p.y.sub(a.y);
+  const lengthSq = ex * ex + ey * ey;
+  if (lengthSq === 0) return dualHypot(dx, dy);
+
+  // Projection parameter, clamped; the clamped branches are constants
+  const t = dx.scale(ex).add(dy.scale(ey)).scale(1 / lengthSq);
+  const tc = t.value <= 0 ? Dual.constant(0) : t.value >= 1 ? Dual.constant(1) : t;
+  return dualHypot(dx.sub(tc.scale(ex)), dy.sub(tc.scale(ey)));
+}
+
+/**
+ * Second-order jet of any scalar function at a point by central differences.
+ * This is the fallback for functions that have no Dual implementation.
+ * @param {Function} f - (point) => number
+ * @param {Object} point - Point (x, y)
+ * @param {number} h - Step size
+ * @returns {Dual}
+ */
+export function finiteDifferenceDual(f, point, h = 1e-3) {
+  const { x, y } = point;
+  const f0 = f(point);
+  const fxp = f({ x: x + h, y });
+  const fxm = f({ x: x - h, y });
+  const fyp = f({ x, y: y + h });
+  const fym = f({ x, y: y - h });
+  const fpp = f({ x: x + h, y: y + h });
+  const fpm = f({ x: x + h, y: y - h });
+  const fmp = f({ x: x - h, y: y + h });
+  const fmm = f({ x: x - h, y: y - h });
+
+  return new Dual(
+    f0,
+    (fxp - fxm) / (2 * h),
+    (fyp - fym) / (2 * h),
+    (fxp - 2 * f0 + fxm) / (h * h),
+    (fpp - fpm - fmp + fmm) / (4 * h * h),
+    (fyp - 2 * f0 + fym) / (h * h)
+  );
+}
+
+/**
+ * Compose a jet g(u, v), taken with respect to its own two arguments, with a
+ * Dual point P = (u(x, y), v(x, y)), giving the jet of g∘P with respect to (x, y).
+ * This lets functions differentiated in their local coordinates (e.g. by
+ * finite differences) be used on warped query points.
+ * @param {Dual} g - Jet of g in (u, v)
+ * @param {{x: Dual, y: Dual}} P - Dual point
+ * @returns {Dual}
+ */
+export function composeDual(g, P) {
+  const u = P.x;
+  const v = P.y;
+  const second = (ui, uj, vi, vj) =>
+    g.dxx * ui * uj + g.dxy * (ui * vj + uj * vi) + g.dyy * vi * vj;
+
+  return new Dual(
+    g.value,
+    g.dx * u.dx + g.dy * v.dx,
+    g.dx * u.dy + g.dy * v.dy,
+    second(u.dx, u.dx, v.dx, v.dx) + g.dx * u.dxx + g.dy * v.dxx,
+    second(u.dx, u.dy, v.dx, v.dy) + g.dx * u.dxy + g.dy * v.dxy,
+    second(u.dy, u.dy, v.dy, v.dy) + g.dx * u.dyy + g.dy * v.dyy
+  );
+}
+
+/**
+ * Apply an affine {a, b, c, d, tx, ty} to a Dual point.
+ * @param {{x: Dual, y: Dual}} P - Dual point
+ * @param {Object} M - Affine matrix
+ * @returns {{x: Dual, y: Dual}}
+ */
+export function applyAffineToDualPoint(P, M) {
+  return {
+    x: P.x.scale(M.a).add(P.y.scale(M.b)).add(M.tx),
+    y: P.x.scale(M.c).add(P.y.scale(M.d)).add(M.ty)
+  };
+}
@@ -0,0 +1,285 @@
+/*
+ * utils/expressionParser.js
+ *
+ * A small, safe math expression compiler (no eval / Function constructor).
+ * Expressions are tokenized, parsed by recursive descent into an AST, and the
+ * AST is compiled into nested closures that read variables from a scope object.
+ *
+ * Supported syntax:
+ *  - numbers (including 1e-3), parentheses, unary + and -
+ *  - binary + - * / % and ^ (power, right-associative, binds tighter than unary minus)
+ *  - constants: pi, e
+ *  - functions: see expressionFunctions below
+ *  - variables: only the names the caller allows
+ */
+
+/**
+ * Whitelisted functions with their allowed argument counts.
+ * A max arity of Infinity marks a variadic function.
+ */
+export const expressionFunctions = {
+  sin:   { fn: Math.sin,   min: 1, max: 1 },
+  cos:   { fn: Math.cos,   min: 1, max: 1 },
+  tan:   { fn: Math.tan,   min: 1, max: 1 },
+  asin:  { fn: Math.asin,  min: 1, max: 1 },
+  acos:  { fn: Math.acos,  min: 1, max: 1 },
+  atan:  { fn: Math.atan,  min: 1, max: 1 },
+  atan2: { fn: Math.atan2, min: 2, max: 2 },
+  sinh:  { fn: Math.sinh,  min: 1, max: 1 },
+  cosh:  { fn: Math.cosh,  min: 1, max: 1 },
+  tanh:  { fn: Math.tanh,  min: 1, max: 1 },
+  exp:   { fn: Math.exp,   min: 1, max: 1 },
+  log:   { fn: Math.log,   min: 1, max: 1 },
+  log2:  { fn: Math.log2,  min: 1, max: 1 },
+  log10: { fn: Math.log10, min: 1, max: 1 },
+  sqrt:  { fn: Math.sqrt,  min: 1, max: 1 },
+  abs:   { fn: Math.abs,   min: 1, max: 1 },
+  sign:  { fn: Math.sign,  min: 1, max: 1 },
+  floor: { fn: Math.floor, min: 1, max: 1 },
+  ceil:  { fn: Math.ceil,  min: 1, max: 1 },
+  round: { fn: Math.round, min: 1, max: 1 },
+  pow:   { fn: Math.pow,   min: 2, max: 2 },
+  hypot: { fn: Math.hypot, min: 1, max: Infinity },
+  min:   { fn: Math.min,   min: 1, max: Infinity },
+  max:   { fn: Math.max,   min: 1, max: Infinity },
+  clamp: { fn: (v, lo, hi) => Math.min(Math.max(v, lo), hi), min: 3, max: 3 },
+  mix:   { fn: (a, b, k) => a + (b - a) * k, min: 3, max: 3 }
+};
+
+/**
+ * Named constants available in every expression.
+ */
+export const expressionConstants = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Split an expression into tokens.
+ * @param {string} source
+ * @returns {Array<{type:string, value:*, pos:number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), pos: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], pos: i });
+      i += ident[0].length;
+      continue;
+    }
+
+    if ('+-*/%^(),'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}" at position ${i}`);
+  }
+
+  tokens.push({ type: 'end', value: null, pos: source.length });
+  return tokens;
+}
+
+/**
+ * Parse tokens into an AST by recursive descent.
+ * @param {Array} tokens
+ * @param {Set<string>} variables - Allowed variable names
+ * @returns {Object} AST root
+ */
+function parse(tokens, variables) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+      throw new Error(`Expected "${type}" but found ${found} at position ${token.pos}`);
+    }
+    return token;
+  };
+
+  function parseAdditive() {
+    let node = parseMultiplicative();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  }
+
+  function parseMultiplicative() {
+    let node = parseUnary();
+    while (peek().type === '*' || peek().type === '/' || peek().type === '%') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek().type === '-' || peek().type === '+') {
+      const op = next().type;
+      const operand = parseUnary();
+      return op === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === '(') {
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'ident') {
+      const name = token.value;
+
+      if (peek().type === '(') {
+        next();
+        const spec = Object.hasOwn(expressionFunctions, name) ? expressionFunctions[name] : null;
+        if (!spec) {
+          throw new Error(`Unknown function "${name}" at position ${token.pos}`);
+        }
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseAdditive());
+          while (peek().type === ',') {
+            next();
+            args.push(parseAdditive());
+          }
+        }
+        expect(')');
+        if (args.length < spec.min || args.length > spec.max) {
+          throw new Error(`Function "${name}" called with ${args.length} argument(s) at position ${token.pos}`);
+        }
+        return { type: 'call', name, args };
+      }
+
+      if (variables.has(name)) {
+        return { type: 'variable', name };
+      }
+      if (Object.hasOwn(expressionConstants, name)) {
+        return { type: 'number', value: expressionConstants[name] };
+      }
+      throw new Error(`Unknown variable "${name}" at position ${token.pos}`);
+    }
+
+    const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    throw new Error(`Unexpected ${found} at position ${token.pos}`);
+  }
+
+  const ast = parseAdditive();
+  if (peek().type !== 'end') {
+    throw new Error(`Unexpected "${peek().value}" at position ${peek().pos}`);
+  }
+  return ast;
+}
+
+/**
+ * Compile an AST node into a closure of the form (scope) => number.
+ * @param {Object} node
+ * @returns {Function}
+ */
+function compile(node) {
+  switch (node.type) {
+    case 'number': {
+      const value = node.value;
+      return () => value;
+    }
+    case 'variable': {
+      const name = node.name;
+      return scope => scope[name] ?? 0;
+    }
+    case 'negate': {
+      const operand = compile(node.operand);
+      return scope => -operand(scope);
+    }
+    case 'call': {
+      const fn = expressionFunctions[node.name].fn;
+      const args = node.args.map(compile);
+      if (args.length === 1) {
+        const [a] = args;
+        return scope => fn(a(scope));
+      }
+      return scope => fn(...args.map(arg => arg(scope)));
+    }
+    case 'binary': {
+      const left = compile(node.left);
+      const right = compile(node.right);
+      switch (node.op) {
+        case '+': return scope => left(scope) + right(scope);
+        case '-': return scope => left(scope) - right(scope);
+        case '*': return scope => left(scope) * right(scope);
+        case '/': return scope => left(scope) / right(scope);
+        case '%': return scope => left(scope) % right(scope);
+        case '^': return scope => Math.pow(left(scope), right(scope));
+      }
+    }
+  }
+  throw new Error(`Cannot compile expression node of type "${node.type}"`);
+}
+
+/**
+ * Compile an expression string into an evaluator.
+ * Throws an Error describing the first problem if the expression is invalid.
+ * @param {string} source - Expression text, e.g. "x^2 + y^2 - 1"
+ * @param {string[]} variables - Allowed variable names, e.g. ['x', 'y', 't']
+ * @returns {Function} (scope: Object) => number
+ */
+export function compileExpression(source, variables = []) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error("Expression is empty");
+  }
+  const ast = parse(tokenize(source), new Set(variables));
+  return compile(ast);
+}
+
+/**
+ * Check an expression without throwing.
+ * @param {string} source - Expression text
+ * @param {string[]} variables - Allowed variable names
+ * @returns {{valid:boolean, error:(string|null)}}
+ */
+export function validateExpression(source, variables = []) {
+  try {
+    compileExpression(source, variables);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
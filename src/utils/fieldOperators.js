@@ -0,0 +1,137 @@
+// File: src/utils/fieldOperators.js
+import { Dual } from "./dual.js";
+
+/**
+ * Field operators.
+ *
+ * Operators that act on the distance value itself rather than on geometry.
+ * Applied to a true distance each result is again a true distance, so widths
+ * are uniform everywhere (unlike a distance mapper, which reshapes the value
+ * and makes outlines wobble). All of them accept numbers or Duals.
+ *
+ * Operators are plain descriptors, so they serialize as they are:
+ *  - { type: 'offset', radius }          grow (radius > 0) or shrink (< 0)
+ *  - { type: 'round', radius }           grow by radius, rounding convex corners
+ *  - { type: 'onion', thickness, depth } hollow shell, nested depth times
+ *  - { type: 'annular', width }          stroke of the given width around a curve
+ */
+
+export const FIELD_OPERATORS = ['offset', 'round', 'onion', 'annular'];
+
+/** d − r for numbers and Duals. @private */
+function shift(d, r) {
+  return d instanceof Dual ? d.sub(r) : d - r;
+}
+
+/** |d| for numbers and Duals. @private */
+function magnitude(d) {
+  return d instanceof Dual ? d.abs() : Math.abs(d);
+}
+
+/**
+ * Move the boundary outward by radius (inward for negative radius).
+ * @param {number|Dual} d - Signed distance
+ * @param {number} radius
+ * @returns {number|Dual}
+ */
+export function offsetSDF(d, radius) {
+  return shift(d, radius);
+}
+
+/**
+ * Round a shape: every convex corner becomes an arc of the given radius and the
+ * shape grows by the same amount. Inset the shape by radius first to keep its
+ * size (see TrianglePrimitive).
+ * @param {number|Dual} d - Signed distance
+ * @param {number} radius
+ * @returns {number|Dual}
+ */
+export function roundSDF(d, radius) {
+  return shift(d, Math.max(0, radius));
+}
+
+/**
+ * Hollow shell of the given thickness centered on the boundary. Each further
+ * level of depth splits every shell into two thinner ones.
+ * @param {number|Dual} d - Signed distance
+ * @param {number} thickness - Shell thickness
+ * @param {number} [depth] - Nesting depth (1 = a single shell)
+ * @returns {number|Dual}
+ */
+export function onionSDF(d, thickness, depth = 1) {
+  let result = d;
+  let half = Math.abs(thickness) / 2;
+  for (let level = 0; level < Math.max(1, Math.round(depth)); level++) {
+    result = shift(magnitude(result), half);
+    half /= 2;
+  }
+  return result;
+}
+
+/**
+ * Stroke of the given width around a curve. For open curves d is the unsigned
+ * distance, which gives round caps at the end points.
+ * @param {number|Dual} d - (Unsigned) distance to the curve
+ * @param {number} width - Total stroke width
+ * @returns {number|Dual}
+ */
+export function annularSDF(d, width) {
+  return shift(magnitude(d), Math.abs(width) / 2);
+}
+
+/**
+ * Fill in defaults for an operator descriptor.
+ * @param {Object} descriptor - Operator descriptor (see module comment)
+ * @returns {Object} A new, complete descriptor
+ */
+export function normalizeFieldOperator(descriptor = {}) {
+  const type = FIELD_OPERATORS.includes(descriptor.type) ? descriptor.type : 'offset';
+  switch (type) {
+    case 'onion':
+      return { type, thickness: descriptor.thickness ?? 0.1, depth: Math.max(1, Math.round(descriptor.depth || 1)) };
+    case 'annular':
+      return { type, width: descriptor.width ?? 0.1 };
+    default:
+      return { type, radius: descriptor.radius ?? 0.1 };
+  }
+}
+
+/**
+ * Apply one operator descriptor to a distance.
+ * @param {number|Dual} d - Distance
+ * @param {Object} descriptor - Operator descriptor
+ * @returns {number|Dual}
+ */
+export function applyFieldOperator(d, descriptor) {
+  const op = normalizeFieldOperator(descriptor);
+  switch (op.type) {
+    case 'round':
+      return roundSDF(d, op.radius);
+    case 'onion':
+      return onionSDF(d, op.thickness, op.depth);
+    case 'annular':
+      return annularSDF(d, op.width);
+    default:
+      return offsetSDF(d, op.radius);
+  }
+}
+
+/**
+ * How far an operator chain can move the boundary outward, for padding
+ * contouring bounds.
+ * @param {Object[]} descriptors - Operator descriptors
+ * @returns {number}
+ */
+export function fieldOperatorMargin(descriptors = []) {
+  return descriptors.reduce((margin, descriptor) => {
+    const op = normalizeFieldOperator(descriptor);
+    switch (op.type) {
+      case 'onion':
+        return margin + Math.abs(op.thickness) / 2;
+      case 'annular':
+        return margin + Math.abs(op.width) / 2;
+      default:
+        return margin + Math.max(0, op.radius);
+    }
+  }, 0);
+}
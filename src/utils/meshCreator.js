@@ -8,15 +8,23 @@ import { MarchingCubes } from 'three/examples/jsm/objects/MarchingCubes.js';
 
 import Delaunator from 'delaunator';
 import { logger } from './logger.js';
+import { SDFGrid } from './SDFGrid.js';
 
 /**
  * Marching Squares: extract 2D contour lines from an SDF function
- * @param {Function} sdfFn  -- (point:{x,y}) → signed distance
+ * @param {Function|SDFGrid} sdfFn  -- (point:{x,y}) → signed distance, or a baked SDFGrid
+ *                                     (which supplies its own bounds and resolution)
  * @param {Array<number>} bounds -- [xmin,ymin,xmax,ymax]
  * @param {number} resolution -- number of cells per axis
  * @returns {Array<Array<{x:number,y:number}>>} array of contour loops
  */
 export function marchingSquares(sdfFn, bounds, resolution = 100) {
+  const baked = sdfFn instanceof SDFGrid ? sdfFn : null;
+  if (baked) {
+    bounds = baked.bounds;
+    resolution = baked.resolution;
+  }
+
   logger.info(`Starting marching squares with resolution: ${resolution}`);
   logger.debug(`Bounds: [${bounds.join(', ')}]`);
   
@@ -35,7 +43,7 @@ export function marchingSquares(sdfFn, bounds, resolution = 100) {
     const y = ymin + j * dy;
     for (let i = 0; i <= resolution; i++) {
       const x = xmin + i * dx;
-      const value = sdfFn({ x, y });
+      const value = baked ? baked.get(i, j) : sdfFn({ x, y });
       
       // Track min/max for debugging
       minSDF = Math.min(minSDF, value);
@@ -664,6 +672,26 @@ export function buildLineSegments(contours, options = {}) {
   return geometry;
 }
 
+/**
+ * Three.js helper: contour the zero set of an SDF as colored line segments
+ * @param {Function} sdfFn - (point) => number
+ * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+ * @param {number} resolution - Cells per axis
+ * @param {{h:number,s:number,l:number}} color - HSL color, h in degrees
+ * @returns {THREE.Group} Group containing the contour lines (empty if there are none)
+ */
+export function createContourObject(sdfFn, bounds, resolution, color) {
+  const group = new THREE.Group();
+  const loops = marchingSquares(sdfFn, bounds, resolution);
+  if (loops.length === 0) return group;
+
+  group.add(new THREE.LineSegments(
+    buildLineSegments(loops),
+    new THREE.LineBasicMaterial({ color: new THREE.Color().setHSL(color.h / 360, color.s, color.l) })
+  ));
+  return group;
+}
+
 /**
  * Creates a filled mesh from 2D contours using triangulation
  * @param {Array<Array<{x:number,y:number}>>} contours
@@ -819,4 +847,141 @@ export function visualizeSDFContours(sdfObject, bounds, options = {}) {
   
   logger.info(`SDF visualization created with ${contours.length} contours`);
   return group;
-}
\ No newline at end of file
+}
+
+/**
+ * Rasterize a domain-colored image of a shape on the CPU.
+ * Each pixel gets a complex value w: the object's computeComplex(point) if it has
+ * one, otherwise w = d · ∇d/|∇d| (SDF magnitude, normal direction as phase).
+ * @param {Object|Function} sdfObject - Object with computeSDF (optionally computeComplex) or an SDF function
+ * @param {Array<number>} bounds - [xmin,ymin,xmax,ymax]
+ * @param {Object} options - Additional options
+ * @param {number} [options.resolution=256] - Pixels per axis
+ * @param {string} [options.hueMode='phase'] - 'phase' (arg w) or 'sign' (inside/outside)
+ * @param {string} [options.lightnessMode='magnitude'] - 'magnitude' (|w|) or 'bands' (distance bands)
+ * @param {number} [options.bandWidth=0.1] - Spacing of distance bands and level-set lines
+ * @param {boolean} [options.contours=true] - Draw lines at the level sets d = k·bandWidth
+ * @param {number} [options.time=0] - Time passed to computeSDF
+ * @returns {{data: Uint8Array, width: number, height: number}} RGBA pixels, row 0 at ymin
+ */
+export function rasterizeDomainColoring(sdfObject, bounds, options = {}) {
+  const resolution = options.resolution || 256;
+  const hueMode = options.hueMode || 'phase';
+  const lightnessMode = options.lightnessMode || 'magnitude';
+  const bandWidth = options.bandWidth || 0.1;
+  const contours = options.contours !== undefined ? options.contours : true;
+  const time = options.time || 0;
+
+  const sdfFn = typeof sdfObject === 'function'
+    ? sdfObject
+    : (pt) => sdfObject.computeSDF(pt, [], time);
+  const complexFn = sdfObject && typeof sdfObject.computeComplex === 'function'
+    ? (pt) => sdfObject.computeComplex(pt, time)
+    : null;
+  const baseHue = (sdfObject && sdfObject.color && sdfObject.color.h !== undefined)
+    ? sdfObject.color.h / 360
+    : 0.6;
+
+  const [xmin, ymin, xmax, ymax] = bounds;
+  const width = resolution;
+  const height = resolution;
+  const px = (xmax - xmin) / (width - 1);
+  const py = (ymax - ymin) / (height - 1);
+
+  // Sample the SDF once per pixel; gradients come from neighbouring samples
+  const sdf = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const value = sdfFn({ x: xmin + i * px, y: ymin + j * py });
+      sdf[j * width + i] = Number.isFinite(value) ? value : 1e6;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  const color = new THREE.Color();
+  const at = (i, j) => sdf[Math.min(Math.max(j, 0), height - 1) * width + Math.min(Math.max(i, 0), width - 1)];
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const index = j * width + i;
+      const d = sdf[index];
+
+      let w;
+      if (complexFn) {
+        w = complexFn({ x: xmin + i * px, y: ymin + j * py });
+      } else {
+        const gx = (at(i + 1, j) - at(i - 1, j)) / (2 * px);
+        const gy = (at(i, j + 1) - at(i, j - 1)) / (2 * py);
+        const g = Math.hypot(gx, gy) || 1;
+        w = { x: d * gx / g, y: d * gy / g };
+      }
+      const magnitude = Math.hypot(w.x, w.y);
+
+      // Hue: phase of w, or the shape's own hue inside and its complement outside
+      let hue;
+      if (hueMode === 'sign') {
+        hue = d < 0 ? baseHue : (baseHue + 0.5) % 1;
+      } else {
+        hue = (Math.atan2(w.y, w.x) / (2 * Math.PI) + 1) % 1;
+      }
+
+      // Lightness: |w| squashed into (0, 1), or sawtooth bands of the distance
+      let lightness;
+      if (lightnessMode === 'bands') {
+        const band = d / bandWidth - Math.floor(d / bandWidth);
+        lightness = 0.35 + 0.3 * band;
+      } else {
+        lightness = 0.15 + 0.7 * (2 / Math.PI) * Math.atan(magnitude);
+      }
+
+      // Level-set lines where the band index changes between neighbours
+      if (contours) {
+        const level = Math.floor(d / bandWidth);
+        const crosses = Math.floor(at(i + 1, j) / bandWidth) !== level ||
+          Math.floor(at(i, j + 1) / bandWidth) !== level;
+        if (crosses) {
+          const isZero = Math.sign(d) !== Math.sign(at(i + 1, j)) || Math.sign(d) !== Math.sign(at(i, j + 1));
+          lightness = isZero ? 0.95 : lightness * 0.4;
+        }
+      }
+
+      color.setHSL(hue, 0.85, lightness);
+      data[index * 4] = Math.round(color.r * 255);
+      data[index * 4 + 1] = Math.round(color.g * 255);
+      data[index * 4 + 2] = Math.round(color.b * 255);
+      data[index * 4 + 3] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Create a textured plane showing a domain-colored image of an SDF object.
+ * The texture is rasterized on the CPU (see rasterizeDomainColoring), so no
+ * shader or float-texture support is required.
+ * @param {Object|Function} sdfObject - Object with computeSDF method
+ * @param {Array<number>} bounds - [xmin,ymin,xmax,ymax]
+ * @param {Object} options - Same options as rasterizeDomainColoring
+ * @returns {THREE.Mesh} Plane covering the bounds
+ */
+export function createDomainColoringMesh(sdfObject, bounds, options = {}) {
+  logger.info('Creating domain-coloring mesh');
+  logger.debug(`Bounds: [${bounds.join(', ')}]`);
+  logger.debug(`Options: ${JSON.stringify(options)}`);
+
+  const { data, width, height } = rasterizeDomainColoring(sdfObject, bounds, options);
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  const [xmin, ymin, xmax, ymax] = bounds;
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(xmax - xmin, ymax - ymin),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+  );
+  mesh.position.set((xmin + xmax) / 2, (ymin + ymax) / 2, -0.01);
+
+  logger.info(`Domain-coloring mesh created (${width}x${height})`);
+  return mesh;
+}
@@ -0,0 +1,197 @@
+/*
+ * utils/noise.js
+ *
+ * Seeded 2D/3D simplex gradient noise plus fractal (fBm) and ridged sums.
+ * The same seed always produces the same permutation table, so noise-driven
+ * shapes can be reproduced from a saved seed. No external dependencies.
+ */
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+/**
+ * Small deterministic PRNG (mulberry32).
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed = 0) {
+  let state = (seed >>> 0) || 0x9e3779b9;
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(state ^ (state >>> 15), 1 | state);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a seeded simplex noise generator.
+ * Both functions return values in roughly [-1, 1].
+ * @param {number} seed - Integer seed
+ * @returns {{noise2D: Function, noise3D: Function}}
+ */
+export function createSimplexNoise(seed = 0) {
+  const random = createRandom(seed);
+
+  // Fisher–Yates shuffle of 0..255, doubled to avoid index wrapping
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = p[i];
+    p[i] = p[j];
+    p[j] = tmp;
+  }
+  const perm = new Uint8Array(512);
+  const permMod12 = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) {
+    perm[i] = p[i & 255];
+    permMod12[i] = perm[i] % 12;
+  }
+
+  function noise2D(x, y) {
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    let n = 0;
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 > 0) {
+      const g = GRAD3[permMod12[ii + perm[jj]]];
+      t0 *= t0;
+      n += t0 * t0 * (g[0] * x0 + g[1] * y0);
+    }
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 > 0) {
+      const g = GRAD3[permMod12[ii + i1 + perm[jj + j1]]];
+      t1 *= t1;
+      n += t1 * t1 * (g[0] * x1 + g[1] * y1);
+    }
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 > 0) {
+      const g = GRAD3[permMod12[ii + 1 + perm[jj + 1]]];
+      t2 *= t2;
+      n += t2 * t2 * (g[0] * x2 + g[1] * y2);
+    }
+    return 70 * n;
+  }
+
+  function noise3D(x, y, z) {
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Determine which simplex we are in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+
+    const offsets = [
+      [x0, y0, z0, 0, 0, 0],
+      [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+      [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1]
+    ];
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    let n = 0;
+    for (const [dx, dy, dz, oi, oj, ok] of offsets) {
+      let tc = 0.6 - dx * dx - dy * dy - dz * dz;
+      if (tc > 0) {
+        const g = GRAD3[permMod12[ii + oi + perm[jj + oj + perm[kk + ok]]]];
+        tc *= tc;
+        n += tc * tc * (g[0] * dx + g[1] * dy + g[2] * dz);
+      }
+    }
+    return 32 * n;
+  }
+
+  return { noise2D, noise3D };
+}
+
+/**
+ * Fractal Brownian motion: a sum of noise octaves, normalized to roughly [-1, 1].
+ * @param {Function} noise - (...coords) => number in [-1, 1]
+ * @param {number[]} coords - Sample position
+ * @param {Object} options
+ * @param {number} [options.octaves=4] - Number of layers
+ * @param {number} [options.lacunarity=2] - Frequency multiplier per octave
+ * @param {number} [options.gain=0.5] - Amplitude multiplier per octave
+ * @returns {number}
+ */
+export function fbm(noise, coords, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+  let sum = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) {
+    sum += amplitude * noise(...coords.map(c => c * frequency));
+    norm += amplitude;
+    amplitude *= gain;
+    frequency *= lacunarity;
+  }
+  return norm > 0 ? sum / norm : 0;
+}
+
+/**
+ * Ridged multifractal noise: octaves of (1 - |noise|)², each weighted by the
+ * previous octave so ridges stay sharp. Normalized to roughly [-1, 1].
+ * @param {Function} noise - (...coords) => number in [-1, 1]
+ * @param {number[]} coords - Sample position
+ * @param {Object} options - Same as fbm
+ * @returns {number}
+ */
+export function ridged(noise, coords, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+  let sum = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let norm = 0;
+  let weight = 1;
+  for (let o = 0; o < octaves; o++) {
+    let n = 1 - Math.abs(noise(...coords.map(c => c * frequency)));
+    n *= n * weight;
+    weight = Math.min(Math.max(n * 2, 0), 1);
+    sum += amplitude * n;
+    norm += amplitude;
+    amplitude *= gain;
+    frequency *= lacunarity;
+  }
+  return norm > 0 ? 2 * (sum / norm) - 1 : 0;
+}
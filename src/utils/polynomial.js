@@ -0,0 +1,77 @@
+/*
+ * utils/polynomial.js
+ *
+ * Closed-form real root solvers for low-degree polynomials, used by the curve
+ * primitives for closest-point and ray-crossing queries. No external dependencies.
+ */
+
+const EPSILON = 1e-12;
+
+/**
+ * Real roots of a·t + b = 0
+ * @param {number} a
+ * @param {number} b
+ * @returns {number[]}
+ */
+export function solveLinear(a, b) {
+  if (Math.abs(a) < EPSILON) return [];
+  return [-b / a];
+}
+
+/**
+ * Real roots of a·t² + b·t + c = 0
+ * Falls back to the linear solver when a vanishes.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @returns {number[]}
+ */
+export function solveQuadratic(a, b, c) {
+  if (Math.abs(a) < EPSILON) return solveLinear(b, c);
+
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return [];
+  if (disc === 0) return [-b / (2 * a)];
+
+  // Numerically stable form avoiding cancellation
+  const q = -0.5 * (b + Math.sign(b || 1) * Math.sqrt(disc));
+  return [q / a, c / q];
+}
+
+/**
+ * Real roots of a·t³ + b·t² + c·t + d = 0 (Cardano / trigonometric form)
+ * Falls back to the quadratic solver when a vanishes.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d
+ * @returns {number[]}
+ */
+export function solveCubic(a, b, c, d) {
+  if (Math.abs(a) < EPSILON) return solveQuadratic(b, c, d);
+
+  // Normalise and depress: t = u - B/3
+  const B = b / a;
+  const C = c / a;
+  const D = d / a;
+  const shift = B / 3;
+  const p = C - B * B / 3;
+  const q = 2 * B * B * B / 27 - B * C / 3 + D;
+  const disc = q * q / 4 + p * p * p / 27;
+
+  if (disc > EPSILON) {
+    const s = Math.sqrt(disc);
+    return [Math.cbrt(-q / 2 + s) + Math.cbrt(-q / 2 - s) - shift];
+  }
+
+  if (disc > -EPSILON) {
+    // Repeated root
+    if (Math.abs(p) < EPSILON) return [-shift];
+    return [3 * q / p - shift, -3 * q / (2 * p) - shift];
+  }
+
+  // Three distinct real roots
+  const r = 2 * Math.sqrt(-p / 3);
+  const phi = Math.acos(Math.max(-1, Math.min(1, (3 * q / (2 * p)) * Math.sqrt(-3 / p)))) / 3;
+  return [0, 1, 2].map(k => r * Math.cos(phi - (2 * Math.PI * k) / 3) - shift);
+}
@@ -0,0 +1,123 @@
+// File: src/utils/redistance.js
+import { SDFGrid } from "./SDFGrid.js";
+import { logger } from "./logger.js";
+
+/**
+ * Eikonal redistancing by the fast sweeping method.
+ *
+ * Distance mappings, R-function blends and level-set evolution keep the zero set
+ * of a field but not |∇φ| = 1, so offsets and thicknesses taken from it are wrong.
+ * redistanceGrid rebuilds a true signed distance with the same zero set:
+ *  1. Nodes next to a sign change get their distance to the linearly
+ *     interpolated interface and are frozen.
+ *  2. Gauss–Seidel sweeps in the four diagonal orderings solve the discrete
+ *     eikonal equation |∇d| = 1 (Godunov upwind) outward from those nodes.
+ *  3. The original signs are restored.
+ * Grids use the marchingSquares layout: grid[j][i] at (xmin + i·dx, ymin + j·dy),
+ * either as nested rows or as an SDFGrid.
+ */
+
+/**
+ * Upwind solution of ((d − a)/hx)² + ((d − b)/hy)² = 1, where a and b are the
+ * smallest neighbouring distances along x and y (Infinity when unknown).
+ * @returns {number}
+ */
+function solveEikonal(a, b, hx, hy) {
+  if (!Number.isFinite(a)) return b + hy;
+  if (!Number.isFinite(b)) return a + hx;
+  const alongX = a + hx;
+  const alongY = b + hy;
+  // One-sided update when the other direction cannot contribute
+  if (alongX <= b) return alongX;
+  if (alongY <= a) return alongY;
+
+  const wx = 1 / (hx * hx);
+  const wy = 1 / (hy * hy);
+  const A = wx + wy;
+  const B = -2 * (a * wx + b * wy);
+  const C = a * a * wx + b * b * wy - 1;
+  const disc = B * B - 4 * A * C;
+  return disc < 0 ? Math.min(alongX, alongY) : (-B + Math.sqrt(disc)) / (2 * A);
+}
+
+/**
+ * Rebuild a signed distance field with the same zero set as the input grid.
+ * @param {Array<Array<number>>|SDFGrid} grid - Sampled field, grid[j][i]
+ * @param {number|{x:number,y:number}} spacing - Cell size (one number for square cells);
+ *                                               an SDFGrid supplies its own
+ * @param {Object} [options]
+ * @param {number} [options.sweeps] - Rounds of the four sweep orderings
+ * @returns {Array<Array<number>>|SDFGrid} New grid of signed distances, in the input's form
+ */
+export function redistanceGrid(grid, spacing = 1, options = {}) {
+  if (grid instanceof SDFGrid) {
+    return SDFGrid.fromArray(redistanceGrid(grid.toArray(), grid.spacing, options), grid.bounds);
+  }
+
+  const { sweeps = 2 } = options;
+  const hx = typeof spacing === 'number' ? spacing : spacing.x;
+  const hy = typeof spacing === 'number' ? spacing : spacing.y;
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  const distance = grid.map(row => new Array(cols).fill(Infinity));
+  const frozen = grid.map(row => new Array(cols).fill(false));
+
+  // 1. Interface initialization from sign changes along grid edges
+  let interfaceNodes = 0;
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const phi = grid[j][i];
+      if (phi === 0) {
+        distance[j][i] = 0;
+        frozen[j][i] = true;
+        interfaceNodes++;
+        continue;
+      }
+      // Distance to the crossing along an edge, by linear interpolation
+      const crossing = (other, h) =>
+        other !== undefined && phi * other < 0 ? h * phi / (phi - other) : Infinity;
+      const dx = Math.min(crossing(grid[j][i - 1], hx), crossing(grid[j][i + 1], hx));
+      const dy = Math.min(
+        j > 0 ? crossing(grid[j - 1][i], hy) : Infinity,
+        j < rows - 1 ? crossing(grid[j + 1][i], hy) : Infinity
+      );
+      if (!Number.isFinite(dx) && !Number.isFinite(dy)) continue;
+
+      // Crossings in both directions: distance to the line through both points
+      distance[j][i] = Number.isFinite(dx) && Number.isFinite(dy)
+        ? dx * dy / Math.sqrt(dx * dx + dy * dy)
+        : Math.min(dx, dy);
+      frozen[j][i] = true;
+      interfaceNodes++;
+    }
+  }
+
+  if (interfaceNodes === 0) {
+    logger.warn("redistanceGrid: no zero crossing in the grid; returning it unchanged.");
+    return grid.map(row => row.slice());
+  }
+
+  // 2. Fast sweeping in the four orderings
+  const orders = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+  for (let s = 0; s < sweeps; s++) {
+    for (const [si, sj] of orders) {
+      for (let jj = 0; jj < rows; jj++) {
+        const j = sj > 0 ? jj : rows - 1 - jj;
+        for (let ii = 0; ii < cols; ii++) {
+          const i = si > 0 ? ii : cols - 1 - ii;
+          if (frozen[j][i]) continue;
+          const a = Math.min(i > 0 ? distance[j][i - 1] : Infinity, i < cols - 1 ? distance[j][i + 1] : Infinity);
+          const b = Math.min(j > 0 ? distance[j - 1][i] : Infinity, j < rows - 1 ? distance[j + 1][i] : Infinity);
+          if (!Number.isFinite(a) && !Number.isFinite(b)) continue;
+          const candidate = solveEikonal(a, b, hx, hy);
+          if (candidate < distance[j][i]) distance[j][i] = candidate;
+        }
+      }
+    }
+  }
+
+  // 3. Restore signs
+  return distance.map((row, j) => row.map((d, i) => (grid[j][i] < 0 ? -d : d)));
+}
+
@@ -4,9 +4,12 @@
  * A minimal utility module for managing a stack of affine transformations.
  * Allows pushing, popping, and applying sequences of transformations.
  * Depends on affine.js for the underlying transformation operations.
+ * Complex-plane transforms from complexTransform.js (Möbius, z^n, exp, log,
+ * inversion) can be pushed too; the stack then holds a composed complex transform.
  */
 
 import { identity, composeAffine } from './affine.js';
+import { isAffine, composeComplexTransforms, applyComplexTransform, warpSDF } from './complexTransform.js';
 
 /**
  * A stack-based manager for sequential 2D affine transformations.
@@ -22,7 +25,7 @@ export class TransformStack {
 
   /**
    * Get the current composite transformation
-   * @returns {import('./affine.js').Affine} The current transformation
+   * @returns {import('./affine.js').Affine|import('./complexTransform.js').ComplexTransform} The current transformation
    */
   get() {
     return this.stack[this.current];
@@ -30,11 +33,14 @@ export class TransformStack {
 
   /**
    * Push a new transformation onto the stack, combining it with the current transform
-   * @param {import('./affine.js').Affine} transform - The transformation to add
+   * @param {import('./affine.js').Affine|import('./complexTransform.js').ComplexTransform} transform - The transformation to add
    * @returns {TransformStack} This instance for chaining
    */
   push(transform) {
-    const combined = composeAffine(transform, this.stack[this.current]);
+    const top = this.stack[this.current];
+    const combined = isAffine(transform) && isAffine(top)
+      ? composeAffine(transform, top)
+      : composeComplexTransforms(transform, top);
     this.current++;
     this.stack[this.current] = combined;
     // Truncate the stack if we're not at the end (handles case of push after pop)
@@ -96,12 +102,26 @@ export class TransformStack {
    */
   applyToPoint(point) {
     const transform = this.stack[this.current];
+    if (!isAffine(transform)) {
+      return applyComplexTransform(point, transform);
+    }
     return {
       x: transform.a * point.x + transform.b * point.y + transform.tx,
       y: transform.c * point.x + transform.d * point.y + transform.ty
     };
   }
   
+  /**
+   * Warp an SDF by the current transformation, so it describes the transformed shape.
+   * Conformal maps are Lipschitz-corrected (see warpSDF in complexTransform.js).
+   * @param {Function} sdfFunc - (point, ...rest) => number
+   * @param {Object} options - Passed to warpSDF
+   * @returns {Function} (point, ...rest) => number
+   */
+  warpSDF(sdfFunc, options = {}) {
+    return warpSDF(sdfFunc, this.stack[this.current], options);
+  }
+
   /**
    * Apply the current transformation to a vertex in-place
    * @param {import('../Geometry/Vertex.js').Vertex} vertex - The vertex to transform
@@ -109,6 +129,12 @@ export class TransformStack {
   applyToVertex(vertex) {
     const transform = this.stack[this.current];
     const { x, y } = vertex.position;
+    if (!isAffine(transform)) {
+      const mapped = applyComplexTransform({ x, y }, transform);
+      vertex.position.x = mapped.x;
+      vertex.position.y = mapped.y;
+      return;
+    }
     vertex.position.x = transform.a * x + transform.b * y + transform.tx;
     vertex.position.y = transform.c * x + transform.d * y + transform.ty;
   }